@@ -4,6 +4,35 @@
  * No browser or Node.js dependencies - just pure JavaScript
  */
 
+import { AmigaFilter } from './filters.js';
+import { BlepBuffer } from './blep.js';
+import { convertUSTEffect } from './data.js';
+
+// Resampling modes supported by setInterpolation()
+export const INTERPOLATION_MODES = ['none', 'linear', 'blep'];
+
+// Paula clock (Hz) per machine - half the system clock
+export const PAULA_CLOCKS = {
+    pal: 7093789.2 / 2,
+    ntsc: 7159090.5 / 2,
+};
+
+// Tick rate (Hz) for VBlank timing - one tick per video frame
+const VBLANK_RATES = {
+    pal: 50,
+    ntsc: 60,
+};
+
+// Tick timing modes supported by setTiming()
+export const TIMING_MODES = ['cia', 'vblank'];
+
+// Amiga hardware panning: channels 1 and 4 left, 2 and 3 right
+// (repeated for modules with more than 4 channels)
+const AMIGA_PANNING = [-1, 1, 1, -1];
+
+// Soft limiter: output below this level passes unchanged
+const LIMITER_THRESHOLD = 0.8;
+
 // Amiga period table for arpeggio (C-1 to B-3)
 // Array index = semitone, value = period
 // ProTracker vibrato sine table (32 entries, values 0-255)
@@ -72,6 +101,55 @@ const PERIOD_TO_NOTE = {
     151:'F#3',143:'G-3',135:'G#3',127:'A-3',120:'A#3',113:'B-3',
 };
 
+/**
+ * Fresh channel state, as at power-on
+ * @private
+ */
+function createChannelState() {
+    return {
+        period: 0,
+        instrument: 0,
+        volume: 64,
+        effect: 0,
+        param: 0,
+        rowPeriod: 0,           // Note on the current row (0 = none)
+        samplePos: 0,
+        sampleRate: 0,
+        vibratoPos: 0,
+        vibratoSpeed: 0,        // 4xy memory (PT starts at 0, so 6xy alone does nothing)
+        vibratoDepth: 0,
+        vibratoWaveform: 0,     // E4x: 0=sine, 1=ramp down, 2=square, 3=random
+        vibratoRetrigger: true, // Reset vibratoPos on new note
+        tremoloPos: 0,
+        tremoloSpeed: 0,        // 7xy memory
+        tremoloDepth: 0,
+        tremoloValue: 0,
+        tremoloWaveform: 0,     // E7x: same waveforms as E4x
+        tremoloRetrigger: true, // Reset tremoloPos on new note
+        slideTarget: 0,
+        slideSpeed: 0,          // 3xx memory (shared with 5xy)
+        glissando: false,       // E3x: snap portamento to semitones
+        arpeggioNote1: 0,
+        arpeggioNote2: 0,
+        finetune: 0,
+        // Last instrument number seen - sounding or not (see loadInstrument)
+        lastInstrument: 0,
+        // Sample offset (9xx): memory and accumulated start, like PT's n_start
+        sampleOffset: 0,
+        sampleStart: 0,
+        // Note delay (EDx)
+        noteDelayTicks: 0,
+        delayedNote: null,
+        delayedSample: 0,
+        delayedPeriod: 0,
+        // Pattern loop (E6x)
+        loopStartRow: 0,
+        loopCount: 0,
+        // minBLEP accumulator (interpolation 'blep' only)
+        blep: null,
+    };
+}
+
 /**
  * Pure Paula audio engine
  * Handles all mixing, playback, and effect processing
@@ -80,7 +158,9 @@ const PERIOD_TO_NOTE = {
 export class PaulaEngine {
     constructor(sampleRate = 44100) {
         this.sampleRate = sampleRate;
-        this.PAULA_FREQUENCY = 7093789.2 / 2;  // PAL
+        this.clock = 'pal';  // Paula clock (see setClock)
+        this.PAULA_FREQUENCY = PAULA_CLOCKS.pal;
+        this.timing = 'cia';  // Tick timing (see setTiming)
         
         // Playback state
         this.isPlaying = false;
@@ -93,50 +173,50 @@ export class PaulaEngine {
         this.samplesPerTick = 0;
         this.sampleCounter = 0;
         
-        // Channel states (4 channels)
+        // Channel states (4 channels until setSong says otherwise)
         this.channelStates = [];
-        this.vuLevels = [0, 0, 0, 0];
-        this.vuPeaks = [0, 0, 0, 0];  // Peak values for VU meter display
+        this.vuLevels = [];
+        this.vuPeaks = [];  // Peak values for VU meter display
         this.vuDecay = 0.95;  // Decay rate for VU meters (higher = slower decay)
-        for (let i = 0; i < 4; i++) {
-            this.channelStates.push({
-                period: 0,
-                instrument: 0,
-                volume: 64,
-                effect: 0,
-                param: 0,
-                samplePos: 0,
-                sampleRate: 0,
-                vibratoPos: 0,
-                vibratoSpeed: 4,
-                vibratoDepth: 4,
-                tremoloPos: 0,
-                tremoloSpeed: 4,
-                tremoloDepth: 4,
-                tremoloValue: 0,
-                slideTarget: 0,
-                slideSpeed: 0,
-                arpeggioNote1: 0,
-                arpeggioNote2: 0,
-                finetune: 0,
-                // Note delay (EDx)
-                noteDelayTicks: 0,
-                delayedNote: null,
-                delayedSample: 0,
-                delayedPeriod: 0,
-            });
-        }
+        this.mutedChannels = [];
+        this.channelPans = [];  // Pan overrides (-1 to 1), null = Amiga side
         
         this.song = null;
         this.patternLoopMode = false;
-        this.mutedChannels = [false, false, false, false];
         
         // Pattern break/jump control
         this.patternBreak = false;
         this.patternBreakRow = 0;
         this.positionJump = false;
         this.positionJumpTarget = 0;
+        this.patternLoopJump = false;
+        
+        // Song-end detection: rows played since the last loop (position * 64 + row)
+        this.visitedRows = new Uint8Array(128 * 64);
+        this.songLoopCount = 0;     // Times the song has looped since play()
+        this.songLoopPosition = 0;  // Where the last loop went back to
+        this.songLoopRow = 0;
+        
+        // Pattern delay (EEx): pending repeat count and repeats left
+        this.patternDelay = 0;
+        this.patternDelayCount = 0;
+        
+        // Output filter emulation (null = raw output)
+        this.filterModel = 'none';
+        this.filter = null;
+        this.stemFilters = null;  // Per-channel filter copies for stem rendering
+        this.ledFilter = false;  // E0x: Amiga "LED" filter state
+        
+        // Resampling mode (see setInterpolation)
+        this.interpolation = 'linear';
         
+        // Mixer: 40% separation gives the classic 70/30 split
+        this.stereoSeparation = 40;  // 0 = mono, 100 = hard Amiga panning
+        this.panGains = [];  // [left, right] per channel, from updatePanning()
+        this.masterVolume = 0.5;
+        this.softLimiter = false;  // Soft knee instead of hard clipping
+        
+        this.setChannelCount(4);
         this.updateTiming();
     }
     
@@ -145,9 +225,32 @@ export class PaulaEngine {
      */
     setSong(song) {
         this.song = song;
+        this.setChannelCount(song.channelCount || 4);
         this.tempo = song.tempo;
         this.bpm = song.bpm;
-        this.updateTiming();
+        this.setClock(song.clock || 'pal');
+        this.setTiming(song.timing || 'cia');
+    }
+    
+    /**
+     * Resize the per-channel state (called by setSong)
+     * Channels that stay keep their mute and pan settings
+     * @param {number} count - Number of channels
+     */
+    setChannelCount(count) {
+        this.channelStates.length = Math.min(this.channelStates.length, count);
+        while (this.channelStates.length < count) {
+            const state = createChannelState();
+            state.blep = this.interpolation === 'blep' ? new BlepBuffer() : null;
+            this.channelStates.push(state);
+        }
+        this.vuLevels = new Array(count).fill(0);
+        this.vuPeaks = new Array(count).fill(0);
+        this.mutedChannels = Array.from({ length: count }, (_, ch) => this.mutedChannels[ch] || false);
+        this.channelPans = Array.from({ length: count }, (_, ch) =>
+            this.channelPans[ch] !== undefined ? this.channelPans[ch] : null);
+        this.stemFilters = null;
+        this.updatePanning();
     }
     
     /**
@@ -155,11 +258,115 @@ export class PaulaEngine {
      */
     updateTiming() {
         // Calculate samples per tick
-        // ProTracker: 1 tick = (2.5 / BPM) seconds
-        const ticksPerSecond = (this.bpm * 2) / 5;
+        // ProTracker (CIA): 1 tick = (2.5 / BPM) seconds
+        // VBlank: 1 tick per video frame, BPM is ignored
+        const ticksPerSecond = this.timing === 'vblank' ? VBLANK_RATES[this.clock] : (this.bpm * 2) / 5;
         this.samplesPerTick = this.sampleRate / ticksPerSecond;
     }
     
+    /**
+     * Select the Amiga clock, which sets the pitch (and the VBlank rate)
+     * @param {string} clock - 'pal' or 'ntsc'
+     */
+    setClock(clock) {
+        if (!PAULA_CLOCKS[clock]) {
+            throw new Error(`Unknown clock: ${clock}`);
+        }
+        this.clock = clock;
+        this.PAULA_FREQUENCY = PAULA_CLOCKS[clock];
+        for (let state of this.channelStates) {
+            state.sampleRate = this.periodToRate(state.period);
+        }
+        this.updateTiming();
+    }
+    
+    /**
+     * Select the tick timing
+     * @param {string} mode - 'cia' (Fxx >= 32 sets BPM, ProTracker) or
+     *   'vblank' (fixed 50/60 Hz ticks, every Fxx sets speed - old
+     *   Soundtracker/NoiseTracker modules)
+     */
+    setTiming(mode) {
+        if (!TIMING_MODES.includes(mode)) {
+            throw new Error(`Unknown timing mode: ${mode}`);
+        }
+        this.timing = mode;
+        this.updateTiming();
+    }
+    
+    /**
+     * Select the Amiga output filter model
+     * @param {string} model - 'none', 'a500' or 'a1200'
+     */
+    setFilterModel(model) {
+        this.filter = model === 'none' ? null : new AmigaFilter(this.sampleRate, model);
+        this.filterModel = model;
+    }
+    
+    /**
+     * Select the resampling mode
+     * @param {string} mode - 'none' (raw step), 'linear' or 'blep' (band-limited)
+     */
+    setInterpolation(mode) {
+        if (!INTERPOLATION_MODES.includes(mode)) {
+            throw new Error(`Unknown interpolation mode: ${mode}`);
+        }
+        this.interpolation = mode;
+        for (let state of this.channelStates) {
+            state.blep = mode === 'blep' ? new BlepBuffer() : null;
+        }
+    }
+    
+    /**
+     * Set the stereo separation of the Amiga channel layout
+     * @param {number} percent - 0 (mono) to 100 (channels hard left/right)
+     */
+    setStereoSeparation(percent) {
+        this.stereoSeparation = Math.max(0, Math.min(100, percent));
+        this.updatePanning();
+    }
+    
+    /**
+     * Override a channel's pan position (not affected by stereo separation)
+     * @param {number} channel - Channel (0 to channel count - 1)
+     * @param {number|null} pan - -1 (left) to 1 (right), or null for the Amiga default
+     */
+    setChannelPan(channel, pan) {
+        this.channelPans[channel] = pan === null ? null : Math.max(-1, Math.min(1, pan));
+        this.updatePanning();
+    }
+    
+    /**
+     * Set the master volume
+     * @param {number} volume - 0 to 1 (default 0.5, leaves headroom for four channels)
+     */
+    setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(1, volume));
+    }
+    
+    /**
+     * Use a soft limiter instead of hard clipping at full scale
+     * @param {boolean} enabled
+     */
+    setSoftLimiter(enabled) {
+        this.softLimiter = enabled;
+    }
+    
+    /**
+     * Recalculate per-channel left/right gains (linear pan law, so the
+     * default 40% separation gives the classic 0.7/0.3 split)
+     * With more than 4 channels each one is scaled down to keep the mix at
+     * the level of a 4-channel module
+     */
+    updatePanning() {
+        const gain = 4 / Math.max(4, this.channelStates.length);
+        this.panGains = this.channelStates.map((_, ch) => {
+            const pan = this.channelPans[ch] !== null ?
+                this.channelPans[ch] : AMIGA_PANNING[ch % 4] * this.stereoSeparation / 100;
+            return [(1 - pan) / 2 * gain, (1 + pan) / 2 * gain];
+        });
+    }
+    
     /**
      * Start playback
      */
@@ -169,6 +376,28 @@ export class PaulaEngine {
         this.currentRow = startRow;
         this.tickCounter = 0;
         this.sampleCounter = 0;
+        
+        // Clear pending jumps and pattern loop state
+        this.patternBreak = false;
+        this.patternBreakRow = 0;
+        this.positionJump = false;
+        this.patternLoopJump = false;
+        this.patternDelay = 0;
+        this.patternDelayCount = 0;
+        this.visitedRows.fill(0);
+        this.songLoopCount = 0;
+        this.ledFilter = false;
+        if (this.filter) {
+            this.filter.reset();
+        }
+        this.stemFilters = null;
+        for (let state of this.channelStates) {
+            if (state.blep) {
+                state.blep.reset();
+            }
+            state.loopStartRow = 0;
+            state.loopCount = 0;
+        }
     }
     
     /**
@@ -186,6 +415,101 @@ export class PaulaEngine {
         }
     }
     
+    /**
+     * Jump to a song position and row with the state it would have there
+     * Plays the song silently from the start up to the target, so tempo,
+     * volumes, portamento targets and effect memory are all as if it had
+     * been played through. Doesn't start or stop playback.
+     * @param {number} position - Song position
+     * @param {number} row - Row in that position's pattern
+     * @returns {boolean} false if the song never reaches that row (it is
+     *   then started cold, like play())
+     */
+    seek(position, row = 0) {
+        if (!this.song) return false;
+        
+        const wasPlaying = this.isPlaying;
+        const loopMode = this.patternLoopMode;
+        this.patternLoopMode = false;  // Pattern loop would never get there
+        this.restart();
+        
+        let reached = false;
+        while (true) {
+            if (this.tickCounter === 0 && this.patternDelayCount === 0 &&
+                this.currentPosition === position && this.currentRow === row) {
+                reached = true;
+                break;
+            }
+            // Looped without passing the target - it's unreachable
+            if (this.songLoopCount > 0) break;
+            this.skipTick();
+        }
+        
+        if (!reached) {
+            this.restart();
+            this.play(position, row);
+        }
+        this.patternLoopMode = loopMode;
+        this.isPlaying = wasPlaying;
+        return reached;
+    }
+    
+    /**
+     * Jump to a time in the song (to the nearest tick), like seek()
+     * Past the end the song keeps looping, the same as it would when playing
+     * @param {number} seconds - Time from the start of the song
+     */
+    seekTime(seconds) {
+        if (!this.song) return;
+        
+        const wasPlaying = this.isPlaying;
+        const loopMode = this.patternLoopMode;
+        this.patternLoopMode = false;
+        this.restart();
+        
+        let time = 0;
+        while (time + this.samplesPerTick / this.sampleRate <= seconds) {
+            time += this.samplesPerTick / this.sampleRate;
+            this.skipTick();
+        }
+        
+        this.patternLoopMode = loopMode;
+        this.isPlaying = wasPlaying;
+    }
+    
+    /**
+     * Reset channels and tempo and start from the top (used by seek)
+     * @private
+     */
+    restart() {
+        for (let state of this.channelStates) {
+            const blep = state.blep;
+            Object.assign(state, createChannelState());
+            state.blep = blep;
+        }
+        this.tempo = this.song.tempo;
+        this.bpm = this.song.bpm;
+        this.updateTiming();
+        this.play(0, 0);
+        
+        // Run the first tick on the next mixed frame
+        this.sampleCounter = this.samplesPerTick;
+    }
+    
+    /**
+     * Run one tick without mixing, advancing the voices as mixAudio would
+     * @private
+     */
+    skipTick() {
+        this.processTick();
+        
+        for (let ch = 0; ch < this.channelStates.length; ch++) {
+            const state = this.channelStates[ch];
+            if (this.mutedChannels[ch] || state.period === 0 || state.instrument === 0) continue;
+            state.samplePos += state.sampleRate * this.samplesPerTick;
+        }
+    }
+    
     /**
      * Get current playback state
      */
@@ -196,9 +520,19 @@ export class PaulaEngine {
             row: this.playingRow,
             tempo: this.tempo,
             bpm: this.bpm,
+            clock: this.clock,
+            timing: this.timing,
             patternLoop: this.patternLoopMode,
+            songLoops: this.songLoopCount,
+            filterModel: this.filterModel,
+            interpolation: this.interpolation,
+            ledFilter: this.ledFilter,
             vuLevels: [...this.vuLevels],
             mutedChannels: [...this.mutedChannels],
+            stereoSeparation: this.stereoSeparation,
+            channelPans: [...this.channelPans],
+            masterVolume: this.masterVolume,
+            softLimiter: this.softLimiter,
         };
     }
     
@@ -222,8 +556,14 @@ export class PaulaEngine {
      */
     processTick() {
         if (this.tickCounter === 0) {
-            // Process new row
-            this.processRow();
+            if (this.patternDelayCount === 0) {
+                // Process new row
+                this.trackVisitedRow();
+                this.processRow();
+            } else {
+                // EEx: repeat the row without reading new notes
+                this.processRowRepeat();
+            }
             this.playingRow = this.currentRow;
         }
         
@@ -234,41 +574,78 @@ export class PaulaEngine {
         this.tickCounter++;
         if (this.tickCounter >= this.tempo) {
             this.tickCounter = 0;
-            this.currentRow++;
-            
-            // Check for pattern break or position jump
-            if (this.positionJump) {
-                this.currentPosition = this.positionJumpTarget;
-                this.currentRow = 0;
-                this.positionJump = false;
-                this.patternBreak = false;
-                
-                // Bounds check
-                if (this.currentPosition >= this.song.songLength) {
-                    this.currentPosition = 0;
-                }
-            } else if (this.patternBreak) {
-                this.currentRow = this.patternBreakRow;
-                this.patternBreak = false;
-                
-                if (!this.patternLoopMode) {
-                    this.currentPosition++;
-                    if (this.currentPosition >= this.song.songLength) {
-                        this.currentPosition = 0;
-                    }
-                }
-            } else if (this.currentRow >= 64) {
-                this.currentRow = 0;
-                
-                if (!this.patternLoopMode) {
-                    this.currentPosition++;
-                    
-                    if (this.currentPosition >= this.song.songLength) {
-                        this.currentPosition = 0;
-                    }
-                }
+            this.advanceRow();
+        }
+    }
+    
+    /**
+     * Move to the next row, applying pending loop/break/jump commands
+     * Mirrors ProTracker's mt_dskip/mt_NextPosition: E6x, Dxx and Bxx all
+     * share a single break row, so combining them on one row behaves
+     * exactly like the Amiga replayer (including its quirks)
+     */
+    advanceRow() {
+        this.currentRow++;
+        
+        // EEx: stay on this row until the delay has run out
+        if (this.patternDelay > 0) {
+            this.patternDelayCount = this.patternDelay;
+            this.patternDelay = 0;
+        }
+        if (this.patternDelayCount > 0) {
+            this.patternDelayCount--;
+            if (this.patternDelayCount > 0) {
+                this.currentRow--;
             }
         }
+        
+        // E6x: jump back to loop start within the same pattern
+        if (this.patternLoopJump) {
+            this.patternLoopJump = false;
+            this.currentRow = this.patternBreakRow;
+            this.patternBreakRow = 0;
+        }
+        
+        if (!this.positionJump && !this.patternBreak && this.currentRow < 64) {
+            return;
+        }
+        
+        // Next position starts at the break row (Dxx), or row 0
+        this.currentRow = this.patternBreakRow;
+        this.patternBreakRow = 0;
+        
+        if (this.positionJump) {
+            this.currentPosition = this.positionJumpTarget;
+        } else if (!this.patternLoopMode) {
+            this.currentPosition++;
+        }
+        this.positionJump = false;
+        this.patternBreak = false;
+        
+        // Past the end: continue at the restart position (if the song has one)
+        if (this.currentPosition >= this.song.songLength) {
+            const restart = this.song.restartPosition || 0;
+            this.currentPosition = restart < this.song.songLength ? restart : 0;
+        }
+    }
+    
+    /**
+     * Song-end detection, called when a new row starts
+     * Playing a row for the second time means the song has looped - whether
+     * by running off the end, a backward Bxx jump or a Dxx/Bxx cycle. E6x
+     * loops clear the rows they repeat, so they don't count.
+     */
+    trackVisitedRow() {
+        if (this.patternLoopMode) return;
+        
+        const key = this.currentPosition * 64 + this.currentRow;
+        if (this.visitedRows[key]) {
+            this.songLoopCount++;
+            this.songLoopPosition = this.currentPosition;
+            this.songLoopRow = this.currentRow;
+            this.visitedRows.fill(0);
+        }
+        this.visitedRows[key] = 1;
     }
     
     /**
@@ -283,18 +660,34 @@ export class PaulaEngine {
         // Safety check - pattern might be undefined
         if (!pattern) return;
         
-        for (let ch = 0; ch < 4; ch++) {
-            const note = pattern.getNote(this.currentRow, ch);
+        for (let ch = 0; ch < this.channelStates.length; ch++) {
+            let note = pattern.getNote(this.currentRow, ch);
             const state = this.channelStates[ch];
             
+            // Ultimate Soundtracker effects play as their ProTracker equivalents
+            if (this.song.effectMode === 'ust') {
+                const [effect, param] = convertUSTEffect(note.effect, note.param);
+                note = { period: note.period, instrument: note.instrument, effect, param };
+            }
+            
             // Store effect for tick processing
             state.effect = note.effect;
             state.param = note.param;
+            state.rowPeriod = note.period;
             
             // Reset note delay for this row
             state.noteDelayTicks = 0;
             state.delayedNote = null;
             
+            // Tremolo only modulates the ticks it runs on
+            state.tremoloValue = 0;
+            
+            // Instrument number: loads volume/finetune even without a note and
+            // on 3xx/5xy/EDx rows, like ProTracker
+            if (note.instrument > 0) {
+                this.loadInstrument(state, note.instrument);
+            }
+            
             // Check for EDx (Note Delay) FIRST
             if (note.effect === 0xE) {
                 const extCmd = (note.param >> 4) & 0xF;
@@ -325,26 +718,21 @@ export class PaulaEngine {
                 if (note.param > 0) {
                     state.slideSpeed = note.param;
                 }
-                if (note.period > 0) {
-                    state.slideTarget = note.period;
-                }
+                this.setPortamentoTarget(state, note);
                 // Don't trigger new sample
                 continue;
             }
             
             // Effect 5: Tone Portamento + Volume Slide (5xy)
             if (note.effect === 0x5) {
-                if (note.period > 0) {
-                    state.slideTarget = note.period;
-                }
+                this.setPortamentoTarget(state, note);
                 // Continue with slide, don't retrigger
                 continue;
             }
             
             // Effect 9: Set Sample Offset (9xx)
-            let sampleOffset = 0;
             if (note.effect === 0x9) {
-                sampleOffset = note.param * 256;
+                this.applySampleOffset(state, note.param);
             }
             
             // Effect E: Extended commands
@@ -352,35 +740,42 @@ export class PaulaEngine {
                 const extCmd = (note.param >> 4) & 0xF;
                 const extParam = note.param & 0xF;
                 
-                // E1x: Fine Slide Up
-                if (extCmd === 0x1) {
-                    state.period = Math.max(113, state.period - extParam);
-                    state.sampleRate = this.periodToRate(state.period);
-                }
-                // E2x: Fine Slide Down
-                else if (extCmd === 0x2) {
-                    state.period = Math.min(856, state.period + extParam);
-                    state.sampleRate = this.periodToRate(state.period);
+                // E0x: LED Filter (E00 = on, E01 = off)
+                if (extCmd === 0x0) {
+                    this.ledFilter = (extParam & 0x1) === 0;
                 }
                 // E5x: Set Finetune
                 else if (extCmd === 0x5) {
                     // Store finetune for this channel
                     state.finetune = extParam > 7 ? extParam - 16 : extParam;
                 }
-                // EAx: Fine Volume Slide Up
-                else if (extCmd === 0xA) {
-                    state.volume = Math.min(64, state.volume + extParam);
+                // E3x: Glissando Control (0 = smooth, 1 = semitone steps)
+                else if (extCmd === 0x3) {
+                    state.glissando = extParam !== 0;
+                }
+                // E4x: Vibrato Waveform (bit 2 set = don't reset on new note)
+                else if (extCmd === 0x4) {
+                    state.vibratoWaveform = extParam & 0x3;
+                    state.vibratoRetrigger = (extParam & 0x4) === 0;
+                }
+                // E7x: Tremolo Waveform (bit 2 set = don't reset on new note)
+                else if (extCmd === 0x7) {
+                    state.tremoloWaveform = extParam & 0x3;
+                    state.tremoloRetrigger = (extParam & 0x4) === 0;
                 }
-                // EBx: Fine Volume Slide Down
-                else if (extCmd === 0xB) {
-                    state.volume = Math.max(0, state.volume - extParam);
+                // EEx: Pattern Delay (ignored while a delay is already running)
+                else if (extCmd === 0xE && this.patternDelayCount === 0) {
+                    this.patternDelay = extParam + 1;
                 }
+                // E1x/E2x/E6x/EAx/EBx: after the note trigger below
             }
             
             // Effect B: Position Jump (Bxx)
+            // Like ProTracker, this clears any break row set by an earlier channel
             if (note.effect === 0xB) {
                 this.positionJump = true;
                 this.positionJumpTarget = note.param;
+                this.patternBreakRow = 0;
             }
             
             // Effect D: Pattern Break (Dxx)
@@ -392,8 +787,9 @@ export class PaulaEngine {
             }
             
             // Effect F: Set Speed/Tempo (Fxx)
+            // With VBlank timing there is no BPM, so every value is a speed
             if (note.effect === 0xF && note.param > 0) {
-                if (note.param < 32) {
+                if (note.param < 32 || this.timing === 'vblank') {
                     this.tempo = note.param;
                 } else {
                     this.bpm = note.param;
@@ -408,38 +804,170 @@ export class PaulaEngine {
             
             // Trigger note (except for effects that prevent retriggering)
             if (note.period > 0) {
-                // Apply finetune to the period if instrument has finetune
-                let finalPeriod = note.period;
-                
-                if (note.instrument > 0) {
-                    state.instrument = note.instrument;
-                    const inst = this.song.getInstrument(note.instrument);
-                    if (inst && !inst.isEmpty()) {
-                        // Apply finetune to period
-                        const finetune = inst.finetune || 0;
-                        if (finetune !== 0) {
-                            finalPeriod = this.applyFinetune(note.period, finetune);
-                        }
-                        
-                        // Only reset volume if no Cxx effect
-                        if (note.effect !== 0xC) {
-                            state.volume = inst.volume;
-                        }
-                    }
-                }
+                const finalPeriod = state.finetune !== 0 ? this.applyFinetune(note.period, state.finetune) : note.period;
                 
+                state.instrument = state.lastInstrument;
                 state.period = finalPeriod;
-                state.samplePos = sampleOffset;
+                state.samplePos = this.getStartPosition(state);
                 state.sampleRate = this.periodToRate(finalPeriod);
+                this.resetWaveforms(state);
+                
+                // ProTracker runs 9xx a second time after triggering, so a
+                // later note without an instrument number starts at twice
+                // the offset
+                if (note.effect === 0x9) {
+                    this.applySampleOffset(state, note.param);
+                }
+            }
+            
+            // Fine slides act on the note just triggered, as in ProTracker
+            if (note.effect === 0xE) {
+                this.processFineEffect(state, (note.param >> 4) & 0xF, note.param & 0xF);
+            }
+        }
+    }
+    
+    /**
+     * Load an instrument number into a channel
+     * Sets volume and finetune straight away, even without a note (the
+     * "ghost" instrument trick); the sample itself only changes on the next
+     * note. ProTracker's sample swap at the end of a loop isn't emulated.
+     * @param {Object} state - Channel state
+     * @param {number} instrument - Instrument number (1-31)
+     */
+    loadInstrument(state, instrument) {
+        state.lastInstrument = instrument;
+        state.sampleStart = 0;
+        
+        const inst = this.song.getInstrument(instrument);
+        if (inst) {
+            state.volume = inst.volume;
+            state.finetune = inst.finetune || 0;
+        }
+    }
+    
+    /**
+     * 9xx: move the channel's sample start (ProTracker mt_SampleOffset)
+     * 900 reuses the last offset. Offsets add up until the next instrument
+     * number; past the end the note plays the loop, or nothing if the
+     * sample doesn't loop.
+     * @param {Object} state - Channel state
+     * @param {number} param - Effect parameter (offset / 256)
+     */
+    applySampleOffset(state, param) {
+        if (param > 0) {
+            state.sampleOffset = param;
+        }
+        
+        const inst = this.song.getInstrument(state.lastInstrument);
+        if (!inst) return;
+        
+        const offset = state.sampleOffset * 256;
+        if (offset < inst.length - state.sampleStart) {
+            state.sampleStart += offset;
+        } else {
+            state.sampleStart = inst.length;
+        }
+    }
+    
+    /**
+     * Sample position a note (or retrigger) starts from
+     */
+    getStartPosition(state) {
+        const inst = this.song.getInstrument(state.instrument);
+        if (inst && state.sampleStart >= inst.length && inst.hasLoop()) {
+            return inst.repeatStart;
+        }
+        return state.sampleStart;
+    }
+    
+    /**
+     * Tick-0 extended commands (E1x, E2x, E6x, EAx, EBx)
+     * Run once per row, and again on every repeat of an EEx delayed row
+     * @param {Object} state - Channel state
+     * @param {number} extCmd - Extended command (high nibble)
+     * @param {number} extParam - Extended parameter (low nibble)
+     */
+    processFineEffect(state, extCmd, extParam) {
+        // E1x: Fine Slide Up
+        if (extCmd === 0x1) {
+            state.period = Math.max(113, state.period - extParam);
+            state.sampleRate = this.periodToRate(state.period);
+        }
+        // E2x: Fine Slide Down
+        else if (extCmd === 0x2) {
+            state.period = Math.min(856, state.period + extParam);
+            state.sampleRate = this.periodToRate(state.period);
+        }
+        // E6x: Pattern Loop
+        else if (extCmd === 0x6) {
+            this.processPatternLoop(state, extParam);
+        }
+        // EAx: Fine Volume Slide Up
+        else if (extCmd === 0xA) {
+            state.volume = Math.min(64, state.volume + extParam);
+        }
+        // EBx: Fine Volume Slide Down
+        else if (extCmd === 0xB) {
+            state.volume = Math.max(0, state.volume - extParam);
+        }
+    }
+    
+    /**
+     * Repeat a row delayed by EEx (tick 0 of each extra repetition)
+     * Like ProTracker's mt_NoNewAllChannels: no notes are read or retriggered,
+     * but tick-0 extended commands run again for every repeat
+     */
+    processRowRepeat() {
+        for (let ch = 0; ch < this.channelStates.length; ch++) {
+            const state = this.channelStates[ch];
+            if (state.effect === 0xE) {
+                this.processFineEffect(state, (state.param >> 4) & 0xF, state.param & 0xF);
             }
         }
     }
     
+    /**
+     * E6x: Pattern loop (tick 0 only)
+     * E60 marks the loop start, E6x repeats from there x times.
+     * The loop start row is per channel and is NOT reset when the pattern
+     * changes, so an E6x without a preceding E60 jumps to the row set in a
+     * previous pattern - same as ProTracker.
+     * @param {Object} state - Channel state
+     * @param {number} count - Loop count (0 = set loop start)
+     */
+    processPatternLoop(state, count) {
+        if (count === 0) {
+            state.loopStartRow = this.currentRow;
+            return;
+        }
+        
+        if (state.loopCount === 0) {
+            state.loopCount = count;
+        } else {
+            state.loopCount--;
+            if (state.loopCount === 0) return;  // Loop finished
+        }
+        
+        this.patternBreakRow = state.loopStartRow;
+        this.patternLoopJump = true;
+        
+        // The repeated rows are played again on purpose - not a song loop
+        const base = this.currentPosition * 64;
+        this.visitedRows.fill(0, base + state.loopStartRow, base + this.currentRow + 1);
+    }
+    
     /**
      * Process effects on non-zero ticks
+     * Effect memory (3xx speed, 4xy/7xy nibbles, 9xx offset) lives in the
+     * channel state and matches ProTracker 2.3 - see EFFECTS_REFERENCE.md
      */
     processEffects() {
-        for (let ch = 0; ch < 4; ch++) {
+        // Slides, vibrato etc. skip tick 0 - except on EEx repeats, where
+        // ProTracker runs them on every tick of the repeated row
+        const firstTick = this.tickCounter === 0 && this.patternDelayCount === 0;
+        
+        for (let ch = 0; ch < this.channelStates.length; ch++) {
             const state = this.channelStates[ch];
             const effect = state.effect;
             const param = state.param;
@@ -449,41 +977,25 @@ export class PaulaEngine {
                 const delNote = state.delayedNote;
                 
                 // Trigger the delayed note
+                // (its instrument number was already loaded on tick 0)
                 if (delNote.period > 0) {
-                    state.period = delNote.period;
-                    state.samplePos = 0;
-                    state.sampleRate = this.periodToRate(delNote.period);
-                    
-                    if (delNote.instrument > 0) {
-                        state.instrument = delNote.instrument;
-                        const inst = this.song.getInstrument(delNote.instrument);
-                        if (inst && !inst.isEmpty()) {
-                            // Set volume from instrument (unless Cxx was used)
-                            if (delNote.effect !== 0xC) {
-                                state.volume = inst.volume;
-                            }
-                        }
-                    }
+                    state.instrument = state.lastInstrument;
+                    state.period = state.finetune !== 0 ? this.applyFinetune(delNote.period, state.finetune) : delNote.period;
+                    state.samplePos = this.getStartPosition(state);
+                    state.sampleRate = this.periodToRate(state.period);
+                    this.resetWaveforms(state);
                 }
                 
-                // Clear delayed note after triggering
-                state.delayedNote = null;
+                // Delayed note stays armed until the next row, so an EEx
+                // repeat triggers it again (ProTracker behavior)
             }
             
             // Effect 0: Arpeggio (0xy)
             if (effect === 0x0 && param !== 0) {
                 const tick = this.tickCounter % 3;
+                const finetune = state.finetune;
                 let period = state.period;
                 
-                // Get finetune from current instrument
-                let finetune = 0;
-                if (state.instrument > 0) {
-                    const inst = this.song.getInstrument(state.instrument);
-                    if (inst && !inst.isEmpty()) {
-                        finetune = inst.finetune || 0;
-                    }
-                }
-                
                 if (tick === 1 && state.arpeggioNote1 > 0) {
                     // Add semitones based on first parameter
                     period = this.applyArpeggio(state.period, state.arpeggioNote1, finetune);
@@ -495,34 +1007,29 @@ export class PaulaEngine {
                 state.sampleRate = this.periodToRate(period);
             }
             
-            // Effect 1: Slide Up (1xx)
-            else if (effect === 0x1 && param > 0) {
+            // Effect 1: Slide Up (1xx) - no memory, 100 does nothing
+            // Only process on ticks 1+, not on tick 0
+            else if (effect === 0x1 && param > 0 && !firstTick) {
                 state.period = Math.max(113, state.period - param);
                 state.sampleRate = this.periodToRate(state.period);
             }
             
-            // Effect 2: Slide Down (2xx)
-            else if (effect === 0x2 && param > 0) {
+            // Effect 2: Slide Down (2xx) - no memory, 200 does nothing
+            // Only process on ticks 1+, not on tick 0
+            else if (effect === 0x2 && param > 0 && !firstTick) {
                 state.period = Math.min(856, state.period + param);
                 state.sampleRate = this.periodToRate(state.period);
             }
             
             // Effect 3: Tone Portamento (3xx)
             // Only process on ticks 1+, not on tick 0
-            else if (effect === 0x3 && this.tickCounter > 0) {
-                if (state.slideTarget > 0) {
-                    if (state.period < state.slideTarget) {
-                        state.period = Math.min(state.slideTarget, state.period + state.slideSpeed);
-                    } else if (state.period > state.slideTarget) {
-                        state.period = Math.max(state.slideTarget, state.period - state.slideSpeed);
-                    }
-                    state.sampleRate = this.periodToRate(state.period);
-                }
+            else if (effect === 0x3 && !firstTick) {
+                this.applyTonePortamento(state);
             }
             
             // Effect 4: Vibrato (4xy)
             // Only process on ticks 1+, not on tick 0
-            else if (effect === 0x4 && this.tickCounter > 0) {
+            else if (effect === 0x4 && !firstTick) {
                 if (param > 0) {
                     const speed = (param >> 4) & 0xF;
                     const depth = param & 0xF;
@@ -530,34 +1037,14 @@ export class PaulaEngine {
                     if (depth > 0) state.vibratoDepth = depth;
                 }
                 
-                // Use ProTracker's authentic vibrato table
-                const tablePos = (state.vibratoPos >> 2) & 0x1F;  // vibratoPos is 0-255, table is 0-31
-                const tableValue = VIBRATO_TABLE[tablePos];  // 0-255
-                
-                // Calculate vibrato delta
-                // tableValue ranges 0-255, centered at 127.5
-                // We need to make it signed: -128 to +127
-                const signedValue = tableValue - 128;
-                const delta = (signedValue * state.vibratoDepth) >> 7;  // Divide by 128 (right shift 7)
-                
-                state.vibratoPos = (state.vibratoPos + (state.vibratoSpeed * 4)) & 0xFF;
-                
-                const vibratoPeriod = Math.max(113, Math.min(856, state.period + delta));
-                state.sampleRate = this.periodToRate(vibratoPeriod);
+                this.applyVibrato(state);
             }
             
             // Effect 5: Tone Portamento + Volume Slide (5xy)
             // Only process on ticks 1+, not on tick 0
-            else if (effect === 0x5 && this.tickCounter > 0) {
+            else if (effect === 0x5 && !firstTick) {
                 // Do tone portamento
-                if (state.slideTarget > 0) {
-                    if (state.period < state.slideTarget) {
-                        state.period = Math.min(state.slideTarget, state.period + state.slideSpeed);
-                    } else if (state.period > state.slideTarget) {
-                        state.period = Math.max(state.slideTarget, state.period - state.slideSpeed);
-                    }
-                    state.sampleRate = this.periodToRate(state.period);
-                }
+                this.applyTonePortamento(state);
                 
                 // Do volume slide
                 const up = (param >> 4) & 0xF;
@@ -571,17 +1058,9 @@ export class PaulaEngine {
             
             // Effect 6: Vibrato + Volume Slide (6xy)
             // Only process on ticks 1+, not on tick 0
-            else if (effect === 0x6 && this.tickCounter > 0) {
-                // Do vibrato using ProTracker table
-                const tablePos = (state.vibratoPos >> 2) & 0x1F;
-                const tableValue = VIBRATO_TABLE[tablePos];
-                const signedValue = tableValue - 128;
-                const delta = (signedValue * state.vibratoDepth) >> 7;
-                
-                state.vibratoPos = (state.vibratoPos + (state.vibratoSpeed * 4)) & 0xFF;
-                
-                const vibratoPeriod = Math.max(113, Math.min(856, state.period + delta));
-                state.sampleRate = this.periodToRate(vibratoPeriod);
+            else if (effect === 0x6 && !firstTick) {
+                // Do vibrato with the last 4xy speed/depth
+                this.applyVibrato(state);
                 
                 // Do volume slide
                 const up = (param >> 4) & 0xF;
@@ -595,7 +1074,7 @@ export class PaulaEngine {
             
             // Effect 7: Tremolo (7xy)
             // Only process on ticks 1+, not on tick 0
-            else if (effect === 0x7 && this.tickCounter > 0) {
+            else if (effect === 0x7 && !firstTick) {
                 if (param > 0) {
                     const speed = (param >> 4) & 0xF;
                     const depth = param & 0xF;
@@ -603,16 +1082,12 @@ export class PaulaEngine {
                     if (depth > 0) state.tremoloDepth = depth;
                 }
                 
-                const delta = Math.sin(state.tremoloPos * Math.PI / 32) * state.tremoloDepth;
-                state.tremoloPos = (state.tremoloPos + state.tremoloSpeed) & 63;
-                
-                // Tremolo modulates volume, applied in getChannelSample
-                state.tremoloValue = delta;
+                this.applyTremolo(state);
             }
             
             // Effect A: Volume Slide (Axy)
             // Only process on ticks 1+, not on tick 0
-            else if (effect === 0xA && this.tickCounter > 0) {
+            else if (effect === 0xA && !firstTick) {
                 const up = (param >> 4) & 0xF;
                 const down = param & 0xF;
                 if (up > 0) {
@@ -627,10 +1102,11 @@ export class PaulaEngine {
                 const extCmd = (param >> 4) & 0xF;
                 const extParam = param & 0xF;
                 
-                // E9x: Retrigger Note
+                // E9x: Retrigger Note (not on tick 0 of a row with a note -
+                // that one was just triggered)
                 if (extCmd === 0x9 && extParam > 0) {
-                    if (this.tickCounter % extParam === 0) {
-                        state.samplePos = 0;
+                    if (this.tickCounter % extParam === 0 && !(this.tickCounter === 0 && state.rowPeriod > 0)) {
+                        state.samplePos = this.getStartPosition(state);
                     }
                 }
                 // ECx: Note Cut
@@ -639,11 +1115,129 @@ export class PaulaEngine {
                         state.volume = 0;
                     }
                 }
+                // E4x/E7x: Waveform control - handled in processRow
                 // EDx: Note Delay - handled in processRow and processEffects
+                // EEx: Pattern Delay - handled in processRow and advanceRow
             }
         }
     }
     
+    /**
+     * Set the tone portamento (3xx/5xx) target from a pattern note
+     * The target is finetuned like a normal note trigger, using the note's
+     * instrument if it has one, otherwise the channel's current finetune
+     */
+    setPortamentoTarget(state, note) {
+        if (note.period === 0) return;
+        
+        let finetune = state.finetune;
+        if (note.instrument > 0) {
+            const inst = this.song.getInstrument(note.instrument);
+            if (inst && !inst.isEmpty()) {
+                finetune = inst.finetune || 0;
+            }
+        }
+        
+        state.slideTarget = finetune !== 0 ? this.applyFinetune(note.period, finetune) : note.period;
+    }
+    
+    /**
+     * Apply one tick of tone portamento (3xx/5xx)
+     * With glissando (E3x) the channel period still slides smoothly, but the
+     * audible period is snapped to the nearest semitone, like ProTracker
+     */
+    applyTonePortamento(state) {
+        if (state.slideTarget === 0) return;
+        
+        if (state.period < state.slideTarget) {
+            state.period = Math.min(state.slideTarget, state.period + state.slideSpeed);
+        } else if (state.period > state.slideTarget) {
+            state.period = Math.max(state.slideTarget, state.period - state.slideSpeed);
+        }
+        
+        const period = state.glissando ? this.snapToSemitone(state.period, state.finetune) : state.period;
+        state.sampleRate = this.periodToRate(period);
+    }
+    
+    /**
+     * Snap a period to a semitone of the finetuned period table
+     * Picks the first note whose period is not above the given one (as
+     * ProTracker's glissando does), falling back to the highest note
+     * @param {number} period - Period to snap
+     * @param {number} finetune - Finetune value (-8 to +7)
+     * @returns {number} Period of the semitone
+     */
+    snapToSemitone(period, finetune = 0) {
+        const tuneIndex = Math.max(0, Math.min(15, finetune + 8));
+        
+        for (let i = 0; i < PERIOD_TABLE_WITH_FINETUNE.length; i++) {
+            const notePeriod = PERIOD_TABLE_WITH_FINETUNE[i].tune[tuneIndex];
+            if (period >= notePeriod) {
+                return notePeriod;
+            }
+        }
+        
+        return PERIOD_TABLE_WITH_FINETUNE[PERIOD_TABLE_WITH_FINETUNE.length - 1].tune[tuneIndex];
+    }
+    
+    /**
+     * Reset vibrato/tremolo positions on a new note (unless E4x/E7x bit 2 is set)
+     */
+    resetWaveforms(state) {
+        if (state.vibratoRetrigger) state.vibratoPos = 0;
+        if (state.tremoloRetrigger) state.tremoloPos = 0;
+    }
+    
+    /**
+     * Get vibrato/tremolo waveform magnitude (0-255) at a position
+     * Matches ProTracker 2.3: the sign comes from bit 7 of the position, the
+     * table only holds a half-period. Random (3) is played as square, exactly
+     * like the Amiga replayer does.
+     * @param {number} waveform - Waveform (0=sine, 1=ramp down, 2=square, 3=random)
+     * @param {number} pos - Oscillator position (0-255)
+     * @param {number} rampPos - Position whose sign drives the ramp
+     * @returns {number} Magnitude (0-255)
+     */
+    getWaveformValue(waveform, pos, rampPos) {
+        const tablePos = (pos >> 2) & 0x1F;
+        
+        if (waveform === 0) {
+            return VIBRATO_TABLE[tablePos];
+        }
+        if (waveform === 1) {
+            const ramp = (tablePos << 3) & 0xFF;
+            return rampPos < 128 ? ramp : 255 - ramp;
+        }
+        return 255;
+    }
+    
+    /**
+     * Apply one tick of vibrato (4xy/6xy) to the channel's playback rate
+     */
+    applyVibrato(state) {
+        const value = this.getWaveformValue(state.vibratoWaveform, state.vibratoPos, state.vibratoPos);
+        const delta = (value * state.vibratoDepth) >> 7;
+        const period = state.vibratoPos < 128 ? state.period + delta : state.period - delta;
+        
+        state.vibratoPos = (state.vibratoPos + state.vibratoSpeed * 4) & 0xFF;
+        
+        const vibratoPeriod = Math.max(113, Math.min(856, period));
+        state.sampleRate = this.periodToRate(vibratoPeriod);
+    }
+    
+    /**
+     * Apply one tick of tremolo (7xy) - result is used in getChannelSample
+     */
+    applyTremolo(state) {
+        // ProTracker bug: the ramp-down tremolo takes its sign from the
+        // vibrato position, not the tremolo position
+        const value = this.getWaveformValue(state.tremoloWaveform, state.tremoloPos, state.vibratoPos);
+        const delta = (value * state.tremoloDepth) >> 6;
+        
+        state.tremoloValue = state.tremoloPos < 128 ? delta : -delta;
+        state.tremoloPos = (state.tremoloPos + state.tremoloSpeed * 4) & 0xFF;
+    }
+    
     /**
      * Apply arpeggio semitone shift to period
      */
@@ -709,8 +1303,8 @@ export class PaulaEngine {
             return basePeriod; // Fallback
         }
         
-        // Apply semitone shift (subtract because lower index = higher pitch)
-        const targetIndex = Math.max(0, Math.min(PERIOD_TABLE_WITH_FINETUNE.length - 1, noteIndex - semitones));
+        // Apply semitone shift (the table runs from C-1 up, so higher index = higher pitch)
+        const targetIndex = Math.min(PERIOD_TABLE_WITH_FINETUNE.length - 1, noteIndex + semitones);
         
         // Return the finetuned period for the target note
         return PERIOD_TABLE_WITH_FINETUNE[targetIndex].tune[tuneIndex];
@@ -720,8 +1314,13 @@ export class PaulaEngine {
      * Mix audio for the given number of frames
      * Returns stereo samples [L, R, L, R, ...]
      * This is the ONLY method that generates audio samples
+     * @param {number} numFrames - Number of stereo frames to mix
+     * @param {Float32Array[]} stems - Optional per-channel stereo buffers
+     *   (numFrames * 2 each). Each gets its channel with panning, master
+     *   volume and output filter applied, so the stems sum to the mix
+     *   (before clipping). Muted channels stay silent.
      */
-    mixAudio(numFrames) {
+    mixAudio(numFrames, stems = null) {
         const output = new Float32Array(numFrames * 2);  // Stereo
         
         if (!this.isPlaying || !this.song) {
@@ -740,29 +1339,76 @@ export class PaulaEngine {
             let left = 0;
             let right = 0;
             
-            for (let ch = 0; ch < 4; ch++) {
+            for (let ch = 0; ch < this.channelStates.length; ch++) {
                 if (this.mutedChannels[ch]) continue;
                 
                 const sample = this.getChannelSample(ch);
                 
-                // Amiga stereo panning: channels 0,3 left, 1,2 right
-                if (ch === 0 || ch === 3) {
-                    left += sample * 0.7;
-                    right += sample * 0.3;
-                } else {
-                    left += sample * 0.3;
-                    right += sample * 0.7;
+                // Stereo panning (see updatePanning)
+                const channelLeft = sample * this.panGains[ch][0];
+                const channelRight = sample * this.panGains[ch][1];
+                left += channelLeft;
+                right += channelRight;
+                
+                if (stems) {
+                    this.writeStemFrame(ch, stems[ch], frame, channelLeft, channelRight);
                 }
             }
             
+            // Amiga low-pass/LED/high-pass stages
+            if (this.filter) {
+                this.filter.process(left, right, this.ledFilter);
+                left = this.filter.left;
+                right = this.filter.right;
+            }
+            
             // Master volume and clipping
-            output[frame * 2 + 0] = Math.max(-1, Math.min(1, left * 0.5));
-            output[frame * 2 + 1] = Math.max(-1, Math.min(1, right * 0.5));
+            output[frame * 2 + 0] = this.limit(left * this.masterVolume);
+            output[frame * 2 + 1] = this.limit(right * this.masterVolume);
         }
         
         return output;
     }
     
+    /**
+     * Write one frame of a channel stem (used by mixAudio)
+     * Each stem gets its own copy of the output filter so filtering the
+     * stems separately sums to the same result as filtering the mix
+     */
+    writeStemFrame(ch, stem, frame, left, right) {
+        if (this.filter) {
+            if (!this.stemFilters || this.stemFilters[0].model !== this.filterModel) {
+                this.stemFilters = this.channelStates.map(() => new AmigaFilter(this.sampleRate, this.filterModel));
+            }
+            const filter = this.stemFilters[ch];
+            filter.process(left, right, this.ledFilter);
+            left = filter.left;
+            right = filter.right;
+        }
+        
+        stem[frame * 2 + 0] = left * this.masterVolume;
+        stem[frame * 2 + 1] = right * this.masterVolume;
+    }
+    
+    /**
+     * Keep an output sample within -1..1
+     * Hard clip, or with the soft limiter a curve that leaves everything
+     * below LIMITER_THRESHOLD alone and bends louder peaks smoothly towards 1
+     */
+    limit(sample) {
+        if (!this.softLimiter) {
+            return Math.max(-1, Math.min(1, sample));
+        }
+        
+        const level = Math.abs(sample);
+        if (level <= LIMITER_THRESHOLD) {
+            return sample;
+        }
+        const knee = 1 - LIMITER_THRESHOLD;
+        const limited = LIMITER_THRESHOLD + knee * Math.tanh((level - LIMITER_THRESHOLD) / knee);
+        return sample < 0 ? -limited : limited;
+    }
+    
     /**
      * Get sample from a single channel
      */
@@ -778,6 +1424,46 @@ export class PaulaEngine {
             return 0;
         }
         
+        // Resample the instrument at the channel's playback rate
+        let sample;
+        if (this.interpolation === 'blep') {
+            sample = this.getBlepSample(state, inst);
+        } else if (this.interpolation === 'none') {
+            // Raw step - Paula's own zero-order hold, aliasing included
+            sample = this.readSample(inst, Math.floor(state.samplePos));
+            state.samplePos += state.sampleRate;
+        } else {
+            sample = this.getLinearSample(state, inst);
+        }
+        
+        // Apply tremolo (volume modulation)
+        let volume = state.volume;
+        if (state.tremoloValue !== undefined) {
+            volume = Math.max(0, Math.min(64, volume + state.tremoloValue));
+        }
+        
+        // Update VU meter with peak tracking and decay
+        const currentLevel = Math.abs(sample) * (volume / 64);
+        
+        // If new level is higher than current peak, update peak
+        if (currentLevel > this.vuPeaks[ch]) {
+            this.vuPeaks[ch] = currentLevel;
+        } else {
+            // Otherwise, let the peak decay slowly
+            this.vuPeaks[ch] *= this.vuDecay;
+        }
+        
+        // Convert peak to 0-64 range for display (scaled from 0-1 sample range)
+        this.vuLevels[ch] = Math.min(64, this.vuPeaks[ch] * 64);
+        
+        // Apply volume
+        return sample * (volume / 64);
+    }
+    
+    /**
+     * Linearly interpolated channel sample (advances the sample position)
+     */
+    getLinearSample(state, inst) {
         // Get current sample with LINEAR INTERPOLATION
         // This prevents clicks/crackles when pitch changes rapidly (arpeggio, vibrato)
         const pos = state.samplePos;
@@ -817,28 +1503,54 @@ export class PaulaEngine {
         // Advance position
         state.samplePos += state.sampleRate;
         
-        // Apply tremolo (volume modulation)
-        let volume = state.volume;
-        if (state.tremoloValue !== undefined) {
-            volume = Math.max(0, Math.min(64, volume + state.tremoloValue));
+        return sample;
+    }
+    
+    /**
+     * Band-limited channel sample (advances the sample position)
+     * The voice is treated as a zero-order hold like real Paula; every change
+     * of the held value is inserted as a minBLEP step at its exact sub-sample
+     * time. Volume is applied afterwards, so only sample steps are band-limited.
+     */
+    getBlepSample(state, inst) {
+        const blep = state.blep;
+        const startPos = state.samplePos;
+        
+        // Catch jumps that don't come from stepping (retrigger, 9xx, new note)
+        const current = this.readSample(inst, Math.floor(startPos));
+        if (current !== blep.lastValue) {
+            blep.add(0, blep.lastValue - current);
+            blep.lastValue = current;
         }
         
-        // Update VU meter with peak tracking and decay
-        const currentLevel = Math.abs(sample) * (volume / 64);
+        const sample = current + blep.run();
         
-        // If new level is higher than current peak, update peak
-        if (currentLevel > this.vuPeaks[ch]) {
-            this.vuPeaks[ch] = currentLevel;
-        } else {
-            // Otherwise, let the peak decay slowly
-            this.vuPeaks[ch] *= this.vuDecay;
+        // Insert a step for every sample boundary crossed during this frame
+        state.samplePos += state.sampleRate;
+        const endPos = state.samplePos;
+        for (let pos = Math.floor(startPos) + 1; pos <= endPos; pos++) {
+            const value = this.readSample(inst, pos);
+            if (value !== blep.lastValue) {
+                blep.add((endPos - pos) / state.sampleRate, blep.lastValue - value);
+                blep.lastValue = value;
+            }
         }
         
-        // Convert peak to 0-64 range for display (scaled from 0-1 sample range)
-        this.vuLevels[ch] = Math.min(64, this.vuPeaks[ch] * 64);
-        
-        // Apply volume
-        return sample * (volume / 64);
+        return sample;
+    }
+    
+    /**
+     * Read a single sample point, following the instrument loop
+     * @param {Instrument} inst - Instrument
+     * @param {number} pos - Integer sample position
+     * @returns {number} Sample value (0 past the end of a one-shot sample)
+     */
+    readSample(inst, pos) {
+        if (pos >= inst.length) {
+            if (!inst.hasLoop()) return 0;
+            pos = inst.repeatStart + (pos - inst.repeatStart) % inst.repeatLength;
+        }
+        return inst.sampleData[pos] || 0;
     }
     
     /**
@@ -0,0 +1,166 @@
+/**
+ * Band-limited step (minBLEP) synthesis
+ * Removes aliasing from Paula's zero-order-hold output, like pt2-clone/UADE
+ * Pure JavaScript - no platform dependencies
+ */
+
+const ZERO_CROSSINGS = 16;
+const OVERSAMPLING = 16;
+
+// Output samples touched by one step (ring buffer size, power of two)
+const BLEP_LENGTH = ZERO_CROSSINGS * 2;
+
+// Residual table (1 - minBLEP), built on first use
+let residualTable = null;
+
+/**
+ * Naive DFT - only used once to build the table, so speed doesn't matter
+ * @private
+ */
+function dft(realIn, imagIn, inverse) {
+    const n = realIn.length;
+    const realOut = new Float64Array(n);
+    const imagOut = new Float64Array(n);
+    const sign = inverse ? 1 : -1;
+    
+    // Twiddle factors, indexed by (k * i) % n
+    const cos = new Float64Array(n);
+    const sin = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        cos[i] = Math.cos((2 * Math.PI * i) / n);
+        sin[i] = sign * Math.sin((2 * Math.PI * i) / n);
+    }
+    
+    for (let k = 0; k < n; k++) {
+        let re = 0;
+        let im = 0;
+        for (let i = 0; i < n; i++) {
+            const t = (k * i) % n;
+            re += realIn[i] * cos[t] - imagIn[i] * sin[t];
+            im += realIn[i] * sin[t] + imagIn[i] * cos[t];
+        }
+        realOut[k] = inverse ? re / n : re;
+        imagOut[k] = inverse ? im / n : im;
+    }
+    
+    return { real: realOut, imag: imagOut };
+}
+
+/**
+ * Build the minBLEP residual table
+ * Windowed sinc -> minimum phase (real cepstrum) -> integrate
+ * @private
+ */
+function buildResidualTable() {
+    const n = ZERO_CROSSINGS * 2 * OVERSAMPLING + 1;
+    const zeros = new Float64Array(n);
+    
+    // Blackman-windowed sinc
+    const impulse = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        const x = -ZERO_CROSSINGS + (i / (n - 1)) * 2 * ZERO_CROSSINGS;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const r = i / (n - 1);
+        const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * r) + 0.08 * Math.cos(4 * Math.PI * r);
+        impulse[i] = sinc * window;
+    }
+    
+    // Real cepstrum
+    const spectrum = dft(impulse, zeros, false);
+    const logMagnitude = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        const magnitude = Math.hypot(spectrum.real[i], spectrum.imag[i]);
+        logMagnitude[i] = Math.log(Math.max(magnitude, 1e-20));
+    }
+    const cepstrum = dft(logMagnitude, zeros, true).real;
+    
+    // Fold cepstrum to get the minimum phase version
+    const folded = new Float64Array(n);
+    const half = Math.floor(n / 2);
+    folded[0] = cepstrum[0];
+    for (let i = 1; i < half; i++) {
+        folded[i] = 2 * cepstrum[i];
+    }
+    if (n % 2 === 0) {
+        folded[half] = cepstrum[half];
+    }
+    
+    const foldedSpectrum = dft(folded, zeros, false);
+    const expReal = new Float64Array(n);
+    const expImag = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        const magnitude = Math.exp(foldedSpectrum.real[i]);
+        expReal[i] = magnitude * Math.cos(foldedSpectrum.imag[i]);
+        expImag[i] = magnitude * Math.sin(foldedSpectrum.imag[i]);
+    }
+    const minPhase = dft(expReal, expImag, true).real;
+    
+    // Integrate into a step and store the residual (what's left to reach 1)
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        sum += minPhase[i];
+    }
+    
+    // +2 so lookups at the very end can interpolate into zeros
+    const table = new Float32Array(BLEP_LENGTH * OVERSAMPLING + 2);
+    let step = 0;
+    for (let i = 0; i < n && i < table.length; i++) {
+        step += minPhase[i];
+        table[i] = 1 - step / sum;
+    }
+    
+    return table;
+}
+
+/**
+ * Per-voice minBLEP accumulator
+ * Feed it every step in the voice's held output, then add run() to each
+ * output sample
+ */
+export class BlepBuffer {
+    constructor() {
+        if (!residualTable) {
+            residualTable = buildResidualTable();
+        }
+        this.buffer = new Float32Array(BLEP_LENGTH);
+        this.index = 0;
+        this.lastValue = 0;  // Currently held (unfiltered) voice output
+    }
+    
+    /**
+     * Add a band-limited step
+     * @param {number} offset - Time since the step, in output samples (0-1)
+     * @param {number} amplitude - Old value minus new value
+     */
+    add(offset, amplitude) {
+        let pos = offset * OVERSAMPLING;
+        
+        for (let i = 0; i < BLEP_LENGTH; i++) {
+            const idx = Math.floor(pos);
+            const frac = pos - idx;
+            const residual = residualTable[idx] + (residualTable[idx + 1] - residualTable[idx]) * frac;
+            this.buffer[(this.index + i) & (BLEP_LENGTH - 1)] += amplitude * residual;
+            pos += OVERSAMPLING;
+        }
+    }
+    
+    /**
+     * Get the correction for the current output sample and advance
+     * @returns {number} Value to add to the held voice output
+     */
+    run() {
+        const value = this.buffer[this.index];
+        this.buffer[this.index] = 0;
+        this.index = (this.index + 1) & (BLEP_LENGTH - 1);
+        return value;
+    }
+    
+    /**
+     * Clear pending steps
+     */
+    reset() {
+        this.buffer.fill(0);
+        this.index = 0;
+        this.lastValue = 0;
+    }
+}
@@ -16,7 +16,7 @@ export class Clipboard {
      */
     copyRow(pattern, row) {
         this.buffer = [];
-        for (let ch = 0; ch < 4; ch++) {
+        for (let ch = 0; ch < pattern.channels; ch++) {
             const note = pattern.getNote(row, ch);
             this.buffer.push({
                 period: note.period,
@@ -35,7 +35,7 @@ export class Clipboard {
         this.buffer = [];
         for (let row = 0; row < 64; row++) {
             const rowData = [];
-            for (let ch = 0; ch < 4; ch++) {
+            for (let ch = 0; ch < pattern.channels; ch++) {
                 const note = pattern.getNote(row, ch);
                 rowData.push({
                     period: note.period,
@@ -70,7 +70,9 @@ export class Clipboard {
         if (!this.buffer) return;
         
         if (this.type === 'row') {
-            for (let ch = 0; ch < 4; ch++) {
+            // Extra channels on either side are left alone
+            const channels = Math.min(pattern.channels, this.buffer.length);
+            for (let ch = 0; ch < channels; ch++) {
                 const note = pattern.getNote(row, ch);
                 const data = this.buffer[ch];
                 note.period = data.period;
@@ -79,8 +81,9 @@ export class Clipboard {
                 note.param = data.param;
             }
         } else if (this.type === 'pattern') {
+            const channels = Math.min(pattern.channels, this.buffer[0].length);
             for (let r = 0; r < 64; r++) {
-                for (let ch = 0; ch < 4; ch++) {
+                for (let ch = 0; ch < channels; ch++) {
                     const note = pattern.getNote(r, ch);
                     const data = this.buffer[r][ch];
                     note.period = data.period;
@@ -103,7 +106,7 @@ export class Clipboard {
      */
     clearPattern(pattern) {
         for (let row = 0; row < 64; row++) {
-            for (let ch = 0; ch < 4; ch++) {
+            for (let ch = 0; ch < pattern.channels; ch++) {
                 pattern.getNote(row, ch).clear();
             }
         }
@@ -113,7 +116,7 @@ export class Clipboard {
      * Clear a single row
      */
     clearRow(pattern, row) {
-        for (let ch = 0; ch < 4; ch++) {
+        for (let ch = 0; ch < pattern.channels; ch++) {
             pattern.getNote(row, ch).clear();
         }
     }
@@ -123,7 +126,7 @@ export class Clipboard {
      */
     insertRow(pattern, row) {
         for (let r = 63; r > row; r--) {
-            for (let ch = 0; ch < 4; ch++) {
+            for (let ch = 0; ch < pattern.channels; ch++) {
                 const src = pattern.getNote(r - 1, ch);
                 const dst = pattern.getNote(r, ch);
                 dst.period = src.period;
@@ -140,7 +143,7 @@ export class Clipboard {
      */
     deleteRow(pattern, row) {
         for (let r = row; r < 63; r++) {
-            for (let ch = 0; ch < 4; ch++) {
+            for (let ch = 0; ch < pattern.channels; ch++) {
                 const src = pattern.getNote(r + 1, ch);
                 const dst = pattern.getNote(r, ch);
                 dst.period = src.period;
@@ -4,6 +4,9 @@
  * Pure JavaScript - no platform dependencies
  */
 
+// Most patterns a song can have (M!K! MODs go up to 128)
+export const MAX_PATTERNS = 128;
+
 // Note class - represents a single note event in a pattern
 export class Note {
     constructor() {
@@ -35,16 +38,18 @@ export class Note {
     }
 }
 
-// Pattern class - 64 steps x 4 channels
+// Pattern class - 64 steps x N channels (4 for a normal MOD)
 export class Pattern {
-    constructor(length = 64) {
+    constructor(length = 64, channels = 4) {
         this.length = length;
+        this.channels = channels;
+        this.name = '';             // Editor-only, kept in project files
         this.data = [];
         
         // Initialize pattern data
         for (let step = 0; step < length; step++) {
             this.data[step] = [];
-            for (let channel = 0; channel < 4; channel++) {
+            for (let channel = 0; channel < channels; channel++) {
                 this.data[step][channel] = new Note();
             }
         }
@@ -58,18 +63,37 @@ export class Pattern {
         this.data[step][channel] = note.clone();
     }
     
+    /**
+     * Add or remove channels (removed channels are lost, new ones are empty)
+     */
+    setChannelCount(channels) {
+        for (let step = 0; step < this.length; step++) {
+            const row = this.data[step];
+            row.length = Math.min(row.length, channels);
+            while (row.length < channels) {
+                row.push(new Note());
+            }
+        }
+        this.channels = channels;
+    }
+    
     clear() {
         for (let step = 0; step < this.length; step++) {
-            for (let channel = 0; channel < 4; channel++) {
+            for (let channel = 0; channel < this.channels; channel++) {
                 this.data[step][channel].clear();
             }
         }
     }
     
+    isEmpty() {
+        return this.data.every(row => row.every(note => note.isEmpty()));
+    }
+    
     clone() {
-        const pattern = new Pattern(this.length);
+        const pattern = new Pattern(this.length, this.channels);
+        pattern.name = this.name;
         for (let step = 0; step < this.length; step++) {
-            for (let channel = 0; channel < 4; channel++) {
+            for (let channel = 0; channel < this.channels; channel++) {
                 pattern.data[step][channel] = this.data[step][channel].clone();
             }
         }
@@ -77,6 +101,27 @@ export class Pattern {
     }
 }
 
+/**
+ * Translate an Ultimate Soundtracker effect to its ProTracker equivalent
+ * UST had only two effects: 1xy arpeggio and 2xy pitch bend (y slides up,
+ * x slides down); every other number did nothing
+ * @param {number} effect - UST effect (0-F)
+ * @param {number} param - Parameter (00-FF)
+ * @returns {number[]} [effect, param] for the ProTracker effect set
+ */
+export function convertUSTEffect(effect, param) {
+    if (effect === 0x1) {
+        return [0x0, param];
+    }
+    if (effect === 0x2) {
+        if (param & 0x0F) {
+            return [0x1, param & 0x0F];
+        }
+        return [0x2, param >> 4];
+    }
+    return [0, 0];
+}
+
 // Instrument/Sample class
 export class Instrument {
     constructor() {
@@ -87,6 +132,7 @@ export class Instrument {
         this.repeatStart = 0;       // Loop start point
         this.repeatLength = 0;      // Loop length (0 = no loop)
         this.sampleData = null;     // Float32Array or null
+        this.sampleRate = 0;        // Rate of the source audio (0 = unknown)
     }
     
     hasLoop() {
@@ -100,12 +146,20 @@ export class Instrument {
 
 // Song class - holds complete tracker module
 export class Song {
-    constructor() {
+    /**
+     * @param {number} channelCount - Number of channels (4 for a normal MOD)
+     */
+    constructor(channelCount = 4) {
         this.title = 'untitled';
+        this.channelCount = channelCount;
         this.tempo = 6;             // Speed (1-31, default 6)
         this.bpm = 125;             // BPM (32-255, default 125)
         this.songLength = 1;        // Number of positions in song
         this.restartPosition = 0;   // Restart position
+        this.clock = 'pal';         // Paula clock: 'pal' or 'ntsc'
+        this.timing = 'cia';        // Tick timing: 'cia' (BPM) or 'vblank' (fixed 50/60 Hz)
+        this.effectMode = 'protracker';  // Effect set: 'protracker' or 'ust' (see convertUSTEffect)
+        this.channelNames = new Array(channelCount).fill('');  // Editor-only, kept in project files
         
         // Pattern order (which pattern plays at each position)
         this.patternOrder = new Array(128).fill(0);
@@ -116,10 +170,37 @@ export class Song {
             this.instruments.push(new Instrument());
         }
         
-        // Patterns (64 patterns max)
-        this.patterns = [];
-        for (let i = 0; i < 64; i++) {
-            this.patterns.push(new Pattern());
+        // Patterns - grows as patterns are used (see ensurePattern), up to MAX_PATTERNS
+        this.patterns = [new Pattern(64, channelCount)];
+    }
+    
+    /**
+     * Get a pattern, creating it (and any missing ones before it) if needed
+     * @param {number} index - Pattern number (0 to MAX_PATTERNS - 1)
+     * @returns {Pattern}
+     */
+    ensurePattern(index) {
+        if (index < 0 || index >= MAX_PATTERNS) {
+            throw new Error(`Pattern ${index} out of range (0-${MAX_PATTERNS - 1})`);
+        }
+        while (this.patterns.length <= index) {
+            this.patterns.push(new Pattern(64, this.channelCount));
+        }
+        return this.patterns[index];
+    }
+    
+    /**
+     * Change the number of channels in every pattern
+     * @param {number} count - New channel count
+     */
+    setChannelCount(count) {
+        this.channelCount = count;
+        this.channelNames.length = Math.min(this.channelNames.length, count);
+        while (this.channelNames.length < count) {
+            this.channelNames.push('');
+        }
+        for (const pattern of this.patterns) {
+            pattern.setChannelCount(count);
         }
     }
     
@@ -136,3 +217,254 @@ export class Song {
         return this.getPattern(patternIndex);
     }
 }
+
+// Project files (see serializeProject)
+export const PROJECT_FORMAT = 'paula-tracker-project';
+export const PROJECT_VERSION = 1;
+
+/**
+ * Migration hooks for older project files: PROJECT_MIGRATIONS[n] takes a
+ * parsed version n project and returns it as version n + 1. When the schema
+ * changes, bump PROJECT_VERSION and add the step from the previous version
+ */
+export const PROJECT_MIGRATIONS = {};
+
+/**
+ * Save a song as a project (JSON)
+ * Unlike a MOD, a project keeps everything the editor knows: samples at
+ * 16 bits with their source rate, pattern and channel names, and the
+ * editor state passed in (cursor position, settings)
+ * @param {Song} song - Song to save
+ * @param {Object} editor - Editor state, any JSON-safe object (default none)
+ * @returns {string} Project JSON
+ */
+export function serializeProject(song, editor = {}) {
+    const instruments = [];
+    song.instruments.forEach((instrument, number) => {
+        if (number === 0 || (instrument.isEmpty() && (!instrument.name || instrument.name === 'untitled'))) {
+            return;
+        }
+        instruments.push({
+            number,
+            name: instrument.name,
+            length: instrument.length,
+            finetune: instrument.finetune,
+            volume: instrument.volume,
+            repeatStart: instrument.repeatStart,
+            repeatLength: instrument.repeatLength,
+            sampleRate: instrument.sampleRate || 0,
+            sampleData: instrument.sampleData ? encodeSamples(instrument.sampleData) : null
+        });
+    });
+    
+    return JSON.stringify({
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        song: {
+            title: song.title,
+            channelCount: song.channelCount,
+            tempo: song.tempo,
+            bpm: song.bpm,
+            songLength: song.songLength,
+            restartPosition: song.restartPosition,
+            clock: song.clock,
+            timing: song.timing,
+            effectMode: song.effectMode,
+            patternOrder: song.patternOrder,
+            channelNames: song.channelNames
+        },
+        // Notes as [period, instrument, effect, param]
+        patterns: song.patterns.map(pattern => ({
+            name: pattern.name,
+            length: pattern.length,
+            rows: pattern.data.map(row => row.map(note => [note.period, note.instrument, note.effect, note.param]))
+        })),
+        instruments,
+        editor
+    });
+}
+
+/**
+ * Load a project saved by serializeProject
+ * Projects from older versions are upgraded with PROJECT_MIGRATIONS first
+ * @param {string} json - Project JSON
+ * @returns {Object} {song: Song, editor: Object} - editor is the state
+ *   saved with the song
+ * @throws {Error} If it isn't a project, is damaged, or was saved by a
+ *   newer version
+ */
+export function deserializeProject(json) {
+    let project;
+    try {
+        project = JSON.parse(json);
+    } catch (err) {
+        throw new Error(`Not a project file (${err.message})`);
+    }
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw new Error('Not a project file');
+    }
+    if (!(project.version <= PROJECT_VERSION)) {
+        throw new Error(`Project version ${project.version} is newer than this tracker (${PROJECT_VERSION})`);
+    }
+    while (project.version < PROJECT_VERSION) {
+        const migrate = PROJECT_MIGRATIONS[project.version];
+        if (!migrate) {
+            throw new Error(`Project version ${project.version} can't be upgraded`);
+        }
+        const version = project.version;
+        project = migrate(project);
+        project.version = version + 1;
+    }
+    validateProject(project);
+    
+    const settings = project.song;
+    const song = new Song(settings.channelCount);
+    for (const key of ['title', 'tempo', 'bpm', 'songLength', 'restartPosition', 'clock', 'timing', 'effectMode']) {
+        if (settings[key] !== undefined) {
+            song[key] = settings[key];
+        }
+    }
+    settings.patternOrder.forEach((pattern, position) => {
+        song.patternOrder[position] = pattern;
+    });
+    (settings.channelNames || []).forEach((name, channel) => {
+        if (channel < song.channelCount) {
+            song.channelNames[channel] = name;
+        }
+    });
+    
+    song.patterns = project.patterns.slice(0, MAX_PATTERNS).map(saved => {
+        const pattern = new Pattern(saved.length, song.channelCount);
+        pattern.name = saved.name;
+        saved.rows.forEach((row, step) => {
+            row.slice(0, song.channelCount).forEach(([period, instrument, effect, param], channel) => {
+                const note = pattern.data[step][channel];
+                note.period = period;
+                note.instrument = instrument;
+                note.effect = effect;
+                note.param = param;
+            });
+        });
+        return pattern;
+    });
+    if (song.patterns.length === 0) {
+        song.ensurePattern(0);
+    }
+    
+    for (const saved of project.instruments) {
+        const instrument = song.instruments[saved.number];
+        if (!instrument) {
+            continue;
+        }
+        instrument.name = saved.name;
+        instrument.length = saved.length;
+        instrument.finetune = saved.finetune;
+        instrument.volume = saved.volume;
+        instrument.repeatStart = saved.repeatStart;
+        instrument.repeatLength = saved.repeatLength;
+        instrument.sampleRate = saved.sampleRate;
+        instrument.sampleData = saved.sampleData ? decodeSamples(saved.sampleData, saved.number) : null;
+        const available = instrument.sampleData ? instrument.sampleData.length : 0;
+        if (saved.length > available) {
+            throw new Error(`Not a valid project file: instrument ${saved.number} is ${saved.length} samples long but has ${available}`);
+        }
+    }
+    
+    return { song, editor: project.editor || {} };
+}
+
+/**
+ * Check the shape of a (migrated) project before it's read, so a damaged
+ * file fails with what's wrong rather than a TypeError
+ * @private
+ * @throws {Error} Naming the first problem found
+ */
+function validateProject(project) {
+    const fail = problem => {
+        throw new Error(`Not a valid project file: ${problem}`);
+    };
+    const isIndex = (value, limit) => Number.isInteger(value) && value >= 0 && value < limit;
+    
+    const settings = project.song;
+    if (!settings || typeof settings !== 'object') {
+        fail('song settings missing');
+    }
+    if (!Number.isInteger(settings.channelCount) || settings.channelCount < 1 || settings.channelCount > 32) {
+        fail(`channel count ${settings.channelCount} (1-32)`);
+    }
+    if (!Array.isArray(settings.patternOrder) || settings.patternOrder.length > 128 ||
+        !settings.patternOrder.every(pattern => isIndex(pattern, MAX_PATTERNS))) {
+        fail('pattern order list damaged');
+    }
+    if (settings.channelNames !== undefined && !Array.isArray(settings.channelNames)) {
+        fail('channel names damaged');
+    }
+    
+    if (!Array.isArray(project.patterns)) {
+        fail('patterns missing');
+    }
+    project.patterns.forEach((pattern, index) => {
+        const valid = pattern && Number.isInteger(pattern.length) && pattern.length > 0 &&
+            Array.isArray(pattern.rows) && pattern.rows.length === pattern.length &&
+            pattern.rows.every(row => Array.isArray(row) && row.every(note => Array.isArray(note) && note.length === 4 && note.every(Number.isInteger)));
+        if (!valid) {
+            fail(`pattern ${index} damaged`);
+        }
+    });
+    
+    if (!Array.isArray(project.instruments)) {
+        fail('instruments missing');
+    }
+    project.instruments.forEach((instrument, index) => {
+        if (!instrument || !Number.isInteger(instrument.number) || !Number.isInteger(instrument.length) || instrument.length < 0) {
+            fail(`instrument entry ${index} damaged`);
+        }
+        if (instrument.sampleData !== null && typeof instrument.sampleData !== 'string') {
+            fail(`instrument ${instrument.number} sample data damaged`);
+        }
+    });
+}
+
+/**
+ * Sample data to base64 16-bit little-endian PCM
+ * @private
+ */
+function encodeSamples(sampleData) {
+    const bytes = new Uint8Array(sampleData.length * 2);
+    const view = new DataView(bytes.buffer);
+    sampleData.forEach((value, i) => {
+        view.setInt16(i * 2, Math.max(-32768, Math.min(32767, Math.round(value * 32768))), true);
+    });
+    
+    // btoa takes a binary string; build it in chunks to stay under the
+    // argument limit of fromCharCode
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Base64 16-bit PCM back to sample data
+ * @private
+ * @param {string} base64 - Encoded samples
+ * @param {number} number - Instrument number, for the error
+ */
+function decodeSamples(base64, number) {
+    let binary;
+    try {
+        binary = atob(base64);
+    } catch (err) {
+        throw new Error(`Not a valid project file: instrument ${number} sample data isn't base64`);
+    }
+    const view = new DataView(new ArrayBuffer(binary.length));
+    for (let i = 0; i < binary.length; i++) {
+        view.setUint8(i, binary.charCodeAt(i));
+    }
+    const sampleData = new Float32Array(binary.length >> 1);
+    for (let i = 0; i < sampleData.length; i++) {
+        sampleData[i] = view.getInt16(i * 2, true) / 32768;
+    }
+    return sampleData;
+}
@@ -0,0 +1,730 @@
+/**
+ * Module downgrader for Paula Tracker
+ * Converts songs from PC trackers to the ProTracker song model: 31
+ * single-sample instruments, 64-row patterns, notes in the three Amiga
+ * octaves and the ProTracker effect set. Anything that doesn't fit is
+ * approximated or dropped, and reported
+ * Platform-independent - no file system or browser API dependencies
+ */
+
+import { Song, Instrument, MAX_PATTERNS } from './data.js';
+import { PERIOD_TABLE } from './audio-engine.js';
+import { resample } from './sampleutils.js';
+
+// Key off / note cut in module cells (notes are 1-96, C-0 to B-7)
+export const NOTE_OFF = 97;
+
+// The note that plays a sample at its own rate (C-4), and the ProTracker
+// note that does the same (C-2, period 428)
+const MIDDLE_C = 49;
+const AMIGA_MIDDLE_C = PERIOD_TABLE.indexOf(428);
+
+// Longest sample a MOD can hold (65535 words)
+const MAX_SAMPLE_LENGTH = 131070;
+
+// Effects past F (XM numbering: G = 16 ... X = 33) with no ProTracker equivalent
+const DROPPED_EFFECTS = {
+    16: 'Gxx global volume',
+    17: 'Hxy global volume slide',
+    21: 'Lxx envelope position',
+    25: 'Pxy panning slide',
+    29: 'Txy tremor'
+};
+
+// Lossy conversions counted while converting patterns
+const TALLY_MESSAGES = {
+    overflowNotes: 'notes removed - their samples didn\'t fit in 31 instruments',
+    octaveFolded: 'notes outside the Amiga range moved by whole octaves',
+    volumeDropped: 'volume column commands dropped - effect column in use',
+    keyOffDropped: 'key offs dropped - effect column in use',
+    panning: 'panning commands dropped',
+    linearSlides: 'pitch slides use Amiga periods instead of linear frequency slides',
+    multiRetrig: 'Rxy multi retrigs play without their volume change',
+    extraFine: 'X1x/X2x extra fine slides rounded to fine slides',
+    breakRowLost: 'pattern breaks lost their target row - no free effect column',
+    breakNotAdded: 'short patterns couldn\'t be ended early - no free effect column'
+};
+
+/**
+ * Convert a module from a PC tracker to a Song
+ * Loaders (see loadXM) describe the module in XM terms:
+ *   {title, channelCount, speed, bpm, restartPosition, linearSlides,
+ *    orders: number[], patterns: cell[row][channel][], instruments: []}
+ * where every order entry is a pattern number in patterns.
+ * Cells are {note (0 = none, 1-96, NOTE_OFF), instrument, volume (XM volume
+ * column byte, 0 = none), effect (XM numbering, 0-35), param}.
+ * Instruments are 1-based {name, keymap (sample number for each of the 96
+ * notes), samples, volumeEnvelope (null or {levels: number[]}),
+ * hasPanningEnvelope, hasAutoVibrato}, and samples {name, data
+ * (Float32Array), bits, loopType (0 none, 1 forward, 2 ping-pong),
+ * loopStart, loopLength (in sample frames), volume, finetune (-128 to 127),
+ * relativeNote}
+ *
+ * Every sample the song plays becomes an instrument (in order of first
+ * use), resampled by whole octaves if its notes don't fit the Amiga range.
+ * Patterns longer than 64 rows are split over several positions, shorter
+ * ones end early with D00
+ * @param {Object} module - Module description (see above)
+ * @param {Object} options - Conversion options
+ * @param {number} options.maxChannels - Channels to keep (default 4)
+ * @param {number[]} options.channels - Module channels (0-based) to keep, in
+ *   song order - overrides maxChannels and the automatic choice
+ * @returns {Object} {song: Song, warnings: string[], channels: Object[]} -
+ *   channels lists every module channel as {channel, notes, used, kept}, so
+ *   callers can offer a different choice
+ */
+export function downgradeModule(module, options = {}) {
+    const maxChannels = options.maxChannels || 4;
+    const warnings = [];
+    const tally = {};
+    
+    // Only the patterns the song plays are converted
+    const orders = module.orders;
+    if (orders.length === 0) {
+        throw new Error('The song has no patterns to play');
+    }
+    
+    const { channels, usage } = selectChannels(module, orders, options.channels, maxChannels, warnings);
+    const song = new Song(Math.max(4, channels.length));
+    song.title = module.title.substring(0, 20);
+    song.tempo = Math.max(1, Math.min(31, module.speed || 6));
+    song.bpm = Math.max(32, Math.min(255, module.bpm || 125));
+    song.timing = 'cia';
+    
+    const slots = assignSlots(module, orders, channels, warnings);
+    const samples = slots.map((slot, i) => convertSample(module, slot, i + 1, warnings));
+    samples.forEach((sample, i) => {
+        song.instruments[i + 1] = sample.instrument;
+    });
+    
+    convertPatterns(module, orders, channels, slots, samples, song, tally, warnings);
+    
+    for (const [key, count] of Object.entries(tally)) {
+        if (DROPPED_EFFECTS[key]) {
+            warnings.push(`${count} ${DROPPED_EFFECTS[key]} commands dropped`);
+        } else {
+            warnings.push(`${count} ${TALLY_MESSAGES[key]}`);
+        }
+    }
+    
+    return { song, warnings, channels: usage };
+}
+
+/**
+ * Pick the module channels that go into the song
+ * Without a choice, and if there are too many, empty channels go first,
+ * then the rightmost ones
+ * @private
+ * @param {number[]} picked - Channels chosen by the caller, or undefined
+ * @returns {Object} {channels: module channel for each song channel, usage}
+ */
+function selectChannels(module, orders, picked, maxChannels, warnings) {
+    const allChannels = [...Array(module.channelCount).keys()];
+    const used = new Array(module.channelCount).fill(false);
+    const notes = new Array(module.channelCount).fill(0);
+    for (const p of new Set(orders)) {
+        for (const row of module.patterns[p]) {
+            row.forEach((cell, ch) => {
+                if (cell.note || cell.instrument || cell.volume || cell.effect || cell.param) {
+                    used[ch] = true;
+                }
+                if (cell.note > 0 && cell.note < NOTE_OFF) {
+                    notes[ch]++;
+                }
+            });
+        }
+    }
+    
+    let channels;
+    if (picked) {
+        channels = [...new Set(picked)].filter(ch => Number.isInteger(ch) && ch >= 0 && ch < module.channelCount).slice(0, 32);
+        if (channels.length === 0) {
+            throw new Error('None of the chosen channels are in the module');
+        }
+    } else if (module.channelCount <= maxChannels) {
+        channels = allChannels;
+    } else {
+        channels = allChannels.filter(ch => used[ch]).slice(0, maxChannels);
+    }
+    
+    const dropped = allChannels.filter(ch => used[ch] && !channels.includes(ch));
+    if (dropped.length > 0) {
+        const lostNotes = dropped.reduce((sum, ch) => sum + notes[ch], 0);
+        warnings.push(`Channels ${dropped.map(ch => ch + 1).join(', ')} dropped (${lostNotes} notes) - only ${channels.length} kept`);
+    }
+    const usage = allChannels.map(ch => ({ channel: ch, notes: notes[ch], used: used[ch], kept: channels.includes(ch) }));
+    return { channels, usage };
+}
+
+/**
+ * Find the sample a cell plays, following the channel's instrument and last
+ * note the way the player would
+ * @private
+ * @param {Object} module - Module description
+ * @param {Object} channel - {instrument, note}, updated
+ * @param {Object} cell - Module cell
+ * @returns {string|null} 'instrument:sample', or null if the cell doesn't
+ *   trigger a sample (or the one it picks is empty)
+ */
+function resolveSample(module, channel, cell) {
+    if (cell.instrument > 0) {
+        channel.instrument = cell.instrument;
+    }
+    if (cell.note > 0 && cell.note < NOTE_OFF) {
+        channel.note = cell.note;
+    } else if (cell.instrument === 0) {
+        return null;
+    }
+    
+    const instrument = module.instruments[channel.instrument];
+    if (!instrument) {
+        return null;
+    }
+    const number = instrument.keymap[channel.note - 1] || 0;
+    const sample = instrument.samples[number];
+    return sample && sample.data.length > 0 ? `${channel.instrument}:${number}` : null;
+}
+
+/**
+ * Give every sample the song plays an instrument slot (1-31), in order of
+ * first use, and find the range of notes each one plays
+ * @private
+ * @returns {Object[]} Slots: {key, instrument, sample, lowNote, highNote}
+ */
+function assignSlots(module, orders, channels, warnings) {
+    const slots = [];
+    const slotsByKey = new Map();
+    const overflow = new Set();
+    const state = channels.map(() => ({ instrument: 0, note: MIDDLE_C }));
+    
+    for (const p of orders) {
+        for (const row of module.patterns[p]) {
+            channels.forEach((moduleChannel, ch) => {
+                const cell = row[moduleChannel];
+                const key = resolveSample(module, state[ch], cell);
+                if (!key) {
+                    return;
+                }
+                
+                let slot = slotsByKey.get(key);
+                if (!slot) {
+                    if (slots.length === 31) {
+                        overflow.add(key);
+                        return;
+                    }
+                    const [instrument, sample] = key.split(':').map(Number);
+                    slot = { key, instrument, sample, lowNote: Infinity, highNote: -Infinity };
+                    slots.push(slot);
+                    slotsByKey.set(key, slot);
+                }
+                if (cell.note > 0 && cell.note < NOTE_OFF) {
+                    slot.lowNote = Math.min(slot.lowNote, cell.note);
+                    slot.highNote = Math.max(slot.highNote, cell.note);
+                }
+            });
+        }
+    }
+    
+    if (overflow.size > 0) {
+        warnings.push(`${overflow.size} samples past the 31-instrument limit dropped`);
+    }
+    
+    // Instruments with several samples end up in several slots
+    const split = new Set();
+    for (const slot of slots) {
+        if (slots.some(other => other !== slot && other.instrument === slot.instrument)) {
+            split.add(slot.instrument);
+        }
+    }
+    if (split.size > 0) {
+        warnings.push(`Multi-sample instruments ${[...split].join(', ')} split into one instrument per sample`);
+    }
+    return slots;
+}
+
+/**
+ * Turn a module sample into a MOD instrument
+ * Volume envelopes are flattened to their peak level, ping-pong loops are
+ * unrolled and the sample is resampled by whole octaves when its notes
+ * don't fit the Amiga range or it's too long for a MOD
+ * @private
+ * @param {Object} module - Module description
+ * @param {Object} slot - See assignSlots
+ * @param {number} number - Instrument number in the song (for warnings)
+ * @param {string[]} warnings - Warnings, added to
+ * @returns {Object} {instrument: Instrument, transpose, octaveShift} -
+ *   transpose turns module notes into PERIOD_TABLE indexes
+ */
+function convertSample(module, slot, number, warnings) {
+    const source = module.instruments[slot.instrument];
+    const sample = source.samples[slot.sample];
+    const label = `Instrument ${number}`;
+    let data = sample.data;
+    
+    // Nothing after the loop end is ever played
+    let loopStart = 0;
+    let loopLength = 0;
+    if (sample.loopType !== 0 && sample.loopLength > 0 && sample.loopStart < data.length) {
+        loopStart = sample.loopStart;
+        loopLength = Math.min(sample.loopLength, data.length - loopStart);
+        data = data.subarray(0, loopStart + loopLength);
+    }
+    if (sample.loopType === 2 && loopLength > 0) {
+        const unrolled = new Float32Array(data.length + loopLength);
+        unrolled.set(data);
+        for (let i = 0; i < loopLength; i++) {
+            unrolled[data.length + i] = data[data.length - 1 - i];
+        }
+        data = unrolled;
+        loopLength *= 2;
+        warnings.push(`${label}: ping-pong loop unrolled`);
+    }
+    
+    if (source.volumeEnvelope) {
+        const peak = Math.max(...source.volumeEnvelope.levels) / 64;
+        if (peak < 1) {
+            data = data.map(value => value * peak);
+        }
+        warnings.push(`${label}: volume envelope flattened to its peak level`);
+    }
+    if (source.hasPanningEnvelope) {
+        warnings.push(`${label}: panning envelope dropped`);
+    }
+    if (source.hasAutoVibrato) {
+        warnings.push(`${label}: auto-vibrato dropped`);
+    }
+    
+    // Notes as PERIOD_TABLE indexes, before any octave shift (a sample
+    // that's only picked without a note plays at C-4)
+    const transpose = AMIGA_MIDDLE_C - MIDDLE_C + sample.relativeNote;
+    const lowNote = slot.lowNote <= slot.highNote ? slot.lowNote : MIDDLE_C;
+    const highNote = slot.lowNote <= slot.highNote ? slot.highNote : MIDDLE_C;
+    const octaveShift = chooseOctaveShift(lowNote + transpose, highNote + transpose, data.length);
+    if (octaveShift !== 0) {
+        const factor = 2 ** octaveShift;
+        data = resample(data, factor, 1);
+        loopStart /= factor;
+        loopLength /= factor;
+        warnings.push(`${label}: resampled ${Math.abs(octaveShift)} octave${Math.abs(octaveShift) > 1 ? 's' : ''} ${octaveShift > 0 ? 'up' : 'down'} to fit the Amiga note range`);
+    }
+    
+    if (data.length > MAX_SAMPLE_LENGTH) {
+        data = data.subarray(0, MAX_SAMPLE_LENGTH);
+        warnings.push(`${label}: sample cut to ${MAX_SAMPLE_LENGTH} bytes`);
+    }
+    
+    // MOD lengths and loop points are in words
+    const length = Math.ceil(data.length / 2) * 2;
+    const sampleData = new Float32Array(length);
+    sampleData.set(data);
+    loopStart = Math.round(loopStart / 2) * 2;
+    loopLength = Math.min(Math.round(loopLength / 2) * 2, length - loopStart);
+    
+    const instrument = new Instrument();
+    instrument.name = (source.name || sample.name).substring(0, 22);
+    instrument.length = length;
+    instrument.sampleData = sampleData;
+    instrument.volume = Math.min(64, sample.volume);
+    instrument.finetune = Math.max(-8, Math.min(7, Math.round(sample.finetune / 16)));
+    instrument.repeatStart = loopLength > 2 ? loopStart : 0;
+    instrument.repeatLength = loopLength > 2 ? loopLength : 2;
+    
+    if (sample.bits === 16) {
+        warnings.push(`${label}: 16-bit sample, saved as 8 bits`);
+    }
+    
+    return { instrument, transpose: transpose - octaveShift * 12, octaveShift };
+}
+
+/**
+ * Octaves to resample by so a sample's notes fit PERIOD_TABLE and its data
+ * fits a MOD (positive shifts resample up, so notes play lower)
+ * Prefers no shift, then the smallest one; if no shift fits every note the
+ * middle of the range is centered
+ * @private
+ */
+function chooseOctaveShift(lowIndex, highIndex, length) {
+    const highestIndex = PERIOD_TABLE.length - 1;
+    let minShift = 0;
+    while (length / 2 ** minShift > MAX_SAMPLE_LENGTH) {
+        minShift++;
+    }
+    
+    for (const shift of [0, 1, -1, 2, -2, 3, -3]) {
+        if (shift >= minShift &&
+            lowIndex - shift * 12 >= 0 && highIndex - shift * 12 <= highestIndex) {
+            return shift;
+        }
+    }
+    const centered = Math.round(((lowIndex + highIndex) / 2 - highestIndex / 2) / 12);
+    return Math.max(minShift, centered);
+}
+
+/**
+ * Convert the module's patterns to 64-row song patterns and fill in the
+ * pattern order
+ * @private
+ */
+function convertPatterns(module, orders, channels, slots, samples, song, tally, warnings) {
+    const slotNumbers = new Map(slots.map((slot, i) => [slot.key, i + 1]));
+    
+    // Song position of each module position (and the end)
+    const positions = [0];
+    for (const p of orders) {
+        positions.push(positions[positions.length - 1] + chunkCount(module.patterns[p]));
+    }
+    
+    // Patterns with breaks that depend on the next position are converted
+    // separately for each position they're played at
+    const converted = new Map();
+    const state = channels.map(() => ({
+        instrument: 0,
+        note: MIDDLE_C,
+        slot: 0,
+        memory: {}
+    }));
+    let patternCount = 0;
+    let songLength = 0;
+    
+    for (let i = 0; i < orders.length; i++) {
+        const rows = module.patterns[orders[i]];
+        const chunks = chunkCount(rows);
+        if (positions[i] + chunks > 128) {
+            warnings.push(`Song cut to ${positions[i]} positions - a MOD holds 128 positions`);
+            break;
+        }
+        
+        const key = needsPosition(rows) ? `${orders[i]}@${i}` : `${orders[i]}`;
+        let numbers = converted.get(key);
+        if (!numbers) {
+            if (patternCount + chunks > MAX_PATTERNS) {
+                warnings.push(`Song cut to ${positions[i]} positions - a MOD holds ${MAX_PATTERNS} patterns`);
+                break;
+            }
+            numbers = [];
+            for (let chunk = 0; chunk < chunks; chunk++) {
+                const pattern = song.ensurePattern(patternCount);
+                numbers.push(patternCount++);
+                
+                const context = { module, positions, orders, order: i, slotNumbers, samples, tally };
+                const chunkRows = rows.slice(chunk * 64, chunk * 64 + 64);
+                chunkRows.forEach((row, r) => {
+                    channels.forEach((moduleChannel, ch) => {
+                        convertCell(row[moduleChannel], state[ch], context, pattern.getNote(r, ch));
+                    });
+                    fixPatternBreak(pattern.data[r], context, chunk === chunks - 1);
+                    
+                    // Pattern shorter than 64 rows: end it early
+                    if (r === chunkRows.length - 1 && r < 63) {
+                        endPatternEarly(pattern.data[r], tally);
+                    }
+                });
+            }
+            converted.set(key, numbers);
+        }
+        
+        numbers.forEach((number, chunk) => {
+            song.patternOrder[positions[i] + chunk] = number;
+        });
+        songLength = positions[i] + chunks;
+    }
+    
+    song.songLength = Math.max(1, songLength);
+    const restart = positions[module.restartPosition] || 0;
+    song.restartPosition = restart < song.songLength ? restart : 0;
+}
+
+/**
+ * Number of 64-row patterns a module pattern takes
+ * @private
+ */
+function chunkCount(rows) {
+    return Math.max(1, Math.ceil(rows.length / 64));
+}
+
+/**
+ * Whether a pattern has a Dxx whose song position depends on where the
+ * pattern plays: one before its last 64 rows, or one that breaks to a
+ * row past 63
+ * @private
+ */
+function needsPosition(rows) {
+    const lastChunkStart = (chunkCount(rows) - 1) * 64;
+    return rows.some((row, r) => row.some(cell =>
+        cell.effect === 0xD && (r < lastChunkStart || decodeBreakRow(cell.param) > 63)));
+}
+
+/**
+ * Convert one cell into a song note
+ * @private
+ * @param {Object} cell - Module cell
+ * @param {Object} channel - Channel state: {instrument, note, slot, memory}
+ * @param {Object} context - Conversion context (see convertPatterns)
+ * @param {Note} note - Song note to fill in
+ */
+function convertCell(cell, channel, context, note) {
+    const key = resolveSample(context.module, channel, cell);
+    const slotNumber = key ? context.slotNumbers.get(key) : undefined;
+    const isTonePortamento = cell.effect === 0x3 || cell.effect === 0x5 || (cell.volume >> 4) === 0xF;
+    
+    if (cell.note > 0 && cell.note < NOTE_OFF) {
+        if (slotNumber) {
+            let index = cell.note + context.samples[slotNumber - 1].transpose;
+            if (index < 0 || index >= PERIOD_TABLE.length) {
+                index = ((index % 12) + 12) % 12 + (index < 0 ? 0 : PERIOD_TABLE.length - 12);
+                count(context.tally, 'octaveFolded');
+            }
+            note.period = PERIOD_TABLE[index];
+            if (cell.instrument > 0 || (slotNumber !== channel.slot && !isTonePortamento)) {
+                note.instrument = slotNumber;
+                channel.slot = slotNumber;
+            }
+        } else if (key) {
+            count(context.tally, 'overflowNotes');
+        }
+    } else if (slotNumber) {
+        note.instrument = slotNumber;
+        channel.slot = slotNumber;
+    }
+    
+    // Effect column, then whatever the volume column or a key off add
+    const effect = convertEffect(cell, channel, context);
+    const extra = cell.note === NOTE_OFF ? [0xC, 0] : convertVolume(cell.volume, context);
+    if (effect) {
+        [note.effect, note.param] = effect;
+        if (extra && cell.note === NOTE_OFF) {
+            count(context.tally, 'keyOffDropped');
+        } else if (extra && !isDefaultVolume(cell, channel, context)) {
+            count(context.tally, 'volumeDropped');
+        }
+    } else if (extra) {
+        [note.effect, note.param] = extra;
+    }
+}
+
+/**
+ * Whether a volume column command only sets the volume the instrument
+ * number on the same cell resets to anyway
+ * @private
+ */
+function isDefaultVolume(cell, channel, context) {
+    if (cell.instrument === 0 || cell.volume < 0x10 || cell.volume > 0x50 || !channel.slot) {
+        return false;
+    }
+    return context.samples[channel.slot - 1].instrument.volume === cell.volume - 0x10;
+}
+
+/**
+ * Convert an effect to ProTracker, or null if there's nothing to play
+ * Effects that continue with their last parameter on 00 get it filled in,
+ * since ProTracker doesn't remember it for these
+ * @private
+ * @returns {number[]|null} [effect, param]
+ */
+function convertEffect(cell, channel, context) {
+    const { effect } = cell;
+    let param = cell.param;
+    const tally = context.tally;
+    
+    if (context.module.linearSlides && (effect === 0x1 || effect === 0x2 || effect === 0x3 ||
+        (effect === 0xE && (param >> 4 === 0x1 || param >> 4 === 0x2)))) {
+        count(tally, 'linearSlides');
+    }
+    
+    switch (effect) {
+        case 0x0:
+            return param ? [0x0, param] : null;
+        case 0x1:
+        case 0x2:
+            param = recall(channel, effect, param);
+            return param ? [effect, param] : null;
+        case 0x5:
+        case 0x6:
+        case 0xA:
+            // Volume slides share one memory
+            param = recall(channel, 'volumeSlide', param);
+            if (effect === 0xA && !param) {
+                return null;
+            }
+            return [effect, param];
+        case 0x8:
+            count(tally, 'panning');
+            return null;
+        case 0x9: {
+            // Offsets move with the sample when it was resampled
+            const shift = channel.slot ? context.samples[channel.slot - 1].octaveShift : 0;
+            return [0x9, Math.min(255, shift >= 0 ? param >> shift : param << -shift)];
+        }
+        case 0xB:
+            return [0xB, context.positions[param < context.orders.length ? param : 0]];
+        case 0xC:
+            return [0xC, Math.min(64, param)];
+        case 0xE: {
+            const command = param >> 4;
+            if (command === 0x8) {
+                count(tally, 'panning');
+                return null;
+            }
+            if ([0x1, 0x2, 0xA, 0xB].includes(command)) {
+                const value = recall(channel, `E${command}`, param & 0x0F);
+                return value ? [0xE, (command << 4) | value] : null;
+            }
+            return [0xE, param];
+        }
+        case 0xF:
+            // F00 does nothing in FastTracker 2 but stops ProTracker
+            return param ? [0xF, param] : null;
+        case 20:
+            // Kxx key off, without envelopes a note cut
+            return [0xE, 0xC0 | Math.min(15, param)];
+        case 27:
+            // Rxy multi retrig: retrig every y ticks, x changes the volume
+            if ((param >> 4) !== 0 && (param >> 4) !== 8) {
+                count(tally, 'multiRetrig');
+            }
+            return param & 0x0F ? [0xE, 0x90 | (param & 0x0F)] : null;
+        case 33: {
+            // X1x/X2x extra fine slides move a quarter as far as E1x/E2x
+            const command = param >> 4;
+            if (command !== 1 && command !== 2) {
+                return null;
+            }
+            count(tally, 'extraFine');
+            const value = Math.max(1, Math.round(recall(channel, `X${command}`, param & 0x0F) / 4));
+            return [0xE, (command << 4) | value];
+        }
+        default:
+            if (effect <= 0xF) {
+                return [effect, param];
+            }
+            if (DROPPED_EFFECTS[effect]) {
+                count(tally, effect);
+            }
+            return null;
+    }
+}
+
+/**
+ * Parameter an effect plays with: the last non-zero one on 00
+ * @private
+ */
+function recall(channel, key, param) {
+    if (param) {
+        channel.memory[key] = param;
+        return param;
+    }
+    return channel.memory[key] || 0;
+}
+
+/**
+ * Convert an XM volume column command to a ProTracker effect
+ * @private
+ * @returns {number[]|null} [effect, param]
+ */
+function convertVolume(volume, context) {
+    const command = volume >> 4;
+    const value = volume & 0x0F;
+    if (volume >= 0x10 && volume <= 0x50) {
+        return [0xC, volume - 0x10];
+    }
+    switch (command) {
+        case 0x6: return value ? [0xA, value] : null;
+        case 0x7: return value ? [0xA, value << 4] : null;
+        case 0x8: return value ? [0xE, 0xB0 | value] : null;
+        case 0x9: return value ? [0xE, 0xA0 | value] : null;
+        case 0xA: return value ? [0x4, value << 4] : null;
+        case 0xB: return [0x4, value];
+        case 0xC:
+        case 0xD:
+        case 0xE:
+            count(context.tally, 'panning');
+            return null;
+        case 0xF: return [0x3, value << 4];
+        default: return null;
+    }
+}
+
+/**
+ * Rewrite a Dxx whose target can't be expressed as a plain pattern break:
+ * one that leaves a split pattern before its last part, or that breaks to
+ * a row past 63. It becomes Bxx to the right song position, plus Dxx with
+ * the row if there's a free effect column (B has to come first)
+ * @private
+ * @param {Note[]} row - Converted song row
+ * @param {Object} context - Conversion context (see convertPatterns)
+ * @param {boolean} isLastChunk - Row is in the pattern's last 64 rows
+ */
+function fixPatternBreak(row, context, isLastChunk) {
+    const breakChannel = row.findIndex(note => note.effect === 0xD);
+    if (breakChannel < 0 || row.some(note => note.effect === 0xB)) {
+        return;
+    }
+    const target = decodeBreakRow(row[breakChannel].param);
+    if (isLastChunk && target <= 63) {
+        return;
+    }
+    
+    // Position after this one (the restart position at the end)
+    const { positions, orders, order, module } = context;
+    const next = order + 1 < orders.length ? order + 1 : (module.restartPosition < orders.length ? module.restartPosition : 0);
+    const position = positions[next] + Math.min(target >> 6, chunkCount(module.patterns[orders[next]]) - 1);
+    const targetRow = target & 63;
+    
+    const free = [];
+    row.forEach((note, ch) => {
+        if (ch === breakChannel || (note.effect === 0 && note.param === 0)) {
+            free.push(ch);
+        }
+    });
+    row[breakChannel].effect = 0;
+    row[breakChannel].param = 0;
+    row[free[0]].effect = 0xB;
+    row[free[0]].param = position;
+    if (targetRow > 0) {
+        if (free.length > 1) {
+            row[free[1]].effect = 0xD;
+            row[free[1]].param = encodeBreakRow(targetRow);
+        } else {
+            count(context.tally, 'breakRowLost');
+        }
+    }
+}
+
+/**
+ * Add D00 to the last row of a pattern shorter than 64 rows
+ * @private
+ */
+function endPatternEarly(row, tally) {
+    if (row.some(note => note.effect === 0xB || note.effect === 0xD)) {
+        return;
+    }
+    const free = row.find(note => note.effect === 0 && note.param === 0);
+    if (free) {
+        free.effect = 0xD;
+        free.param = 0;
+    } else {
+        count(tally, 'breakNotAdded');
+    }
+}
+
+/**
+ * Dxx parameters are decimal: D32 breaks to row 32
+ * @private
+ */
+function decodeBreakRow(param) {
+    return (param >> 4) * 10 + (param & 0x0F);
+}
+
+/**
+ * @private
+ */
+function encodeBreakRow(row) {
+    return (Math.floor(row / 10) << 4) | (row % 10);
+}
+
+/**
+ * @private
+ */
+function count(tally, key) {
+    tally[key] = (tally[key] || 0) + 1;
+}
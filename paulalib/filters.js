@@ -0,0 +1,133 @@
+/**
+ * Amiga output filter emulation
+ * Models the analog stages between Paula and the audio jacks
+ * Pure JavaScript - no platform dependencies
+ */
+
+// Filter models: fixed RC low-pass/high-pass cutoffs (Hz) per machine
+// The A1200's low-pass sits above the audible range, so it is left out
+export const FILTER_MODELS = {
+    a500: { lowPass: 4420.97, highPass: 5.2 },
+    a1200: { lowPass: 0, highPass: 5.2 },
+};
+
+// "LED" filter: 2-pole Butterworth (Sallen-Key) low-pass, toggled by E0x
+const LED_CUTOFF = 3090.5;
+const LED_Q = 0.660;
+
+/**
+ * One-pole RC filter (used for both the low-pass and the DC-blocking high-pass)
+ * @private
+ */
+class RCFilter {
+    constructor(sampleRate, cutoff) {
+        const a = 2 - Math.cos((2 * Math.PI * cutoff) / sampleRate);
+        const b = a - Math.sqrt(a * a - 1);
+        this.c1 = 1 - b;
+        this.c2 = b;
+        this.lastL = 0;
+        this.lastR = 0;
+    }
+    
+    lowPass(left, right) {
+        this.lastL = left * this.c1 + this.lastL * this.c2;
+        this.lastR = right * this.c1 + this.lastR * this.c2;
+    }
+    
+    reset() {
+        this.lastL = 0;
+        this.lastR = 0;
+    }
+}
+
+/**
+ * Two-pole Butterworth low-pass for the LED filter
+ * @private
+ */
+class LEDFilter {
+    constructor(sampleRate) {
+        const a = 1 / Math.tan((Math.PI * LED_CUTOFF) / sampleRate);
+        const b = 1 / LED_Q;
+        
+        this.a0 = 1 / (1 + b * a + a * a);
+        this.a1 = 2 * this.a0;
+        this.a2 = this.a0;
+        this.b1 = 2 * (1 - a * a) * this.a0;
+        this.b2 = (1 - b * a + a * a) * this.a0;
+        this.reset();
+    }
+    
+    process(input, s) {
+        const output = input * this.a0 + s[0] * this.a1 + s[1] * this.a2 - s[2] * this.b1 - s[3] * this.b2;
+        s[1] = s[0];
+        s[0] = input;
+        s[3] = s[2];
+        s[2] = output;
+        return output;
+    }
+    
+    reset() {
+        // [in1, in2, out1, out2] per side
+        this.left = [0, 0, 0, 0];
+        this.right = [0, 0, 0, 0];
+    }
+}
+
+/**
+ * Amiga output stage: RC low-pass -> LED filter -> RC high-pass
+ */
+export class AmigaFilter {
+    /**
+     * @param {number} sampleRate - Output sample rate
+     * @param {string} model - 'a500' or 'a1200'
+     */
+    constructor(sampleRate, model = 'a500') {
+        const config = FILTER_MODELS[model];
+        if (!config) {
+            throw new Error(`Unknown filter model: ${model}`);
+        }
+        
+        this.model = model;
+        // Skip the low-pass when its cutoff is above Nyquist
+        this.lowPass = config.lowPass > 0 && config.lowPass < sampleRate / 2 ?
+            new RCFilter(sampleRate, config.lowPass) : null;
+        this.highPass = new RCFilter(sampleRate, config.highPass);
+        this.led = new LEDFilter(sampleRate);
+        
+        this.left = 0;
+        this.right = 0;
+    }
+    
+    /**
+     * Filter one stereo frame - result is stored in this.left/this.right
+     * @param {number} left - Left input
+     * @param {number} right - Right input
+     * @param {boolean} ledOn - Whether the LED filter is enabled (E0x)
+     */
+    process(left, right, ledOn) {
+        if (this.lowPass) {
+            this.lowPass.lowPass(left, right);
+            left = this.lowPass.lastL;
+            right = this.lowPass.lastR;
+        }
+        
+        if (ledOn) {
+            left = this.led.process(left, this.led.left);
+            right = this.led.process(right, this.led.right);
+        }
+        
+        // High-pass = input minus its low-passed version
+        this.highPass.lowPass(left, right);
+        this.left = left - this.highPass.lastL;
+        this.right = right - this.highPass.lastR;
+    }
+    
+    /**
+     * Clear filter memory (e.g. when playback restarts)
+     */
+    reset() {
+        if (this.lowPass) this.lowPass.reset();
+        this.highPass.reset();
+        this.led.reset();
+    }
+}
@@ -4,13 +4,34 @@
  */
 
 // Core data structures
-export { Note, Pattern, Instrument, Song } from './data.js';
+export { Note, Pattern, Instrument, Song, convertUSTEffect, MAX_PATTERNS } from './data.js';
+
+// Project files (JSON, keeps editor-only data)
+export { serializeProject, deserializeProject, PROJECT_VERSION, PROJECT_MIGRATIONS } from './data.js';
 
 // MOD file I/O
-export { loadMOD, saveMOD, countInstruments } from './modloader.js';
+export { loadMOD, readMOD, saveMOD, writeMOD, countInstruments } from './modloader.js';
+export { loadXM } from './xmloader.js';
+export { loadS3M } from './s3mloader.js';
+export { loadIT } from './itloader.js';
 
 // Audio engine
-export { PaulaEngine, PERIOD_TABLE, NOTE_NAMES } from './audio-engine.js';
+export {
+    PaulaEngine,
+    PERIOD_TABLE,
+    NOTE_NAMES,
+    INTERPOLATION_MODES,
+    PAULA_CLOCKS,
+    TIMING_MODES
+} from './audio-engine.js';
+export { AmigaFilter, FILTER_MODELS } from './filters.js';
+export { BlepBuffer } from './blep.js';
+
+// Offline rendering
+export { renderSong, renderSongSamples, renderSongStems, getSongDuration } from './songrender.js';
+
+// MIDI files
+export { saveMIDI, loadMIDI, DEFAULT_PROGRAM, VOICE_ALLOCATIONS } from './midifile.js';
 
 // Pattern operations
 export { Clipboard } from './clipboard.js';
@@ -19,6 +40,9 @@ export { Clipboard } from './clipboard.js';
 export {
     decodeWAV,
     encodeWAV,
+    encodeWAVStereo,
+    decode8SVX,
+    encode8SVX,
     resample,
     audioToInstrument
 } from './sampleutils.js';
@@ -0,0 +1,589 @@
+/**
+ * IT File Loader for Paula Tracker
+ * Reads Impulse Tracker modules (sample and instrument mode, IT2.14/2.15
+ * compressed samples) and downgrades them to the MOD song model (see
+ * downgrade.js). Effects are translated like S3M ones (see s3mloader.js)
+ * Platform-independent - works with ArrayBuffer/Uint8Array only
+ */
+
+import { downgradeModule, NOTE_OFF } from './downgrade.js';
+import { translateS3MEffect, reportLocations } from './s3mloader.js';
+
+// Sample rate of C-5 that plays without transposing (ProTracker's C-2)
+const BASE_C5SPEED = 8363;
+
+// IT note 60 (C-5) is the module's middle C (49)
+const NOTE_OFFSET = 11;
+
+// Portamento speeds of the volume column's Gx
+const VOLUME_PORTAMENTO = [0, 1, 4, 8, 16, 32, 64, 96, 128, 255];
+
+/**
+ * Load an IT file and convert it to a MOD-compatible song
+ * Modules have up to 64 channels: the busiest ones are kept unless
+ * options.channels picks them (see downgradeModule)
+ * @param {ArrayBuffer|Uint8Array} buffer - IT file data
+ * @param {Object} options - Conversion options
+ * @param {number} options.maxChannels - Channels to keep (default 4, up to 32)
+ * @param {number[]} options.channels - Channels (0-based) to keep instead
+ * @returns {Object} {song: Song, warnings: string[], channels: Object[]} -
+ *   see loadXM
+ * @throws {Error} If the file isn't an IT or is too damaged to load
+ */
+export function loadIT(buffer, options = {}) {
+    const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const { module, warnings } = readIT(data);
+    const result = downgradeModule(module, options);
+    return { song: result.song, warnings: [...warnings, ...result.warnings], channels: result.channels };
+}
+
+/**
+ * Parse an IT file into a module description for downgradeModule
+ * @private
+ * @param {Uint8Array} data - IT file data
+ * @returns {Object} {module, warnings}
+ */
+function readIT(data) {
+    if (data.length < 192 || readString(data, 0, 4) !== 'IMPM') {
+        throw new Error('Not an IT file (no "IMPM" header)');
+    }
+    
+    const warnings = [];
+    const orderCount = readUint16(data, 32);
+    const instrumentCount = readUint16(data, 34);
+    const sampleCount = readUint16(data, 36);
+    const patternCount = readUint16(data, 38);
+    const compatibleVersion = readUint16(data, 42);
+    const flags = readUint16(data, 44);
+    const useInstruments = (flags & 4) !== 0;
+    
+    const module = {
+        title: readString(data, 4, 26),
+        channelCount: 64,
+        speed: data[50],
+        bpm: data[51],
+        restartPosition: 0,
+        linearSlides: (flags & 8) !== 0,
+        orders: [],
+        patterns: [],
+        instruments: []
+    };
+    
+    // Order list: 254 is a marker to skip, 255 ends the song (as in S3M)
+    const orderMap = [];
+    for (let i = 0; i < orderCount; i++) {
+        const entry = data[192 + i];
+        orderMap.push(module.orders.length);
+        if (entry === 255) {
+            break;
+        }
+        if (entry !== 254) {
+            module.orders.push(entry);
+        }
+    }
+    
+    const pointerOffset = 192 + orderCount;
+    const pointer = (i) => readUint32(data, pointerOffset + i * 4);
+    
+    const samples = [];
+    for (let i = 1; i <= sampleCount; i++) {
+        samples[i] = readSample(data, pointer(instrumentCount + i - 1), i, warnings);
+    }
+    
+    for (let i = 1; i <= (useInstruments ? instrumentCount : sampleCount); i++) {
+        module.instruments[i] = useInstruments
+            ? readInstrument(data, pointer(i - 1), i, samples, compatibleVersion, warnings)
+            : sampleInstrument(samples[i]);
+    }
+    
+    // Muted channels (panning bit 7) don't play
+    const disabled = [];
+    for (let ch = 0; ch < 64; ch++) {
+        disabled.push((data[64 + ch] & 0x80) !== 0);
+    }
+    
+    const report = {};
+    for (let p = 0; p < patternCount; p++) {
+        const offset = pointer(instrumentCount + sampleCount + p);
+        module.patterns[p] = readPattern(data, offset, p, disabled, orderMap, report);
+    }
+    for (const p of new Set(module.orders.filter(p => p >= patternCount))) {
+        warnings.push(`Pattern ${p} is in the order list but not in the file - played empty`);
+        module.patterns[p] = readPattern(data, 0, p, disabled, orderMap, report);
+    }
+    warnings.push(...reportLocations(report));
+    
+    // Most modules have all 64 channels enabled; keep up to the last one used
+    let channelCount = 1;
+    for (const pattern of module.patterns) {
+        for (const row of pattern || []) {
+            row.forEach((cell, ch) => {
+                if (cell.note || cell.instrument || cell.volume || cell.effect || cell.param) {
+                    channelCount = Math.max(channelCount, ch + 1);
+                }
+            });
+        }
+    }
+    module.channelCount = channelCount;
+    module.patterns = module.patterns.map(pattern => pattern && pattern.map(row => row.slice(0, channelCount)));
+    
+    return { module, warnings };
+}
+
+/**
+ * Unpack a pattern
+ * Each cell starts with a channel byte (bit 7: a new mask follows); the
+ * mask says which of note, instrument, volume and command follow, and
+ * which repeat the channel's last ones. 0 ends the row
+ * @private
+ * @returns {Object[][]} Cells by row and channel (see downgradeModule)
+ */
+function readPattern(data, offset, number, disabled, orderMap, report) {
+    const packedLength = offset > 0 ? readUint16(data, offset) : 0;
+    const rowCount = offset > 0 ? Math.max(1, Math.min(200, readUint16(data, offset + 2))) : 64;
+    const rows = [];
+    for (let row = 0; row < rowCount; row++) {
+        const cells = [];
+        for (let ch = 0; ch < 64; ch++) {
+            cells.push({ note: 0, instrument: 0, volume: 0, effect: 0, param: 0 });
+        }
+        rows.push(cells);
+    }
+    if (offset === 0) {
+        return rows;
+    }
+    
+    const last = [];
+    for (let ch = 0; ch < 64; ch++) {
+        last.push({ mask: 0, note: 0, instrument: 0, volume: 0, command: 0, param: 0 });
+    }
+    const addReport = (label, row) => {
+        (report[label] = report[label] || []).push(`pattern ${number} row ${row}`);
+    };
+    
+    const end = Math.min(data.length, offset + 8 + packedLength);
+    offset += 8;
+    for (let row = 0; row < rowCount && offset < end; row++) {
+        while (offset < end) {
+            const channelByte = data[offset++];
+            if (channelByte === 0) {
+                break;
+            }
+            const ch = (channelByte - 1) & 63;
+            const channel = last[ch];
+            if (channelByte & 0x80) {
+                channel.mask = data[offset++];
+            }
+            const mask = channel.mask;
+            if (mask & 0x01) channel.note = data[offset++];
+            if (mask & 0x02) channel.instrument = data[offset++];
+            if (mask & 0x04) channel.volume = data[offset++];
+            if (mask & 0x08) {
+                channel.command = data[offset++];
+                channel.param = data[offset++];
+            }
+            if (disabled[ch]) {
+                continue;
+            }
+            
+            const cell = rows[row][ch];
+            if (mask & 0x11) {
+                cell.note = convertNote(channel.note);
+            }
+            if (mask & 0x22) {
+                cell.instrument = channel.instrument;
+            }
+            if (mask & 0x88 && channel.command > 0 && channel.command <= 26) {
+                const letter = String.fromCharCode(64 + channel.command);
+                const effect = translateITEffect(letter, channel.param, orderMap);
+                if (effect.report) {
+                    addReport(effect.report, row);
+                }
+                cell.effect = effect.effect;
+                cell.param = effect.param;
+            }
+            if (mask & 0x44) {
+                const volume = convertVolume(channel.volume);
+                cell.volume = volume.volume;
+                if (volume.effect !== undefined) {
+                    // Pitch slides have no place in the XM volume column
+                    if (cell.effect === 0 && cell.param === 0) {
+                        cell.effect = volume.effect;
+                        cell.param = volume.param;
+                    } else {
+                        addReport('Volume column pitch slides dropped - effect column in use', row);
+                    }
+                }
+            }
+        }
+    }
+    return rows;
+}
+
+/**
+ * IT note (0-119, C-0 to B-9; 254 cut, 255 off, the rest fade) to a module
+ * note (1-96, C-4 = 49), moved by octaves into range
+ * @private
+ */
+function convertNote(value) {
+    if (value > 119) {
+        return NOTE_OFF;
+    }
+    let note = value - NOTE_OFFSET;
+    while (note < 1) note += 12;
+    while (note > 96) note -= 12;
+    return note;
+}
+
+/**
+ * IT volume column to an XM volume column byte
+ * @private
+ * @returns {Object} {volume, effect, param} - effect and param are set for
+ *   pitch slides, which only fit the effect column
+ */
+function convertVolume(value) {
+    if (value <= 64) return { volume: 0x10 + value };
+    if (value <= 74) return { volume: 0x90 | (value - 65) };
+    if (value <= 84) return { volume: 0x80 | (value - 75) };
+    if (value <= 94) return { volume: 0x70 | (value - 85) };
+    if (value <= 104) return { volume: 0x60 | (value - 95) };
+    if (value <= 114) return { volume: 0, effect: 0x2, param: (value - 105) * 4 };
+    if (value <= 124) return { volume: 0, effect: 0x1, param: (value - 115) * 4 };
+    if (value >= 128 && value <= 192) return { volume: 0xC0 | Math.min(15, Math.round((value - 128) / 4)) };
+    if (value >= 193 && value <= 202) {
+        return { volume: 0xF0 | Math.min(15, Math.ceil(VOLUME_PORTAMENTO[value - 193] / 16)) };
+    }
+    if (value >= 203 && value <= 212) return { volume: 0xB0 | (value - 203) };
+    return { volume: 0 };
+}
+
+/**
+ * Translate an IT command; the same as S3M's but Cxx's row is hexadecimal
+ * @private
+ */
+function translateITEffect(letter, param, orderMap) {
+    if (letter === 'C') {
+        return { effect: 0xD, param: Math.floor(param / 10) * 16 + (param % 10) };
+    }
+    return translateS3MEffect(letter, param, orderMap);
+}
+
+/**
+ * Read an instrument (instrument mode)
+ * The note-sample table becomes the keymap; envelopes other than volume
+ * and the new note actions can't be kept
+ * @private
+ * @param {Object[]} samples - Every sample in the file, 1-based
+ * @returns {Object} Instrument for the module description
+ */
+function readInstrument(data, offset, number, samples, compatibleVersion, warnings) {
+    const instrument = emptyInstrument();
+    if (offset === 0 || offset + 554 > data.length || readString(data, offset, 4) !== 'IMPI') {
+        return instrument;
+    }
+    instrument.name = readString(data, offset + 32, 26);
+    
+    // Before IT 2.0 instruments had a different layout
+    const isOld = compatibleVersion < 0x200;
+    const globalVolume = isOld ? 128 : data[offset + 24];
+    
+    // Keyboard: a (note, sample) pair for each of the 120 IT notes
+    const used = new Map();
+    let transposed = false;
+    for (let note = 1; note <= 96; note++) {
+        const key = offset + 64 + (note + NOTE_OFFSET) * 2;
+        const sample = samples[data[key + 1]];
+        if (!sample) {
+            continue;
+        }
+        if (data[key] !== note + NOTE_OFFSET) {
+            transposed = true;
+        }
+        if (!used.has(sample)) {
+            used.set(sample, instrument.samples.length);
+            instrument.samples.push({ ...sample, volume: Math.round(sample.volume * globalVolume / 128) });
+        }
+        instrument.keymap[note - 1] = used.get(sample);
+    }
+    instrument.hasAutoVibrato = instrument.samples.some(sample => sample.hasAutoVibrato);
+    if (transposed) {
+        warnings.push(`Instrument ${number}: note map transposition ignored`);
+    }
+    
+    if (isOld) {
+        // Volume envelope on/off in the flags, nodes as (tick, level) pairs
+        if (data[offset + 17] & 1) {
+            const levels = [];
+            for (let i = 0; i < 25 && data[offset + 504 + i * 2] !== 0xFF; i++) {
+                levels.push(data[offset + 505 + i * 2]);
+            }
+            instrument.volumeEnvelope = levels.length > 0 ? { levels } : null;
+        }
+        return instrument;
+    }
+    
+    // Envelopes: volume, panning and pitch, 82 bytes each - flags, node
+    // count, loop and sustain points, then 25 (level, tick) nodes
+    const envelope = (index) => {
+        const start = offset + 304 + index * 82;
+        return { enabled: (data[start] & 1) !== 0, isFilter: (data[start] & 0x80) !== 0, start, nodes: Math.min(25, data[start + 1]) };
+    };
+    const volume = envelope(0);
+    if (volume.enabled && volume.nodes > 0) {
+        const levels = [];
+        for (let i = 0; i < volume.nodes; i++) {
+            levels.push(data[volume.start + 6 + i * 3]);
+        }
+        instrument.volumeEnvelope = { levels };
+    }
+    const panning = envelope(1);
+    instrument.hasPanningEnvelope = panning.enabled && panning.nodes > 0;
+    const pitch = envelope(2);
+    if (pitch.enabled && pitch.nodes > 0) {
+        warnings.push(`Instrument ${number}: ${pitch.isFilter ? 'filter' : 'pitch'} envelope dropped`);
+    }
+    if (data[offset + 17] !== 0) {
+        warnings.push(`Instrument ${number}: new note action ignored - notes cut each other as in ProTracker`);
+    }
+    return instrument;
+}
+
+/**
+ * Sample mode: each sample plays as an instrument of its own
+ * @private
+ */
+function sampleInstrument(sample) {
+    const instrument = emptyInstrument();
+    if (sample) {
+        instrument.name = sample.name;
+        instrument.samples.push(sample);
+        instrument.hasAutoVibrato = sample.hasAutoVibrato;
+    }
+    return instrument;
+}
+
+/**
+ * @private
+ */
+function emptyInstrument() {
+    return {
+        name: '',
+        keymap: new Uint8Array(96),
+        samples: [],
+        volumeEnvelope: null,
+        hasPanningEnvelope: false,
+        hasAutoVibrato: false
+    };
+}
+
+/**
+ * Read a sample header and its data
+ * C5Speed, the rate C-5 plays at, becomes a relative note and finetune
+ * @private
+ * @returns {Object|null} Sample for the module description, or null if
+ *   the header is empty
+ */
+function readSample(data, offset, number, warnings) {
+    if (offset === 0 || offset + 80 > data.length || readString(data, offset, 4) !== 'IMPS') {
+        return null;
+    }
+    const flags = data[offset + 18];
+    const convert = data[offset + 46];
+    const name = readString(data, offset + 20, 26);
+    let length = readUint32(data, offset + 48);
+    if ((flags & 1) === 0 || length === 0) {
+        return null;
+    }
+    
+    const is16Bit = (flags & 2) !== 0;
+    const isStereo = (flags & 4) !== 0;
+    const isCompressed = (flags & 8) !== 0;
+    const isSigned = (convert & 1) !== 0;
+    const dataOffset = readUint32(data, offset + 72);
+    
+    let sampleData;
+    if (isCompressed) {
+        // IT2.15 stores the differences twice
+        const isDoubleDelta = (convert & 4) !== 0;
+        const left = decompressSample(data, dataOffset, length, is16Bit, isDoubleDelta);
+        sampleData = left.samples;
+        if (isStereo) {
+            const right = decompressSample(data, left.end, length, is16Bit, isDoubleDelta);
+            sampleData = sampleData.map((value, i) => (value + right.samples[i]) / 2);
+        }
+        if (left.decoded < length) {
+            warnings.push(`Sample ${number}: compressed data cut off (${left.decoded} of ${length} samples)`);
+        }
+    } else {
+        const bytesPerFrame = is16Bit ? 2 : 1;
+        const storedLength = length;
+        const available = Math.floor(Math.max(0, data.length - dataOffset) / bytesPerFrame / (isStereo ? 2 : 1));
+        if (length > available) {
+            warnings.push(`Sample ${number}: sample data cut off (${available} of ${length} samples)`);
+            length = available;
+        }
+        
+        // Stereo samples store the left channel, then the right: mix them
+        sampleData = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            sampleData[i] = readFrame(data, dataOffset + i * bytesPerFrame, is16Bit, isSigned);
+            if (isStereo) {
+                const right = readFrame(data, dataOffset + (storedLength + i) * bytesPerFrame, is16Bit, isSigned);
+                sampleData[i] = (sampleData[i] + right) / 2;
+            }
+        }
+    }
+    
+    // Sustain loops play until a key off, which a MOD can't do: keep them
+    // as normal loops if there isn't one
+    let loopType = 0;
+    let loopStart = readUint32(data, offset + 52);
+    let loopEnd = readUint32(data, offset + 56);
+    if (flags & 0x10) {
+        loopType = flags & 0x40 ? 2 : 1;
+    } else if (flags & 0x20) {
+        loopType = flags & 0x80 ? 2 : 1;
+        loopStart = readUint32(data, offset + 64);
+        loopEnd = readUint32(data, offset + 68);
+        warnings.push(`Sample ${number}: sustain loop played as a normal loop`);
+    }
+    
+    // Tuning in 1/128 semitones
+    const c5Speed = readUint32(data, offset + 60) || BASE_C5SPEED;
+    const tuning = Math.round(12 * Math.log2(c5Speed / BASE_C5SPEED) * 128);
+    const relativeNote = Math.round(tuning / 128);
+    
+    return {
+        name,
+        data: sampleData,
+        bits: is16Bit ? 16 : 8,
+        loopType,
+        loopStart,
+        loopLength: loopType && loopEnd > loopStart ? loopEnd - loopStart : 0,
+        volume: Math.round(Math.min(64, data[offset + 19]) * Math.min(64, data[offset + 17]) / 64),
+        finetune: Math.max(-128, Math.min(127, tuning - relativeNote * 128)),
+        relativeNote,
+        hasAutoVibrato: data[offset + 77] > 0
+    };
+}
+
+/**
+ * Read one sample frame as a float (-1.0 to 1.0)
+ * @private
+ */
+function readFrame(data, offset, is16Bit, isSigned) {
+    if (is16Bit) {
+        const value = readUint16(data, offset);
+        return isSigned ? (value > 32767 ? value - 65536 : value) / 32768 : (value - 32768) / 32768;
+    }
+    const value = data[offset];
+    return isSigned ? (value > 127 ? value - 256 : value) / 128 : (value - 128) / 128;
+}
+
+/**
+ * Decompress an IT2.14/2.15 sample
+ * The data is in blocks (a 16-bit byte count, then a bit stream) of 32768
+ * 8-bit or 16384 16-bit samples. Each value in the stream is a difference
+ * from the last sample, or a code that changes how many bits the next
+ * values take
+ * @private
+ * @returns {Object} {samples: Float32Array, decoded, end} - decoded counts
+ *   the samples read before the data ran out, end is where the data stopped
+ */
+function decompressSample(data, offset, length, is16Bit, isDoubleDelta) {
+    const samples = new Float32Array(length);
+    const bits = is16Bit ? 16 : 8;
+    const blockLength = is16Bit ? 0x4000 : 0x8000;
+    const valueMask = is16Bit ? 0xFFFF : 0xFF;
+    let position = 0;
+    
+    while (position < length && offset + 2 <= data.length) {
+        const blockEnd = Math.min(data.length, offset + 2 + readUint16(data, offset));
+        let bitPosition = (offset + 2) * 8;
+        const readBits = (count) => {
+            let value = 0;
+            for (let i = 0; i < count; i++, bitPosition++) {
+                const byte = bitPosition >> 3;
+                if (byte < blockEnd && (data[byte] >> (bitPosition & 7)) & 1) {
+                    value |= 1 << i;
+                }
+            }
+            return value;
+        };
+        
+        let width = bits + 1;
+        let delta = 0;
+        let value = 0;
+        const end = Math.min(length, position + blockLength);
+        while (position < end && bitPosition < blockEnd * 8) {
+            let code = readBits(width);
+            
+            if (width < 7) {
+                // Method 1: the top value of the width announces a new one
+                if (code === 1 << (width - 1)) {
+                    const next = readBits(is16Bit ? 4 : 3) + 1;
+                    width = next < width ? next : next + 1;
+                    continue;
+                }
+            } else if (width < bits + 1) {
+                // Method 2: a range of values just below the top one
+                const border = (valueMask >> (bits + 1 - width)) - (is16Bit ? 8 : 4);
+                if (code > border && code <= border + (is16Bit ? 16 : 8)) {
+                    code -= border;
+                    width = code < width ? code : code + 1;
+                    continue;
+                }
+            } else if (width === bits + 1) {
+                // Method 3: the top bit set
+                if (code & (1 << bits)) {
+                    width = (code + 1) & 0xFF;
+                    continue;
+                }
+            } else {
+                break;
+            }
+            
+            // Sign-extend narrower values
+            if (width < bits) {
+                const shift = 32 - width;
+                code = (code << shift) >> shift;
+            }
+            delta = (delta + code) & valueMask;
+            value = (value + delta) & valueMask;
+            const sample = isDoubleDelta ? value : delta;
+            samples[position++] = (sample > valueMask >> 1 ? sample - valueMask - 1 : sample) / (valueMask + 1) * 2;
+        }
+        offset = blockEnd;
+    }
+    return { samples, decoded: position, end: offset };
+}
+
+/**
+ * @private
+ */
+function readUint16(data, offset) {
+    return data[offset] | (data[offset + 1] << 8);
+}
+
+/**
+ * @private
+ */
+function readUint32(data, offset) {
+    return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Read a string from data buffer
+ * @private
+ */
+function readString(data, offset, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) {
+        const char = data[offset + i];
+        if (char === 0) break;
+        if (char >= 32 && char <= 126) {
+            str += String.fromCharCode(char);
+        }
+    }
+    return str.trim();
+}
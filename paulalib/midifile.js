@@ -0,0 +1,753 @@
+/**
+ * Standard MIDI File import and export for Paula Tracker
+ * Export plays the song through a silent PaulaEngine and writes what it
+ * plays as a type 1 MIDI file, so jumps, loops and delays come out as heard.
+ * Import quantizes a MIDI file to rows and downgrades it to the MOD song
+ * model (see downgrade.js)
+ * Platform-independent - works with ArrayBuffer/Uint8Array only
+ */
+
+import { PaulaEngine, PERIOD_TABLE } from './audio-engine.js';
+import { downgradeModule, NOTE_OFF } from './downgrade.js';
+
+// MIDI ticks per quarter note; a row is a sixteenth (24 ticks)
+const TICKS_PER_QUARTER = 96;
+const TICKS_PER_ROW = TICKS_PER_QUARTER / 4;
+
+// General MIDI program for instruments missing from the program table
+// (0 = Acoustic Grand Piano)
+export const DEFAULT_PROGRAM = 0;
+
+// MIDI note of C-1, so C-2 (period 428) is middle C
+const DEFAULT_BASE_NOTE = 48;
+
+// MIDI channel 10 (9 from 0) is for drums in General MIDI
+const DRUM_CHANNEL = 9;
+
+// How imported notes find a voice (see loadMIDI)
+export const VOICE_ALLOCATIONS = ['lowest', 'round-robin', 'keep'];
+
+// Most voices (module channels) a MIDI channel is split over on import
+const MAX_VOICES = 4;
+
+// MIDI tempo when a file doesn't set one (120 BPM)
+const DEFAULT_TEMPO = 500000;
+
+/**
+ * Export a song as a type 1 Standard MIDI File
+ * Track 1 holds the song title and the tempo map, then each Paula channel
+ * gets a track (and a MIDI channel, skipping the drum channel). Rows are
+ * sixteenth notes: Fxx speed and tempo changes become tempo events. A
+ * note's volume when it starts (Cxx, or the instrument's) is its velocity;
+ * later changes (Axy, Cxx without a note) become CC7 channel volume,
+ * relative to the velocity. Tone portamento (3xx, 5xy) doesn't start a
+ * new note: the one playing holds its pitch. The song plays once, until it
+ * loops
+ * @param {Song} song - Song to export
+ * @param {Object} options - Export options
+ * @param {number[]} options.programs - General MIDI program (0-127) for each
+ *   instrument number (default DEFAULT_PROGRAM)
+ * @param {number} options.baseNote - MIDI note for C-1 (default 48)
+ * @param {number} options.maxDuration - Give up after this many seconds (default 1200)
+ * @returns {Uint8Array} MIDI file data
+ */
+export function saveMIDI(song, options = {}) {
+    const programs = options.programs || [];
+    const baseNote = options.baseNote === undefined ? DEFAULT_BASE_NOTE : options.baseNote;
+    const maxDuration = options.maxDuration || 1200;
+    
+    const engine = new PaulaEngine(44100);
+    engine.setSong(song);
+    engine.play(0, 0);
+    
+    const conductor = [
+        textEvent(0, 0x03, song.title),
+        { time: 0, data: [0xFF, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08] }
+    ];
+    const channels = [];
+    for (let ch = 0; ch < song.channelCount; ch++) {
+        const midiChannel = (ch < DRUM_CHANNEL ? ch : ch + 1) % 16;
+        channels.push({
+            midiChannel,
+            events: [textEvent(0, 0x03, song.channelNames[ch] || `Channel ${ch + 1}`)],
+            instrument: 0,
+            program: -1,
+            note: -1,           // MIDI note playing (-1 = none)
+            startVolume: 0,
+            lastVolume: 0,
+            channelVolume: 127, // Last CC7 sent
+            pending: null       // {note, tick} for a note starting on this row
+        });
+    }
+    
+    let time = 0;
+    let seconds = 0;
+    let usPerQuarter = 0;
+    while (seconds < maxDuration) {
+        const newRow = engine.tickCounter === 0 && engine.patternDelayCount === 0;
+        const tick = engine.tickCounter;
+        const pattern = song.getPattern(song.patternOrder[engine.currentPosition]);
+        const row = engine.currentRow;
+        
+        engine.processTick();
+        if (engine.songLoopCount > 0) {
+            break;
+        }
+        
+        // Fxx has been applied by the row's first tick
+        if (newRow) {
+            const tempo = Math.round(4 * engine.tempo * engine.samplesPerTick / engine.sampleRate * 1e6);
+            if (tempo !== usPerQuarter) {
+                usPerQuarter = tempo;
+                conductor.push({ time, data: [0xFF, 0x51, 0x03, (tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF] });
+            }
+        }
+        
+        channels.forEach((channel, ch) => {
+            const state = engine.channelStates[ch];
+            if (newRow) {
+                readCell(pattern.data[row][ch], channel, engine.tempo, baseNote);
+            }
+            
+            if (channel.pending && channel.pending.tick === tick) {
+                noteOff(channel, time);
+                const program = programs[channel.instrument] === undefined ? DEFAULT_PROGRAM : programs[channel.instrument];
+                if (program !== channel.program) {
+                    channel.program = program;
+                    channel.events.push({ time, data: [0xC0 | channel.midiChannel, program & 0x7F] });
+                }
+                if (channel.channelVolume !== 127) {
+                    channel.channelVolume = 127;
+                    channel.events.push({ time, data: [0xB0 | channel.midiChannel, 7, 127] });
+                }
+                const velocity = Math.max(1, Math.min(127, Math.round(state.volume * 127 / 64)));
+                channel.events.push({ time, data: [0x90 | channel.midiChannel, channel.pending.note, velocity] });
+                channel.note = channel.pending.note;
+                channel.startVolume = state.volume;
+                channel.lastVolume = state.volume;
+                channel.pending = null;
+            } else if (channel.cutTick === tick) {
+                noteOff(channel, time);
+            } else if (channel.note >= 0 && state.volume !== channel.lastVolume) {
+                channel.lastVolume = state.volume;
+                const value = channel.startVolume > 0 ? Math.min(127, Math.round(127 * state.volume / channel.startVolume)) : 127;
+                if (value !== channel.channelVolume) {
+                    channel.channelVolume = value;
+                    channel.events.push({ time, data: [0xB0 | channel.midiChannel, 7, value] });
+                }
+            }
+        });
+        
+        time += TICKS_PER_ROW / engine.tempo;
+        seconds += engine.samplesPerTick / engine.sampleRate;
+    }
+    
+    channels.forEach(channel => noteOff(channel, time));
+    
+    return writeMIDIFile([conductor, ...channels.map(channel => channel.events)], time);
+}
+
+/**
+ * Note what a cell starts or stops on a channel
+ * Notes start on tick 0, or later with EDx; ECx cuts them. Tone
+ * portamento keeps the note that's playing
+ * @private
+ */
+function readCell(note, channel, speed, baseNote) {
+    channel.cutTick = -1;
+    if (note.instrument > 0) {
+        channel.instrument = note.instrument;
+    }
+    
+    const ext = note.effect === 0xE ? note.param >> 4 : -1;
+    const extParam = note.param & 0x0F;
+    // 3xx/5xy slide the playing note to the new one without retriggering
+    const portamento = (note.effect === 0x3 || note.effect === 0x5) && channel.note >= 0;
+    if (note.period > 0 && !portamento) {
+        const delay = ext === 0xD ? extParam : 0;
+        if (delay < speed) {
+            channel.pending = { note: Math.max(0, Math.min(127, baseNote + periodToIndex(note.period))), tick: delay };
+        }
+    }
+    if (ext === 0xC && extParam < speed) {
+        channel.cutTick = extParam;
+    }
+}
+
+/**
+ * End the channel's note, if one is playing
+ * @private
+ */
+function noteOff(channel, time) {
+    if (channel.note >= 0) {
+        channel.events.push({ time, data: [0x80 | channel.midiChannel, channel.note, 0] });
+        channel.note = -1;
+    }
+}
+
+/**
+ * Index of the PERIOD_TABLE note closest to a period (0 = C-1)
+ * @private
+ */
+function periodToIndex(period) {
+    let best = 0;
+    PERIOD_TABLE.forEach((tablePeriod, i) => {
+        if (Math.abs(tablePeriod - period) < Math.abs(PERIOD_TABLE[best] - period)) {
+            best = i;
+        }
+    });
+    return best;
+}
+
+/**
+ * Meta event with text (printable ASCII only)
+ * @private
+ */
+function textEvent(time, type, text) {
+    const bytes = [...text].map(char => char.charCodeAt(0)).filter(code => code >= 32 && code <= 126);
+    return { time, data: [0xFF, type, ...variableLength(bytes.length), ...bytes] };
+}
+
+/**
+ * Write tracks of {time, data} events (in time order) as a type 1 MIDI file
+ * @private
+ * @param {Object[][]} tracks - Events per track
+ * @param {number} endTime - When every track ends
+ * @returns {Uint8Array}
+ */
+function writeMIDIFile(tracks, endTime) {
+    const chunks = tracks.map(events => {
+        const data = [];
+        let last = 0;
+        for (const event of [...events, { time: endTime, data: [0xFF, 0x2F, 0x00] }]) {
+            const time = Math.round(event.time);
+            for (const byte of variableLength(time - last)) data.push(byte);
+            for (const byte of event.data) data.push(byte);
+            last = time;
+        }
+        return data;
+    });
+    
+    // Copied into place: a long track is too many arguments for push()
+    const bytes = new Uint8Array(14 + chunks.reduce((sum, data) => sum + 8 + data.length, 0));
+    const view = new DataView(bytes.buffer);
+    writeString(bytes, 0, 'MThd');
+    view.setUint32(4, 6);
+    view.setUint16(8, 1);
+    view.setUint16(10, tracks.length);
+    view.setUint16(12, TICKS_PER_QUARTER);
+    let offset = 14;
+    for (const data of chunks) {
+        writeString(bytes, offset, 'MTrk');
+        view.setUint32(offset + 4, data.length);
+        bytes.set(data, offset + 8);
+        offset += 8 + data.length;
+    }
+    return bytes;
+}
+
+/**
+ * MIDI variable-length quantity: 7 bits per byte, high bit set on all but
+ * the last
+ * @private
+ */
+function variableLength(value) {
+    const bytes = [value & 0x7F];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+        value >>= 7;
+    }
+    return bytes;
+}
+
+/**
+ * Load a Standard MIDI File and convert it to a MOD-compatible song
+ * Notes are quantized to rows and each MIDI channel is split into up to
+ * four monophonic voices. Every voice is a module channel for
+ * downgradeModule, so options.channels picks voices the way it picks XM
+ * channels. Each program (and the drum channel) gets an instrument with a
+ * placeholder sample to replace: a sine for programs, a noise burst for
+ * drums. Velocity becomes Cxx, note offs C00 and tempo changes Fxx. The
+ * rows are cut into 64-row patterns, and a pattern that repeats an
+ * earlier one reuses its number in the order list
+ * @param {ArrayBuffer|Uint8Array} buffer - MIDI file data
+ * @param {Object} options - Conversion options
+ * @param {number} options.ticksPerRow - MIDI ticks per row
+ * @param {number} options.rowsPerQuarter - Rows per quarter note, when
+ *   ticksPerRow isn't given (default 4: a row is a sixteenth note)
+ * @param {number} options.voices - Voices per MIDI channel (1-4, default 4)
+ * @param {string} options.allocation - How a note finds a voice (see
+ *   VOICE_ALLOCATIONS): 'lowest' takes the first free voice and
+ *   'round-robin' the next free one in turn (so notes ring on); both cut
+ *   the oldest note short when every voice is busy, where 'keep' drops the
+ *   new note instead (default 'lowest')
+ * @param {number} options.maxChannels - Voices to keep (default 4, up to 32)
+ * @param {number[]} options.channels - Voices (0-based, in channel order) to keep instead
+ * @returns {Object} {song: Song, warnings: string[], channels: Object[],
+ *   programs: number[]} - see loadXM; programs is the General MIDI program
+ *   of each instrument, as saveMIDI takes them
+ * @throws {Error} If the file isn't a MIDI file or has no notes
+ */
+export function loadMIDI(buffer, options = {}) {
+    const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const allocation = options.allocation || 'lowest';
+    if (!VOICE_ALLOCATIONS.includes(allocation)) {
+        throw new Error(`Unknown voice allocation: ${allocation}`);
+    }
+    
+    const { division, notes, tempos, title, warnings } = readMIDI(data);
+    if (notes.length === 0) {
+        throw new Error('The MIDI file has no notes');
+    }
+    const ticksPerRow = options.ticksPerRow || Math.max(1, Math.round(division / (options.rowsPerQuarter || 4)));
+    const voices = Math.max(1, Math.min(MAX_VOICES, options.voices || MAX_VOICES));
+    
+    const { module, tempoChanges, programs } = buildModule(notes, tempos, division, ticksPerRow, voices, allocation, warnings);
+    module.title = title;
+    const result = downgradeModule(module, options);
+    warnings.push(...result.warnings);
+    placeTempoChanges(result.song, module.orders, tempoChanges, warnings);
+    
+    return {
+        song: result.song,
+        warnings,
+        channels: result.channels,
+        programs: result.song.instruments.map(instrument => (programs.has(instrument.name) ? programs.get(instrument.name) : DEFAULT_PROGRAM))
+    };
+}
+
+/**
+ * Read the notes and tempo changes of a MIDI file
+ * @private
+ * @param {Uint8Array} data - MIDI file data
+ * @returns {Object} {division, notes, tempos, title, warnings} - notes are
+ *   {channel, key, velocity, program, start, end} in ticks, ordered by
+ *   start; tempos are {tick, tempo} (microseconds per quarter note)
+ */
+function readMIDI(data) {
+    if (data.length < 14 || readString(data, 0, 4) !== 'MThd') {
+        throw new Error('Not a MIDI file');
+    }
+    const format = readUint16(data, 8);
+    const trackCount = readUint16(data, 10);
+    const division = readUint16(data, 12);
+    if (division & 0x8000) {
+        throw new Error('MIDI files timed in SMPTE frames aren\'t supported');
+    }
+    if (division === 0) {
+        throw new Error('Not a MIDI file');
+    }
+    
+    const warnings = [];
+    if (format === 2) {
+        warnings.push('Type 2 file: its sequences are played at the same time');
+    }
+    
+    const events = [];
+    let title = '';
+    let lastTick = 0;
+    let tracks = 0;
+    let offset = 8 + readUint32(data, 4);
+    while (tracks < trackCount && offset + 8 <= data.length) {
+        const length = readUint32(data, offset + 4);
+        if (readString(data, offset, 4) === 'MTrk') {
+            const track = readTrack(data, offset + 8, Math.min(data.length, offset + 8 + length), events);
+            if (tracks === 0) {
+                title = track.name;
+            }
+            lastTick = Math.max(lastTick, track.endTick);
+            tracks++;
+        }
+        offset += 8 + length;
+    }
+    if (tracks < trackCount) {
+        warnings.push(`File cut short - ${trackCount - tracks} of ${trackCount} tracks missing`);
+    }
+    
+    // Note offs go first on a tick, so a note struck again is ended first
+    const rank = { off: 0, program: 1, tempo: 1, on: 2 };
+    events.sort((a, b) => a.tick - b.tick || rank[a.type] - rank[b.type]);
+    
+    const notes = [];
+    const tempos = [];
+    const programs = new Array(16).fill(0);
+    const open = new Map();
+    for (const event of events) {
+        const key = event.channel * 128 + event.key;
+        if (event.type === 'tempo') {
+            tempos.push({ tick: event.tick, tempo: event.tempo });
+        } else if (event.type === 'program') {
+            programs[event.channel] = event.program;
+        } else if (event.type === 'on') {
+            const note = {
+                channel: event.channel,
+                key: event.key,
+                velocity: event.velocity,
+                program: programs[event.channel],
+                start: event.tick,
+                end: lastTick
+            };
+            notes.push(note);
+            open.set(key, [...(open.get(key) || []), note]);
+        } else if (open.has(key) && open.get(key).length > 0) {
+            open.get(key).shift().end = event.tick;
+        }
+    }
+    
+    return { division, notes, tempos, title: title.substring(0, 20), warnings };
+}
+
+/**
+ * Read one track's events into a shared list
+ * @private
+ * @param {Uint8Array} data - MIDI file data
+ * @param {number} offset - Start of the track's events
+ * @param {number} end - End of the track
+ * @param {Object[]} events - {tick, type, ...} events, added to
+ * @returns {Object} {name, endTick}
+ */
+function readTrack(data, offset, end, events) {
+    let tick = 0;
+    let status = 0;
+    let name = '';
+    while (offset < end) {
+        const delta = readVariableLength(data, offset);
+        tick += delta.value;
+        offset = delta.offset;
+        
+        // Channel messages can leave out a repeated status byte
+        if (data[offset] >= 0x80) {
+            status = data[offset++];
+        } else if (status === 0) {
+            break;
+        }
+        
+        if (status === 0xFF || status === 0xF0 || status === 0xF7) {
+            const type = status === 0xFF ? data[offset++] : -1;
+            const length = readVariableLength(data, offset);
+            const start = length.offset;
+            if (type === 0x51 && length.value >= 3) {
+                events.push({ tick, type: 'tempo', tempo: (data[start] << 16) | (data[start + 1] << 8) | data[start + 2] });
+            } else if (type === 0x03 && !name) {
+                name = readString(data, start, length.value);
+            } else if (type === 0x2F) {
+                break;
+            }
+            offset = start + length.value;
+            status = 0;
+            continue;
+        }
+        if (status > 0xF0) {
+            break;
+        }
+        
+        const command = status >> 4;
+        const channel = status & 0x0F;
+        const [first, second] = [data[offset], data[offset + 1]];
+        offset += command === 0xC || command === 0xD ? 1 : 2;
+        if (command === 0x9 && second > 0) {
+            events.push({ tick, type: 'on', channel, key: first, velocity: second });
+        } else if (command === 0x8 || command === 0x9) {
+            events.push({ tick, type: 'off', channel, key: first });
+        } else if (command === 0xC) {
+            events.push({ tick, type: 'program', channel, program: first });
+        }
+    }
+    return { name, endTick: tick };
+}
+
+/**
+ * Quantize the notes to rows and lay them out as a module description
+ * @private
+ * @returns {Object} {module, tempoChanges, programs} - tempoChanges lists
+ *   {row, effects} for each module pattern; programs maps instrument names
+ *   to General MIDI programs
+ */
+function buildModule(notes, tempos, division, ticksPerRow, voices, allocation, warnings) {
+    // One instrument per program (and one for drums), in order of first use
+    const instruments = [null];
+    const instrumentNumbers = new Map();
+    const programs = new Map();
+    for (const note of notes) {
+        const key = note.channel === DRUM_CHANNEL ? 'drums' : note.program;
+        if (!instrumentNumbers.has(key)) {
+            const name = key === 'drums' ? 'Drums' : `Program ${key + 1}`;
+            instrumentNumbers.set(key, instruments.length);
+            instruments.push(placeholderInstrument(name, key === 'drums'));
+            if (key !== 'drums') {
+                programs.set(name, key);
+            }
+        }
+        note.instrument = instrumentNumbers.get(key);
+    }
+    
+    const channelVoices = [];
+    for (let channel = 0; channel < 16; channel++) {
+        const channelNotes = notes.filter(note => note.channel === channel);
+        if (channelNotes.length > 0) {
+            channelVoices.push(...allocateVoices(channelNotes, channel, ticksPerRow, voices, allocation, warnings));
+        }
+    }
+    
+    // Every row with a note, plus one for the last note off
+    const rowCount = Math.max(...channelVoices.map(voice => voice[voice.length - 1].end)) + 1;
+    const rows = Array.from({ length: rowCount }, () => channelVoices.map(() => ({ note: 0, instrument: 0, volume: 0, effect: 0, param: 0 })));
+    channelVoices.forEach((voice, ch) => {
+        voice.forEach((note, n) => {
+            if (note.end === note.start) {
+                return;
+            }
+            let key = note.key - 11;
+            while (key < 1) key += 12;
+            while (key > 96) key -= 12;
+            const volume = Math.round(note.velocity * 64 / 127);
+            Object.assign(rows[note.start][ch], {
+                note: key,
+                instrument: note.instrument,
+                volume: volume < 64 ? 0x10 + volume : 0
+            });
+            if (!voice[n + 1] || voice[n + 1].start !== note.end) {
+                rows[note.end][ch].note = NOTE_OFF;
+            }
+        });
+    });
+    
+    // Tempo at each row where it changes, as ProTracker speed and BPM
+    const rowTempos = new Map([[0, DEFAULT_TEMPO]]);
+    for (const { tick, tempo } of tempos) {
+        rowTempos.set(Math.min(rowCount - 1, Math.round(tick / ticksPerRow)), tempo);
+    }
+    const rowSeconds = tempo => tempo * ticksPerRow / division / 1e6;
+    const initial = rowTiming(rowSeconds(rowTempos.get(0)));
+    let timing = initial;
+    const changes = new Map();
+    for (const [row, tempo] of [...rowTempos].sort((a, b) => a[0] - b[0])) {
+        const next = rowTiming(rowSeconds(tempo));
+        const effects = [];
+        if (next.speed !== timing.speed) effects.push([0xF, next.speed]);
+        if (next.bpm !== timing.bpm) effects.push([0xF, next.bpm]);
+        if (effects.length > 0) {
+            changes.set(row, effects);
+        }
+        timing = next;
+    }
+    
+    // 64-row patterns; repeats share a pattern
+    const patterns = [];
+    const tempoChanges = [];
+    const orders = [];
+    const patternKeys = new Map();
+    for (let start = 0; start < rowCount; start += 64) {
+        const patternRows = rows.slice(start, start + 64);
+        const patternChanges = [];
+        patternRows.forEach((_, r) => {
+            if (changes.has(start + r)) {
+                patternChanges.push({ row: r, effects: changes.get(start + r) });
+            }
+        });
+        const key = JSON.stringify([patternRows, patternChanges]);
+        if (!patternKeys.has(key)) {
+            patternKeys.set(key, patterns.length);
+            patterns.push(patternRows);
+            tempoChanges.push(patternChanges);
+        }
+        orders.push(patternKeys.get(key));
+    }
+    
+    const module = {
+        title: '',
+        channelCount: channelVoices.length,
+        speed: initial.speed,
+        bpm: initial.bpm,
+        restartPosition: 0,
+        linearSlides: false,
+        orders,
+        patterns,
+        instruments
+    };
+    return { module, tempoChanges, programs };
+}
+
+/**
+ * Give each of a MIDI channel's notes a voice, quantized to rows
+ * @private
+ * @returns {Object[][]} Notes of each voice that's used, with start and
+ *   end in rows
+ */
+function allocateVoices(notes, channel, ticksPerRow, voices, allocation, warnings) {
+    const voiceNotes = Array.from({ length: voices }, () => []);
+    const freeFrom = new Array(voices).fill(0);
+    let last = -1;
+    let cut = 0;
+    let dropped = 0;
+    
+    for (const note of notes) {
+        const start = Math.round(note.start / ticksPerRow);
+        const end = Math.max(start + 1, Math.round(note.end / ticksPerRow));
+        const free = [...voiceNotes.keys()].filter(v => freeFrom[v] <= start);
+        
+        let voice;
+        if (free.length > 0) {
+            const next = free.find(v => v > last);
+            voice = allocation === 'round-robin' && next !== undefined ? next : free[0];
+        } else if (allocation === 'keep') {
+            dropped++;
+            continue;
+        } else {
+            // Cut the note that started first
+            voice = 0;
+            for (let v = 1; v < voices; v++) {
+                if (voiceNotes[v][voiceNotes[v].length - 1].start < voiceNotes[voice][voiceNotes[voice].length - 1].start) {
+                    voice = v;
+                }
+            }
+            voiceNotes[voice][voiceNotes[voice].length - 1].end = start;
+            cut++;
+        }
+        voiceNotes[voice].push({ ...note, start, end });
+        freeFrom[voice] = end;
+        last = voice;
+    }
+    
+    if (cut > 0) {
+        warnings.push(`MIDI channel ${channel + 1}: ${cut} notes cut short - more than ${voices} at once`);
+    }
+    if (dropped > 0) {
+        warnings.push(`MIDI channel ${channel + 1}: ${dropped} notes dropped - more than ${voices} at once`);
+    }
+    return voiceNotes.filter(voice => voice.length > 0);
+}
+
+/**
+ * ProTracker speed and BPM for a row length, keeping speed 6 where the BPM
+ * range allows
+ * @private
+ * @param {number} seconds - Row length
+ * @returns {Object} {speed, bpm}
+ */
+function rowTiming(seconds) {
+    let speed = 6;
+    while (2.5 * speed / seconds > 255 && speed > 1) speed--;
+    while (2.5 * speed / seconds < 32 && speed < 31) speed++;
+    return { speed, bpm: Math.max(32, Math.min(255, Math.round(2.5 * speed / seconds))) };
+}
+
+/**
+ * Write tempo changes as Fxx into free effect columns of the converted song
+ * Module patterns are 64 rows, so song positions match module ones
+ * @private
+ */
+function placeTempoChanges(song, orders, tempoChanges, warnings) {
+    const done = new Set();
+    let lost = 0;
+    for (let position = 0; position < song.songLength; position++) {
+        const number = song.patternOrder[position];
+        if (done.has(number)) {
+            continue;
+        }
+        done.add(number);
+        for (const { row, effects } of tempoChanges[orders[position]]) {
+            const free = song.patterns[number].data[row].filter(note => note.effect === 0 && note.param === 0);
+            effects.forEach((effect, i) => {
+                if (free[i]) {
+                    [free[i].effect, free[i].param] = effect;
+                } else {
+                    lost++;
+                }
+            });
+        }
+    }
+    if (lost > 0) {
+        warnings.push(`${lost} tempo changes dropped - no free effect column`);
+    }
+}
+
+/**
+ * Module instrument with a placeholder sample: one looped sine cycle (C-2
+ * plays close to middle C), or a decaying noise burst for drums
+ * @private
+ */
+function placeholderInstrument(name, isDrums) {
+    let data;
+    if (isDrums) {
+        let seed = 1;
+        data = Float32Array.from({ length: 2048 }, (_, i) => {
+            seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+            return (seed / 0x40000000 - 1) * (1 - i / 2048);
+        });
+    } else {
+        data = Float32Array.from({ length: 32 }, (_, i) => Math.sin(2 * Math.PI * i / 32) / 2);
+    }
+    const sample = {
+        name,
+        data,
+        bits: 8,
+        loopType: isDrums ? 0 : 1,
+        loopStart: 0,
+        loopLength: isDrums ? 0 : data.length,
+        volume: 64,
+        finetune: 0,
+        relativeNote: 0
+    };
+    return {
+        name,
+        keymap: new Uint8Array(96),
+        samples: [sample],
+        volumeEnvelope: null,
+        hasPanningEnvelope: false,
+        hasAutoVibrato: false
+    };
+}
+
+/**
+ * Read a variable-length quantity
+ * @private
+ * @returns {Object} {value, offset} - offset is just past it
+ */
+function readVariableLength(data, offset) {
+    let value = 0;
+    let byte;
+    do {
+        byte = data[offset++] || 0;
+        value = value * 128 + (byte & 0x7F);
+    } while (byte & 0x80);
+    return { value, offset };
+}
+
+/**
+ * @private
+ */
+function readUint16(data, offset) {
+    return (data[offset] << 8) | data[offset + 1];
+}
+
+/**
+ * @private
+ */
+function readUint32(data, offset) {
+    return ((data[offset] << 24) >>> 0) + (data[offset + 1] << 16) + (data[offset + 2] << 8) + data[offset + 3];
+}
+
+/**
+ * @private
+ */
+function readString(data, offset, length) {
+    let str = '';
+    for (let i = 0; i < length && offset + i < data.length; i++) {
+        const char = data[offset + i];
+        if (char >= 32 && char <= 126) {
+            str += String.fromCharCode(char);
+        }
+    }
+    return str.trim();
+}
+
+/**
+ * @private
+ */
+function writeString(data, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        data[offset + i] = string.charCodeAt(i);
+    }
+}
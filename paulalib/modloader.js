@@ -4,35 +4,70 @@
  * No file system or browser API dependencies
  */
 
-import { Song, Pattern, Note, Instrument } from './data.js';
+import { Song, Pattern, Note, Instrument, convertUSTEffect, MAX_PATTERNS } from './data.js';
+
+// Format tags of 31-sample MODs (offset 1080) - files without one may be
+// 15-sample Soundtracker modules
+const MOD_TAGS = /^(M\.K\.|M!K!|M&K!|N\.T\.|FLT[48]|EXO4|[0-9]CHN|[0-9]{2}(CH|CN)|CD81|OKTA|OCTA|TDZ[0-9])$/;
+
+// Ultimate Soundtracker's default CIA timer setting (byte 471), which runs at about 50 Hz
+const UST_DEFAULT_TEMPO = 0x78;
 
 /**
  * Load a MOD file from ArrayBuffer or Uint8Array
+ * Same as readMOD, without the warnings
  * @param {ArrayBuffer|Uint8Array} buffer - MOD file data
  * @returns {Song} Parsed song object
+ * @throws {Error} If the file isn't a MOD or is too damaged to load
  */
 export function loadMOD(buffer) {
+    return readMOD(buffer).song;
+}
+
+/**
+ * Load a MOD file, repairing common defects
+ * Loop points past the sample end, odd sample lengths, sample data cut off
+ * by a truncated file and pattern table entries that point at patterns the
+ * file doesn't contain are fixed up, with a warning for each
+ * @param {ArrayBuffer|Uint8Array} buffer - MOD file data
+ * @returns {Object} {song: Song, warnings: string[]}
+ * @throws {Error} If the file isn't a MOD or is too damaged to load
+ */
+export function readMOD(buffer) {
     const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
-    const song = new Song();
-    
-    // Read song title (20 bytes at offset 0)
-    song.title = readString(data, 0, 20);
+    const warnings = [];
     
     // Detect MOD format by checking signature at offset 1080
+    // Old Soundtracker modules have no signature and only 15 instruments
     const signature = readString(data, 1080, 4);
-    let channelCount = 4;
-    
-    if (signature === 'M.K.' || signature === 'M!K!' || signature === 'FLT4') {
-        channelCount = 4;
-    } else if (signature === '6CHN') {
-        channelCount = 6;
-    } else if (signature === '8CHN') {
-        channelCount = 8;
+    const hasTag = MOD_TAGS.test(signature);
+    const isSoundtracker = !hasTag && isPlausibleMOD(data, 15);
+    if (!hasTag && !isSoundtracker) {
+        if (!isPlausibleMOD(data, 31)) {
+            throw new Error(`Not a MOD file (${data.length} bytes, no known format tag)`);
+        }
+        warnings.push(`Unknown format tag "${signature}" - loaded as a 4-channel MOD`);
     }
+    const sampleCount = isSoundtracker ? 15 : 31;
+    const channelCount = isSoundtracker ? 4 : getChannelCount(signature);
+    const song = new Song(channelCount);
+    
+    // Startrekker's FLT8 stores each 8-channel pattern as two 4-channel halves
+    const isFLT8 = signature === 'FLT8';
+    
+    // Song length, restart byte and pattern table follow the instruments
+    const headerOffset = 20 + sampleCount * 30;
+    
+    // Read song title (20 bytes at offset 0)
+    song.title = readString(data, 0, 20);
     
-    // Read 31 instruments (offset 20)
+    // MODs don't store their timing - guess it from the tracker tag
+    // (the clock can't be told from the file, so it stays PAL)
+    song.timing = guessTiming(isSoundtracker ? '' : signature);
+    
+    // Read 15 or 31 instruments (offset 20)
     let offset = 20;
-    for (let i = 1; i <= 31; i++) {
+    for (let i = 1; i <= sampleCount; i++) {
         const instr = song.instruments[i];
         
         // Instrument name (22 bytes)
@@ -45,13 +80,19 @@ export function loadMOD(buffer) {
         offset += 2;
         
         // Finetune (1 byte, signed 4-bit value)
-        let finetune = data[offset];
+        let finetune = data[offset] & 0x0F;
         if (finetune > 7) finetune = finetune - 16;
         instr.finetune = finetune;
+        if (data[offset] > 0x0F) {
+            warnings.push(`Instrument ${i}: invalid finetune byte ${data[offset]}, using ${finetune}`);
+        }
         offset += 1;
         
         // Volume (1 byte, 0-64)
         instr.volume = Math.min(64, data[offset]);
+        if (data[offset] > 64) {
+            warnings.push(`Instrument ${i}: volume ${data[offset]} clamped to 64`);
+        }
         offset += 1;
         
         // Repeat start in words (2 bytes)
@@ -63,63 +104,113 @@ export function loadMOD(buffer) {
         const repeatLengthWords = (data[offset] << 8) | data[offset + 1];
         instr.repeatLength = repeatLengthWords * 2;
         offset += 2;
+        
+        // Ultimate Soundtracker counted the repeat start in bytes
+        if (isSoundtracker && instr.repeatStart + instr.repeatLength > instr.length &&
+            repeatWords + instr.repeatLength <= instr.length) {
+            instr.repeatStart = repeatWords;
+        }
     }
     
-    // Song length (1 byte at offset 950)
-    song.songLength = data[950];
+    // Song length (1 byte at offset 950, 470 for 15 instruments)
+    song.songLength = Math.max(1, Math.min(128, data[headerOffset]));
+    if (song.songLength !== data[headerOffset]) {
+        warnings.push(`Song length ${data[headerOffset]} out of range, using ${song.songLength}`);
+    }
     
-    // Restart position (1 byte at offset 951)
-    song.restartPosition = data[951];
+    // Restart position (1 byte at offset 951) - Ultimate Soundtracker
+    // stored its CIA tempo here instead
+    if (isSoundtracker) {
+        setSoundtrackerTempo(song, data[headerOffset + 1]);
+    } else {
+        song.restartPosition = data[headerOffset + 1];
+    }
     
     // Pattern table (128 bytes at offset 952)
     let maxPattern = 0;
     for (let i = 0; i < 128; i++) {
-        const patternNum = data[952 + i];
+        const patternNum = isFLT8 ? data[headerOffset + 2 + i] >> 1 : data[headerOffset + 2 + i];
         song.patternOrder[i] = patternNum;
         if (patternNum > maxPattern) maxPattern = patternNum;
     }
     
-    // Pattern data starts at offset 1084
-    offset = 1084;
+    // Pattern data starts at offset 1084 (600 without a signature)
+    offset = headerOffset + 130 + (isSoundtracker ? 0 : 4);
+    
+    // The file holds every pattern up to the highest one in the table. If
+    // they aren't all there, unused table entries are probably garbage:
+    // clear them, as long as the patterns the song plays are intact
+    const patternSize = 64 * channelCount * 4;
+    const patternsInFile = Math.floor((data.length - offset) / patternSize);
+    const patternLimit = Math.min(patternsInFile, MAX_PATTERNS);
+    if (maxPattern >= patternLimit) {
+        maxPattern = Math.max(...song.patternOrder.slice(0, song.songLength));
+        if (maxPattern >= patternLimit) {
+            throw new Error(`Pattern ${maxPattern} is missing - the file is truncated or damaged`);
+        }
+        for (let i = song.songLength; i < 128; i++) {
+            if (song.patternOrder[i] > maxPattern) {
+                song.patternOrder[i] = 0;
+            }
+        }
+        warnings.push('Pattern table had entries past the song end pointing at missing patterns - cleared');
+    }
     
     // Read pattern data
+    song.ensurePattern(maxPattern);
     for (let p = 0; p <= maxPattern; p++) {
         const pattern = song.patterns[p];
         
-        for (let row = 0; row < 64; row++) {
-            for (let ch = 0; ch < channelCount && ch < 4; ch++) {
-                const note = pattern.getNote(row, ch);
-                
-                // Read 4 bytes per note
-                const b0 = data[offset++];
-                const b1 = data[offset++];
-                const b2 = data[offset++];
-                const b3 = data[offset++];
-                
-                // Decode note data
-                const periodHi = (b0 & 0x0F);
-                const periodLo = b1;
-                const period = (periodHi << 8) | periodLo;
-                note.period = period;
-                
-                const instrHi = (b0 & 0xF0) >> 4;
-                const instrLo = (b2 & 0xF0) >> 4;
-                const instrument = (instrHi << 4) | instrLo;
-                note.instrument = instrument;
-                
-                const effect = b2 & 0x0F;
-                note.effect = effect;
-                
-                const param = b3;
-                note.param = param;
+        // Channel ranges in the order they are stored
+        const blocks = isFLT8 ? [[0, 4], [4, 8]] : [[0, channelCount]];
+        
+        for (const [firstChannel, endChannel] of blocks) {
+            for (let row = 0; row < 64; row++) {
+                for (let ch = firstChannel; ch < endChannel; ch++) {
+                    const note = pattern.getNote(row, ch);
+                    
+                    // Read 4 bytes per note
+                    const b0 = data[offset++];
+                    const b1 = data[offset++];
+                    const b2 = data[offset++];
+                    const b3 = data[offset++];
+                    
+                    // Decode note data
+                    const periodHi = (b0 & 0x0F);
+                    const periodLo = b1;
+                    const period = (periodHi << 8) | periodLo;
+                    note.period = period;
+                    
+                    const instrHi = (b0 & 0xF0) >> 4;
+                    const instrLo = (b2 & 0xF0) >> 4;
+                    const instrument = (instrHi << 4) | instrLo;
+                    note.instrument = instrument;
+                    
+                    const effect = b2 & 0x0F;
+                    note.effect = effect;
+                    
+                    const param = b3;
+                    note.param = param;
+                }
             }
         }
     }
     
+    if (isSoundtracker) {
+        song.effectMode = guessSoundtrackerEffects(song, maxPattern);
+    }
+    
     // Read sample data
-    for (let i = 1; i <= 31; i++) {
+    for (let i = 1; i <= sampleCount; i++) {
         const instr = song.instruments[i];
         
+        // Ripped and truncated files often end partway through the samples
+        const available = Math.max(0, data.length - offset);
+        if (instr.length > available) {
+            warnings.push(`Instrument ${i}: sample data cut off (${available} of ${instr.length} bytes)`);
+            instr.length = available;
+        }
+        
         if (instr.length > 0) {
             instr.sampleData = new Float32Array(instr.length);
             
@@ -129,35 +220,60 @@ export function loadMOD(buffer) {
                 instr.sampleData[s] = signed / 128.0;
             }
         }
+        
+        repairInstrument(instr, i, warnings);
     }
     
-    return song;
+    return { song, warnings };
 }
 
 /**
  * Save a song as a MOD file
+ * Same as writeMOD, without the warnings
  * @param {Song} song - Song object to save
  * @returns {Uint8Array} MOD file data
  */
 export function saveMOD(song) {
-    // Calculate how many patterns are actually used
-    let maxPattern = 0;
-    for (let i = 0; i < song.songLength; i++) {
-        if (song.patternOrder[i] > maxPattern) {
-            maxPattern = song.patternOrder[i];
+    return writeMOD(song).data;
+}
+
+/**
+ * Save a song as a MOD file, reporting anything the file can't keep
+ * @param {Song} song - Song object to save
+ * @returns {Object} {data: Uint8Array, warnings: string[]}
+ */
+export function writeMOD(song) {
+    const warnings = [];
+    
+    // Loaders read every pattern up to the highest one in the whole table,
+    // used positions or not. Patterns that aren't in the song yet (work in
+    // progress) are kept by pointing an unused entry at the last one
+    const patternOrder = [];
+    for (let i = 0; i < 128; i++) {
+        patternOrder.push(song.patternOrder[i] || 0);
+    }
+    let lastPattern = song.patterns.length - 1;
+    while (lastPattern > 0 && song.patterns[lastPattern].isEmpty()) {
+        lastPattern--;
+    }
+    const highestUsed = Math.max(...patternOrder);
+    if (lastPattern > highestUsed) {
+        if (song.songLength < 128) {
+            patternOrder[127] = lastPattern;
+        } else {
+            warnings.push(`Patterns ${highestUsed + 1}-${lastPattern} aren't in the song order and the order list is full - not saved`);
         }
     }
+    const maxPattern = Math.max(...patternOrder);
     
     // Calculate total size needed
+    const channelCount = song.channelCount || 4;
     const headerSize = 1084;
-    const patternDataSize = (maxPattern + 1) * 64 * 4 * 4;
+    const patternDataSize = (maxPattern + 1) * 64 * channelCount * 4;
     
     let sampleDataSize = 0;
     for (let i = 1; i <= 31; i++) {
-        const instr = song.instruments[i];
-        if (!instr.isEmpty()) {
-            sampleDataSize += instr.length;
-        }
+        sampleDataSize += getSavedLength(song.instruments[i]);
     }
     
     const totalSize = headerSize + patternDataSize + sampleDataSize;
@@ -174,7 +290,7 @@ export function saveMOD(song) {
         writeString(data, offset, instr.name || '', 22);
         offset += 22;
         
-        const lengthWords = Math.floor(instr.length / 2);
+        const lengthWords = getSavedLength(instr) / 2;
         data[offset++] = (lengthWords >> 8) & 0xFF;
         data[offset++] = lengthWords & 0xFF;
         
@@ -200,26 +316,36 @@ export function saveMOD(song) {
     data[951] = song.restartPosition || 0;
     
     // Pattern order table (128 bytes at offset 952)
-    for (let i = 0; i < 128; i++) {
-        data[952 + i] = song.patternOrder[i] || 0;
-    }
+    data.set(patternOrder, 952);
     
-    // MOD signature 'M.K.' (offset 1080)
-    writeString(data, 1080, 'M.K.', 4);
+    // MOD signature (offset 1080): 'M.K.' ('M!K!' past 64 patterns), or the
+    // channel count for multichannel songs
+    writeString(data, 1080, getSignature(channelCount, maxPattern + 1), 4);
     
     // Write pattern data (offset 1084)
     offset = 1084;
     for (let p = 0; p <= maxPattern; p++) {
         const pattern = song.patterns[p];
         
+        // Never created - saved empty
+        if (!pattern) {
+            offset += 64 * channelCount * 4;
+            continue;
+        }
+        
         for (let row = 0; row < 64; row++) {
-            for (let ch = 0; ch < 4; ch++) {
+            for (let ch = 0; ch < channelCount; ch++) {
                 const note = pattern.getNote(row, ch);
                 
                 const period = note.period || 0;
                 const instrument = note.instrument || 0;
-                const effect = note.effect || 0;
-                const param = note.param || 0;
+                let effect = note.effect || 0;
+                let param = note.param || 0;
+                
+                // Always saved as a ProTracker MOD
+                if (song.effectMode === 'ust') {
+                    [effect, param] = convertUSTEffect(effect, param);
+                }
                 
                 const instrHi = (instrument >> 4) & 0x0F;
                 const periodHi = (period >> 8) & 0x0F;
@@ -238,9 +364,10 @@ export function saveMOD(song) {
     // Write sample data
     for (let i = 1; i <= 31; i++) {
         const instr = song.instruments[i];
+        const length = getSavedLength(instr);
         
-        if (!instr.isEmpty() && instr.sampleData) {
-            for (let j = 0; j < instr.length; j++) {
+        if (length > 0) {
+            for (let j = 0; j < length; j++) {
                 const sample = instr.sampleData[j] || 0;
                 const signed8bit = Math.round(sample * 127);
                 data[offset++] = signed8bit & 0xFF;
@@ -248,7 +375,16 @@ export function saveMOD(song) {
         }
     }
     
-    return data;
+    return { data, warnings };
+}
+
+/**
+ * Sample length as written to a MOD: whole words (an odd length gets a
+ * zero pad byte), and nothing for an instrument without sample data
+ * @private
+ */
+function getSavedLength(instr) {
+    return instr.isEmpty() ? 0 : Math.ceil(instr.length / 2) * 2;
 }
 
 /**
@@ -266,6 +402,174 @@ export function countInstruments(song) {
     return count;
 }
 
+/**
+ * Check whether a file without a format tag looks like a MOD
+ * There is no signature, so the header has to look sane: volumes up to 64,
+ * a song length of 1-128 and pattern numbers whose data fits in the file.
+ * 15-sample Soundtracker modules are checked more strictly (printable
+ * names, no finetune - Soundtracker had none, pattern numbers below 64),
+ * since a 31-sample MOD with a lost tag would otherwise pass too
+ * @private
+ * @param {Uint8Array} data - File data
+ * @param {number} sampleCount - 15 or 31
+ */
+function isPlausibleMOD(data, sampleCount) {
+    const headerOffset = 20 + sampleCount * 30;
+    const patternOffset = headerOffset + 130 + (sampleCount === 31 ? 4 : 0);
+    if (data.length < patternOffset) {
+        return false;
+    }
+    
+    for (let i = 0; i < sampleCount; i++) {
+        const offset = 20 + i * 30;
+        if (data[offset + 25] > 64) {
+            return false;
+        }
+        if (sampleCount === 15) {
+            for (let c = 0; c < 22; c++) {
+                const char = data[offset + c];
+                if (char !== 0 && (char < 32 || char > 126)) {
+                    return false;
+                }
+            }
+            if (data[offset + 24] !== 0) {
+                return false;
+            }
+        }
+    }
+    
+    const songLength = data[headerOffset];
+    if (songLength === 0 || songLength > 128) {
+        return false;
+    }
+    
+    let maxPattern = 0;
+    for (let i = 0; i < 128; i++) {
+        if (data[headerOffset + 2 + i] >= (sampleCount === 15 ? 64 : 128)) {
+            return false;
+        }
+        maxPattern = Math.max(maxPattern, data[headerOffset + 2 + i]);
+    }
+    return data.length >= patternOffset + (maxPattern + 1) * 1024;
+}
+
+/**
+ * Fix loop points and lengths the engine can't play (used by readMOD)
+ * Odd lengths are padded to whole words, loops that start past the end are
+ * switched off and loops that run past the end are shortened
+ * @private
+ */
+function repairInstrument(instr, number, warnings) {
+    if (instr.length % 2 === 1) {
+        const padded = new Float32Array(instr.length + 1);
+        padded.set(instr.sampleData);
+        instr.sampleData = padded;
+        instr.length++;
+        warnings.push(`Instrument ${number}: odd sample length, padded to ${instr.length} bytes`);
+    }
+    
+    if (!instr.hasLoop()) {
+        return;
+    }
+    if (instr.repeatStart >= instr.length) {
+        if (instr.length > 0) {
+            warnings.push(`Instrument ${number}: loop starts past the end of the sample - loop removed`);
+        }
+        instr.repeatStart = 0;
+        instr.repeatLength = 2;
+    } else if (instr.repeatStart + instr.repeatLength > instr.length) {
+        instr.repeatLength = instr.length - instr.repeatStart;
+        warnings.push(`Instrument ${number}: loop runs past the end of the sample - shortened to ${instr.repeatLength} bytes`);
+    }
+}
+
+/**
+ * Set a Soundtracker module's timing from byte 471
+ * Ultimate Soundtracker stored the CIA timer setting there: the default
+ * (0x78) or 0 plays at the VBlank rate, anything else is a BPM
+ * @private
+ */
+function setSoundtrackerTempo(song, value) {
+    if (value === 0 || value === UST_DEFAULT_TEMPO) {
+        return;
+    }
+    // CIA ticks per second = 709379 / ((240 - value) * 122), and BPM = ticks * 2.5
+    const bpm = Math.round((709379 * 2.5) / ((240 - value) * 122));
+    song.timing = 'cia';
+    song.bpm = Math.max(32, Math.min(255, bpm));
+}
+
+/**
+ * Tell Ultimate Soundtracker effects (1xy arpeggio, 2xy pitch bend) from the
+ * ProTracker-style ones later 15-sample Soundtrackers used
+ * Only Ultimate Soundtracker modules use 1xx/2xx without any other effect
+ * @private
+ * @returns {string} 'ust' or 'protracker' (see Song.effectMode)
+ */
+function guessSoundtrackerEffects(song, maxPattern) {
+    let usesOneOrTwo = false;
+    for (let p = 0; p <= maxPattern; p++) {
+        for (const row of song.patterns[p].data) {
+            for (const note of row) {
+                if (note.effect > 2 || (note.effect === 0 && note.param !== 0)) {
+                    return 'protracker';
+                }
+                if (note.param !== 0) {
+                    usesOneOrTwo = true;
+                }
+            }
+        }
+    }
+    return usesOneOrTwo ? 'ust' : 'protracker';
+}
+
+/**
+ * Number of channels for a MOD format tag
+ * xCHN (FastTracker), xxCH/xxCN (multichannel trackers), CD81/OKTA/OCTA
+ * (Falcon and Oktalyzer conversions), FLT8 (Startrekker), TDZx (TakeTracker)
+ * Anything else is a 4-channel MOD
+ * @private
+ */
+function getChannelCount(signature) {
+    let match;
+    if ((match = /^([1-9])CHN$/.exec(signature))) {
+        return Number(match[1]);
+    }
+    if ((match = /^([1-3][0-9])C[HN]$/.exec(signature))) {
+        return Math.min(32, Number(match[1]));
+    }
+    if ((match = /^TDZ([1-3])$/.exec(signature))) {
+        return Number(match[1]);
+    }
+    if (['CD81', 'OKTA', 'OCTA', 'FLT8'].includes(signature)) {
+        return 8;
+    }
+    return 4;
+}
+
+/**
+ * Format tag saveMOD writes for a channel count
+ * ProTracker's M.K. is limited to 64 patterns, M!K! allows 128
+ * @private
+ */
+function getSignature(channelCount, patternCount) {
+    if (channelCount === 4) {
+        return patternCount > 64 ? 'M!K!' : 'M.K.';
+    }
+    return channelCount < 10 ? `${channelCount}CHN` : `${channelCount}CH`;
+}
+
+/**
+ * Guess CIA or VBlank timing from a MOD's format tag
+ * CIA (BPM) timing came with ProTracker and the multichannel trackers;
+ * NoiseTracker's N.T. tag and untagged files are from the VBlank era
+ * @private
+ */
+function guessTiming(signature) {
+    const ciaTags = /^(M\.K\.|M!K!|M&K!|FLT[48]|EXO4|[0-9]CHN|[0-9]{2}(CH|CN)|CD81|OKTA|OCTA|TDZ[0-9])$/;
+    return ciaTags.test(signature) ? 'cia' : 'vblank';
+}
+
 /**
  * Read a string from data buffer
  * @private
@@ -0,0 +1,435 @@
+/**
+ * S3M File Loader for Paula Tracker
+ * Reads ScreamTracker 3 modules, translates their effects and downgrades
+ * them to the MOD song model (see downgrade.js)
+ * Platform-independent - works with ArrayBuffer/Uint8Array only
+ */
+
+import { downgradeModule, NOTE_OFF } from './downgrade.js';
+
+// Sample rate of C-4 that plays without transposing (ProTracker's C-2)
+const BASE_C2SPD = 8363;
+
+// Locations listed per untranslatable command before "+N more"
+const MAX_LOCATIONS = 5;
+
+// Commands with no ProTracker counterpart, by S3M letter
+const DROPPED_COMMANDS = {
+    I: 'Ixy tremor',
+    M: 'Mxx channel volume',
+    N: 'Nxy channel volume slide',
+    P: 'Pxy panning slide',
+    V: 'Vxx global volume',
+    W: 'Wxy global volume slide',
+    X: 'Xxx panning',
+    Y: 'Yxy panbrello',
+    Z: 'Zxx MIDI macro'
+};
+
+/**
+ * Load an S3M file and convert it to a MOD-compatible song
+ * Effects are translated to ProTracker's where there is one; the rest are
+ * reported with the patterns and rows they were dropped from
+ * @param {ArrayBuffer|Uint8Array} buffer - S3M file data
+ * @param {Object} options - Conversion options
+ * @param {number} options.maxChannels - Channels to keep (default 4, up to 32)
+ * @param {number[]} options.channels - Channels (0-based) to keep instead
+ * @returns {Object} {song: Song, warnings: string[], channels: Object[]} -
+ *   see loadXM
+ * @throws {Error} If the file isn't an S3M or is too damaged to load
+ */
+export function loadS3M(buffer, options = {}) {
+    const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const { module, warnings } = readS3M(data);
+    const result = downgradeModule(module, options);
+    return { song: result.song, warnings: [...warnings, ...result.warnings], channels: result.channels };
+}
+
+/**
+ * Parse an S3M file into a module description for downgradeModule
+ * @private
+ * @param {Uint8Array} data - S3M file data
+ * @returns {Object} {module, warnings}
+ */
+function readS3M(data) {
+    if (data.length < 96 || readString(data, 44, 4) !== 'SCRM') {
+        throw new Error('Not an S3M file (no "SCRM" tag)');
+    }
+    
+    const warnings = [];
+    const orderCount = readUint16(data, 32);
+    const instrumentCount = readUint16(data, 34);
+    const patternCount = readUint16(data, 36);
+    const isSigned = readUint16(data, 42) === 1;
+    
+    // Channels 0-15 play samples; disabled and AdLib channels are left out
+    const channelMap = [];
+    let channelCount = 0;
+    for (let ch = 0; ch < 32; ch++) {
+        channelMap.push(data[64 + ch] < 16 ? channelCount++ : -1);
+    }
+    
+    const module = {
+        title: readString(data, 0, 28),
+        channelCount: Math.max(1, channelCount),
+        speed: data[49],
+        bpm: data[50],
+        restartPosition: 0,
+        linearSlides: false,
+        orders: [],
+        patterns: [],
+        instruments: []
+    };
+    
+    // Order list: 254 is a marker to skip, 255 ends the song. Bxx jumps
+    // count the markers, so remember where each entry went
+    const orderMap = [];
+    for (let i = 0; i < orderCount; i++) {
+        const entry = data[96 + i];
+        orderMap.push(module.orders.length);
+        if (entry === 255) {
+            break;
+        }
+        if (entry !== 254) {
+            module.orders.push(entry);
+        }
+    }
+    
+    const pointerOffset = 96 + orderCount;
+    for (let i = 1; i <= instrumentCount; i++) {
+        const offset = readUint16(data, pointerOffset + (i - 1) * 2) * 16;
+        module.instruments[i] = readInstrument(data, offset, i, isSigned, warnings);
+    }
+    
+    const report = {};
+    for (let p = 0; p < patternCount; p++) {
+        const offset = readUint16(data, pointerOffset + instrumentCount * 2 + p * 2) * 16;
+        module.patterns[p] = readPattern(data, offset, p, module.channelCount, channelMap, orderMap, report);
+    }
+    
+    // Order entries past the last pattern play an empty one
+    for (const p of new Set(module.orders.filter(p => p >= patternCount))) {
+        warnings.push(`Pattern ${p} is in the order list but not in the file - played empty`);
+        module.patterns[p] = readPattern(data, 0, p, module.channelCount, channelMap, orderMap, report);
+    }
+    
+    warnings.push(...reportLocations(report));
+    return { module, warnings };
+}
+
+/**
+ * Turn untranslatable commands and where they were into warnings
+ * Shared with the IT loader
+ * @param {Object} report - Locations ('pattern P row R') by loss
+ * @returns {string[]} One warning per loss
+ */
+export function reportLocations(report) {
+    return Object.entries(report).map(([label, locations]) => {
+        const listed = locations.slice(0, MAX_LOCATIONS).join(', ');
+        const more = locations.length > MAX_LOCATIONS ? ` (+${locations.length - MAX_LOCATIONS} more)` : '';
+        return `${label}: ${listed}${more}`;
+    });
+}
+
+/**
+ * Read a sample (S3M instruments are single samples)
+ * C2Spd, the rate C-4 plays at, becomes a relative note and finetune
+ * @private
+ * @returns {Object} Instrument for the module description
+ */
+function readInstrument(data, offset, number, isSigned, warnings) {
+    const instrument = {
+        name: '',
+        keymap: new Uint8Array(96),
+        samples: [],
+        volumeEnvelope: null,
+        hasPanningEnvelope: false,
+        hasAutoVibrato: false
+    };
+    if (offset === 0 || offset + 80 > data.length) {
+        return instrument;
+    }
+    
+    instrument.name = readString(data, offset + 48, 28);
+    const type = data[offset];
+    if (type > 1) {
+        warnings.push(`Instrument ${number}: AdLib instruments can't be converted - left empty`);
+        return instrument;
+    }
+    if (type === 0) {
+        return instrument;
+    }
+    
+    const flags = data[offset + 31];
+    const is16Bit = (flags & 4) !== 0;
+    const isStereo = (flags & 2) !== 0;
+    const bytesPerFrame = is16Bit ? 2 : 1;
+    const dataOffset = ((data[offset + 13] << 16) | readUint16(data, offset + 14)) * 16;
+    const storedLength = readUint32(data, offset + 16);
+    let length = storedLength;
+    const loopStart = readUint32(data, offset + 20);
+    const loopEnd = readUint32(data, offset + 24);
+    
+    const available = Math.floor(Math.max(0, data.length - dataOffset) / bytesPerFrame / (isStereo ? 2 : 1));
+    if (length > available) {
+        warnings.push(`Instrument ${number}: sample data cut off (${available} of ${length} samples)`);
+        length = available;
+    }
+    
+    // Stereo samples store the left channel, then the right: mix them
+    const sampleData = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        sampleData[i] = readFrame(data, dataOffset + i * bytesPerFrame, is16Bit, isSigned);
+        if (isStereo) {
+            const right = readFrame(data, dataOffset + (storedLength + i) * bytesPerFrame, is16Bit, isSigned);
+            sampleData[i] = (sampleData[i] + right) / 2;
+        }
+    }
+    
+    // Tuning in 1/128 semitones
+    const c2spd = readUint32(data, offset + 32) || BASE_C2SPD;
+    const tuning = Math.round(12 * Math.log2(c2spd / BASE_C2SPD) * 128);
+    const relativeNote = Math.round(tuning / 128);
+    
+    instrument.samples.push({
+        name: instrument.name,
+        data: sampleData,
+        bits: is16Bit ? 16 : 8,
+        loopType: flags & 1,
+        loopStart,
+        loopLength: loopEnd > loopStart ? loopEnd - loopStart : 0,
+        volume: Math.min(64, data[offset + 28]),
+        finetune: Math.max(-128, Math.min(127, tuning - relativeNote * 128)),
+        relativeNote
+    });
+    return instrument;
+}
+
+/**
+ * Read one sample frame as a float (-1.0 to 1.0)
+ * @private
+ */
+function readFrame(data, offset, is16Bit, isSigned) {
+    if (is16Bit) {
+        const value = readUint16(data, offset);
+        return isSigned ? (value > 32767 ? value - 65536 : value) / 32768 : (value - 32768) / 32768;
+    }
+    const value = data[offset];
+    return isSigned ? (value > 127 ? value - 256 : value) / 128 : (value - 128) / 128;
+}
+
+/**
+ * Unpack a 64-row pattern
+ * Each cell starts with a byte holding the channel and which of note +
+ * instrument, volume and command + info follow; 0 ends the row
+ * @private
+ * @returns {Object[][]} Cells by row and channel (see downgradeModule)
+ */
+function readPattern(data, offset, number, channelCount, channelMap, orderMap, report) {
+    const rows = [];
+    for (let row = 0; row < 64; row++) {
+        const cells = [];
+        for (let ch = 0; ch < channelCount; ch++) {
+            cells.push({ note: 0, instrument: 0, volume: 0, effect: 0, param: 0 });
+        }
+        rows.push(cells);
+    }
+    if (offset === 0) {
+        return rows;
+    }
+    
+    const end = Math.min(data.length, offset + 2 + readUint16(data, offset));
+    offset += 2;
+    for (let row = 0; row < 64 && offset < end; row++) {
+        while (offset < end) {
+            const what = data[offset++];
+            if (what === 0) {
+                break;
+            }
+            const channel = channelMap[what & 31];
+            const cell = channel >= 0 ? rows[row][channel] : {};
+            
+            if (what & 32) {
+                cell.note = convertNote(data[offset++]);
+                cell.instrument = data[offset++];
+            }
+            if (what & 64) {
+                cell.volume = 0x10 + Math.min(64, data[offset++]);
+            }
+            if (what & 128) {
+                const letter = String.fromCharCode(64 + data[offset++]);
+                const effect = translateS3MEffect(letter, data[offset++], orderMap);
+                if (effect.report && channel >= 0) {
+                    (report[effect.report] = report[effect.report] || []).push(`pattern ${number} row ${row}`);
+                }
+                cell.effect = effect.effect;
+                cell.param = effect.param;
+            }
+        }
+    }
+    return rows;
+}
+
+/**
+ * S3M note byte (octave << 4 | semitone, 254 = note cut, 255 = none) to a
+ * module note (1-96, C-4 = 49)
+ * @private
+ */
+function convertNote(value) {
+    if (value === 254) {
+        return NOTE_OFF;
+    }
+    const note = (value >> 4) * 12 + (value & 0x0F) + 1;
+    return value === 255 || note > 96 ? 0 : note;
+}
+
+/**
+ * Translate an S3M command (A-Z) to a ProTracker effect in XM numbering
+ * Impulse Tracker uses the same letters, so the IT loader shares this
+ * @param {string} letter - Command letter
+ * @param {number} param - Command info byte
+ * @param {number[]} orderMap - Position in the converted order list for
+ *   each entry of the file's (for Bxx)
+ * @returns {Object} {effect, param, report} - report names the loss, for
+ *   commands that can't be translated or only approximately
+ */
+export function translateS3MEffect(letter, param, orderMap) {
+    const x = param >> 4;
+    const y = param & 0x0F;
+    const none = { effect: 0, param: 0 };
+    
+    switch (letter) {
+        case 'A':
+            // Speeds from 32 up would be tempos in a MOD
+            if (param > 0x1F) {
+                return { ...none, report: 'Axx speeds above 31 dropped' };
+            }
+            return param ? { effect: 0xF, param } : none;
+        case 'B':
+            return { effect: 0xB, param: param < orderMap.length ? orderMap[param] : 0 };
+        case 'C':
+            return { effect: 0xD, param };
+        case 'D':
+            return translateVolumeSlide(0xA, param);
+        case 'E':
+        case 'F': {
+            // E slides down, F up: xx, FFx fine, EEx extra fine
+            const effect = letter === 'E' ? 0x2 : 0x1;
+            if (x === 0xF) {
+                return { effect: 0xE, param: (effect << 4) | y };
+            }
+            if (x === 0xE) {
+                return {
+                    effect: 0xE,
+                    param: (effect << 4) | Math.max(1, Math.round(y / 4)),
+                    report: `${letter}Ex extra fine slides rounded to fine slides`
+                };
+            }
+            return { effect, param };
+        }
+        case 'G':
+            return { effect: 0x3, param };
+        case 'H':
+            return { effect: 0x4, param };
+        case 'J':
+            return { effect: 0x0, param };
+        case 'K':
+            return translateVolumeSlide(0x6, param);
+        case 'L':
+            return translateVolumeSlide(0x5, param);
+        case 'O':
+            return { effect: 0x9, param };
+        case 'Q':
+            // Retrig; the volume change (x) has no ProTracker equivalent
+            if (x !== 0 && x !== 8) {
+                return { effect: 0xE, param: 0x90 | y, report: 'Qxy retrig volume changes dropped' };
+            }
+            return { effect: 0xE, param: 0x90 | y };
+        case 'R':
+            return { effect: 0x7, param };
+        case 'S':
+            return translateSpecial(x, y);
+        case 'T':
+            if (param < 0x20) {
+                return { ...none, report: 'Txx tempo slides dropped' };
+            }
+            return { effect: 0xF, param };
+        case 'U':
+            // Fine vibrato is a quarter as deep
+            return {
+                effect: 0x4,
+                param: (x << 4) | Math.max(1, Math.round(y / 4)),
+                report: 'Uxy fine vibrato played as 4xy'
+            };
+        default:
+            if (DROPPED_COMMANDS[letter]) {
+                return { ...none, report: `${DROPPED_COMMANDS[letter]} dropped` };
+            }
+            return none;
+    }
+}
+
+/**
+ * Dxy volume slide (also in K and L): D0y down, Dx0 up, DxF fine up, DFy
+ * fine down. Fine slides can't be combined with K/L's vibrato or portamento
+ * @private
+ */
+function translateVolumeSlide(effect, param) {
+    const x = param >> 4;
+    const y = param & 0x0F;
+    if (y === 0x0F && x > 0 && x < 0x0F) {
+        return effect === 0xA ? { effect: 0xE, param: 0xA0 | x } : { effect, param: x << 4, report: 'Fine volume slides in K/L played as normal slides' };
+    }
+    if (x === 0x0F && y > 0 && y < 0x0F) {
+        return effect === 0xA ? { effect: 0xE, param: 0xB0 | y } : { effect, param: y, report: 'Fine volume slides in K/L played as normal slides' };
+    }
+    // Both nibbles set: ScreamTracker slides down
+    return { effect, param: x && y ? y : param };
+}
+
+/**
+ * Sxy special commands to ProTracker Exy
+ * @private
+ */
+function translateSpecial(x, y) {
+    // S0 filter, S1 glissando, S2 finetune, S3 vibrato and S4 tremolo
+    // waveform, SB loop, SC cut, SD delay, SE pattern delay, SF funk repeat
+    const extended = { 0x0: 0x0, 0x1: 0x3, 0x2: 0x5, 0x3: 0x4, 0x4: 0x7, 0xB: 0x6, 0xC: 0xC, 0xD: 0xD, 0xE: 0xE, 0xF: 0xF };
+    if (extended[x] !== undefined) {
+        return { effect: 0xE, param: (extended[x] << 4) | y };
+    }
+    if (x === 0x8) {
+        return { effect: 0, param: 0, report: 'S8x panning dropped' };
+    }
+    return { effect: 0, param: 0, report: `S${x.toString(16).toUpperCase()}x dropped` };
+}
+
+/**
+ * @private
+ */
+function readUint16(data, offset) {
+    return data[offset] | (data[offset + 1] << 8);
+}
+
+/**
+ * @private
+ */
+function readUint32(data, offset) {
+    return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Read a string from data buffer
+ * @private
+ */
+function readString(data, offset, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) {
+        const char = data[offset + i];
+        if (char === 0) break;
+        if (char >= 32 && char <= 126) {
+            str += String.fromCharCode(char);
+        }
+    }
+    return str.trim();
+}
@@ -143,6 +143,220 @@ export function encodeWAV(sampleData, sampleRate = 8363) {
     return data;
 }
 
+/**
+ * Encode interleaved stereo samples as WAV file
+ * @param {Float32Array} samples - Interleaved samples [L, R, L, R, ...] (-1.0 to 1.0)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} bitsPerSample - 16 or 24
+ * @returns {Uint8Array} WAV file data
+ */
+export function encodeWAVStereo(samples, sampleRate = 44100, bitsPerSample = 16) {
+    if (bitsPerSample !== 16 && bitsPerSample !== 24) {
+        throw new Error(`Unsupported bit depth: ${bitsPerSample}`);
+    }
+    
+    const numChannels = 2;
+    const bytesPerSample = bitsPerSample / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const byteRate = sampleRate * blockAlign;
+    const dataSize = samples.length * bytesPerSample;
+    const fileSize = 44 + dataSize;
+    
+    const buffer = new ArrayBuffer(fileSize);
+    const data = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    
+    // RIFF chunk
+    writeString(data, 0, 'RIFF');
+    view.setUint32(4, fileSize - 8, true);
+    writeString(data, 8, 'WAVE');
+    
+    // fmt chunk
+    writeString(data, 12, 'fmt ');
+    view.setUint32(16, 16, true); // Chunk size
+    view.setUint16(20, 1, true); // Audio format (PCM)
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, byteRate, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitsPerSample, true);
+    
+    // data chunk
+    writeString(data, 36, 'data');
+    view.setUint32(40, dataSize, true);
+    
+    // Write samples
+    let offset = 44;
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        if (bitsPerSample === 16) {
+            view.setInt16(offset, Math.round(sample * 32767), true);
+            offset += 2;
+        } else {
+            const int24 = Math.round(sample * 8388607);
+            data[offset++] = int24 & 0xFF;
+            data[offset++] = (int24 >> 8) & 0xFF;
+            data[offset++] = (int24 >> 16) & 0xFF;
+        }
+    }
+    
+    return data;
+}
+
+// Fibonacci-delta step for each 4-bit code (8SVX sCompression 1)
+const FIBONACCI_DELTAS = [-34, -21, -13, -8, -5, -3, -2, -1, 0, 1, 2, 3, 5, 8, 13, 21];
+
+/**
+ * Decode an IFF 8SVX sample
+ * Only the first (highest) octave of multi-octave instruments and the left
+ * channel of stereo ones are read. The one-shot and repeat parts become
+ * an instrument loop: repeatStart is where the repeat part starts, and
+ * repeatLength 2 means no loop, as in Instrument
+ * @param {ArrayBuffer|Uint8Array} buffer - 8SVX file data
+ * @param {string} filename - Used for the name if the file has no NAME chunk
+ * @returns {Object} {sampleData: Float32Array, sampleRate, name, repeatStart,
+ *   repeatLength, volume (0-64)}
+ */
+export function decode8SVX(buffer, filename = 'sample') {
+    const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    
+    if (data.length < 12 || readString(data, 0, 4) !== 'FORM' || readString(data, 8, 4) !== '8SVX') {
+        throw new Error('Not a valid 8SVX file: missing FORM 8SVX header');
+    }
+    
+    let header = null;
+    let name = '';
+    let stereo = false;
+    let body = null;
+    let offset = 12;
+    while (offset + 8 <= data.length) {
+        const chunkId = readString(data, offset, 4);
+        const chunkSize = view.getUint32(offset + 4);
+        const start = offset + 8;
+        const end = Math.min(data.length, start + chunkSize);
+        
+        if (chunkId === 'VHDR' && end - start >= 20) {
+            header = {
+                oneShot: view.getUint32(start),
+                repeat: view.getUint32(start + 4),
+                sampleRate: view.getUint16(start + 12),
+                compression: data[start + 15],
+                volume: view.getUint32(start + 16)
+            };
+        } else if (chunkId === 'NAME') {
+            name = readString(data, start, end - start).replace(/[^\x20-\x7E]/g, '').trim();
+        } else if (chunkId === 'CHAN' && end - start >= 4) {
+            stereo = view.getUint32(start) === 6;
+        } else if (chunkId === 'BODY') {
+            body = data.subarray(start, end);
+        }
+        
+        // Chunks are padded to an even length
+        offset = start + chunkSize + (chunkSize & 1);
+    }
+    
+    if (!header) {
+        throw new Error('Not a valid 8SVX file: missing VHDR chunk');
+    }
+    if (!body) {
+        throw new Error('No BODY chunk found in 8SVX file');
+    }
+    if (header.compression > 1) {
+        throw new Error(`Unsupported 8SVX compression: ${header.compression}`);
+    }
+    
+    // Stereo bodies hold the left channel, then the right (each compressed
+    // on its own)
+    const left = stereo ? body.subarray(0, body.length >> 1) : body;
+    const bytes = header.compression === 1 ? decodeFibonacci(left) : new Int8Array(left.buffer, left.byteOffset, left.length);
+    
+    // The first octave is one-shot plus repeat samples long (older files
+    // leave these at 0 for the whole body)
+    const octaveLength = header.oneShot + header.repeat;
+    const length = octaveLength > 0 ? Math.min(octaveLength, bytes.length) : bytes.length;
+    const sampleData = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        sampleData[i] = bytes[i] / 128.0;
+    }
+    
+    const hasLoop = header.repeat > 2 && header.oneShot < length;
+    return {
+        sampleData,
+        sampleRate: header.sampleRate || 8363,
+        name: (name || filename.replace(/\.[^/.]+$/, '')).substring(0, 22),
+        repeatStart: hasLoop ? header.oneShot : 0,
+        repeatLength: hasLoop ? Math.min(header.repeat, length - header.oneShot) : 2,
+        volume: Math.min(64, Math.round(header.volume / 0x10000 * 64))
+    };
+}
+
+/**
+ * Encode a sample as an IFF 8SVX file
+ * With a loop, the one-shot part is everything before it and the repeat
+ * part the loop itself (anything after the loop is left out)
+ * @param {Float32Array} sampleData - Audio samples (-1.0 to 1.0)
+ * @param {Object} options - Encoding options
+ * @param {number} options.sampleRate - Sample rate in Hz, up to 65535 (default 8363)
+ * @param {string} options.name - Written as a NAME chunk if set
+ * @param {number} options.repeatStart - Loop start (as Instrument.repeatStart)
+ * @param {number} options.repeatLength - Loop length, 2 or less for no loop
+ * @param {number} options.volume - 0-64 (default 64)
+ * @param {boolean} options.compress - Fibonacci-delta compress the sample
+ *   (lossy, half the size)
+ * @returns {Uint8Array} 8SVX file data
+ * @throws {Error} If the sample rate doesn't fit the file's 16-bit field
+ */
+export function encode8SVX(sampleData, options = {}) {
+    const sampleRate = Math.round(options.sampleRate || 8363);
+    if (sampleRate > 0xFFFF) {
+        throw new Error(`8SVX sample rates go up to 65535 Hz: ${sampleRate}`);
+    }
+    const repeatStart = options.repeatStart || 0;
+    const repeatLength = options.repeatLength || 2;
+    const volume = options.volume === undefined ? 64 : options.volume;
+    
+    const hasLoop = repeatLength > 2 && repeatStart < sampleData.length;
+    const length = hasLoop ? Math.min(sampleData.length, repeatStart + repeatLength) : sampleData.length;
+    const bytes = new Int8Array(length);
+    for (let i = 0; i < length; i++) {
+        bytes[i] = Math.max(-128, Math.min(127, Math.round(sampleData[i] * 128)));
+    }
+    const body = options.compress ? encodeFibonacci(bytes) : new Uint8Array(bytes.buffer);
+    
+    const chunks = [];
+    const header = new Uint8Array(20);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, hasLoop ? repeatStart : length);
+    headerView.setUint32(4, hasLoop ? length - repeatStart : 0);
+    headerView.setUint32(8, 0); // samplesPerHiCycle: not a tuned instrument
+    headerView.setUint16(12, sampleRate);
+    header[14] = 1; // One octave
+    header[15] = options.compress ? 1 : 0;
+    headerView.setUint32(16, Math.round(Math.max(0, Math.min(64, volume)) / 64 * 0x10000));
+    chunks.push(['VHDR', header]);
+    if (options.name) {
+        chunks.push(['NAME', Uint8Array.from(options.name, char => char.charCodeAt(0) & 0x7F)]);
+    }
+    chunks.push(['BODY', body]);
+    
+    const fileSize = 12 + chunks.reduce((sum, [, chunk]) => sum + 8 + chunk.length + (chunk.length & 1), 0);
+    const data = new Uint8Array(fileSize);
+    const view = new DataView(data.buffer);
+    writeString(data, 0, 'FORM');
+    view.setUint32(4, fileSize - 8);
+    writeString(data, 8, '8SVX');
+    let offset = 12;
+    for (const [chunkId, chunk] of chunks) {
+        writeString(data, offset, chunkId);
+        view.setUint32(offset + 4, chunk.length);
+        data.set(chunk, offset + 8);
+        offset += 8 + chunk.length + (chunk.length & 1);
+    }
+    
+    return data;
+}
+
 /**
  * Resample audio to target sample rate
  * @param {Float32Array} input - Input samples
@@ -201,6 +415,50 @@ export function audioToInstrument(sampleData, sampleRate, name) {
     };
 }
 
+/**
+ * Expand Fibonacci-delta data: a pad byte, the starting value, then two
+ * 4-bit deltas per byte (high nibble first)
+ * @private
+ * @returns {Int8Array} Samples
+ */
+function decodeFibonacci(body) {
+    const output = new Int8Array(Math.max(0, body.length - 2) * 2);
+    // Values wrap around as signed bytes, as in the original decoder
+    let value = body.length > 1 ? (body[1] << 24) >> 24 : 0;
+    for (let i = 2; i < body.length; i++) {
+        value = ((value + FIBONACCI_DELTAS[body[i] >> 4]) << 24) >> 24;
+        output[(i - 2) * 2] = value;
+        value = ((value + FIBONACCI_DELTAS[body[i] & 0x0F]) << 24) >> 24;
+        output[(i - 2) * 2 + 1] = value;
+    }
+    return output;
+}
+
+/**
+ * Compress samples with Fibonacci deltas, each the closest step to the
+ * next sample from where decoding has got to
+ * @private
+ * @returns {Uint8Array} BODY data
+ */
+function encodeFibonacci(bytes) {
+    const output = new Uint8Array(2 + Math.ceil(bytes.length / 2));
+    let value = bytes.length > 0 ? bytes[0] : 0;
+    output[1] = value & 0xFF;
+    for (let i = 0; i < bytes.length + (bytes.length & 1); i++) {
+        const target = i < bytes.length ? bytes[i] : value;
+        let best = 8;
+        FIBONACCI_DELTAS.forEach((delta, code) => {
+            const next = value + delta;
+            if (next >= -128 && next <= 127 && Math.abs(target - next) < Math.abs(target - value - FIBONACCI_DELTAS[best])) {
+                best = code;
+            }
+        });
+        value += FIBONACCI_DELTAS[best];
+        output[2 + (i >> 1)] |= (i & 1) ? best : best << 4;
+    }
+    return output;
+}
+
 /**
  * Read string from buffer (helper)
  * @private
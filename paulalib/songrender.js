@@ -0,0 +1,215 @@
+/**
+ * Offline song renderer for Paula Tracker
+ * Runs a fresh PaulaEngine faster than realtime and bounces the song to WAV
+ * Platform-independent - returns Float32Array/Uint8Array only
+ */
+
+import { PaulaEngine } from './audio-engine.js';
+import { encodeWAVStereo } from './sampleutils.js';
+
+// Frames mixed per engine call - also the granularity of the song-end check
+const RENDER_CHUNK = 256;
+
+/**
+ * Run a fresh engine over the song and collect the output
+ * @private
+ * @param {Song} song - Song to render
+ * @param {Object} options - See renderSongSamples
+ * @param {boolean} withStems - Also collect one stereo buffer per channel
+ * @returns {Object} {mix: Float32Array, stems: Float32Array[]|null}
+ */
+function runRender(song, options, withStems) {
+    const sampleRate = options.sampleRate || 44100;
+    const loops = options.loops || 0;
+    const fadeFrames = Math.round((options.fadeOut || 0) * sampleRate);
+    const maxFrames = Math.round((options.maxDuration || 1200) * sampleRate);
+    
+    const engine = new PaulaEngine(sampleRate);
+    engine.setSong(song);
+    if (options.interpolation) {
+        engine.setInterpolation(options.interpolation);
+    }
+    if (options.filterModel) {
+        engine.setFilterModel(options.filterModel);
+    }
+    if (options.mutedChannels) {
+        engine.mutedChannels = [...options.mutedChannels];
+    }
+    if (options.stereoSeparation !== undefined) {
+        engine.setStereoSeparation(options.stereoSeparation);
+    }
+    if (options.channelPans) {
+        options.channelPans.forEach((pan, ch) => engine.setChannelPan(ch, pan));
+    }
+    if (options.masterVolume !== undefined) {
+        engine.setMasterVolume(options.masterVolume);
+    }
+    if (options.softLimiter) {
+        engine.setSoftLimiter(true);
+    }
+    engine.play(0, 0);
+    
+    const mixChunks = [];
+    const stemChunks = withStems ? engine.channelStates.map(() => []) : null;
+    let frames = 0;
+    
+    const renderChunk = (numFrames) => {
+        const stems = withStems ? stemChunks.map(() => new Float32Array(numFrames * 2)) : null;
+        const mix = engine.mixAudio(numFrames, stems);
+        mixChunks.push(mix);
+        if (stems) {
+            stems.forEach((stem, ch) => stemChunks[ch].push(stem));
+        }
+        frames += numFrames;
+        return [mix, ...(stems || [])];
+    };
+    
+    // Play until the song has looped the requested number of times
+    while (engine.songLoopCount <= loops && frames < maxFrames) {
+        renderChunk(RENDER_CHUNK);
+    }
+    
+    // Keep playing into the fade-out
+    if (fadeFrames > 0) {
+        for (const buffer of renderChunk(fadeFrames)) {
+            for (let i = 0; i < fadeFrames; i++) {
+                const gain = 1 - i / fadeFrames;
+                buffer[i * 2] *= gain;
+                buffer[i * 2 + 1] *= gain;
+            }
+        }
+    }
+    
+    return {
+        mix: joinChunks(mixChunks, frames),
+        stems: withStems ? stemChunks.map(chunks => joinChunks(chunks, frames)) : null
+    };
+}
+
+/**
+ * Concatenate stereo chunks into one buffer
+ * @private
+ */
+function joinChunks(chunks, frames) {
+    const output = new Float32Array(frames * 2);
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+/**
+ * Render a song to interleaved stereo samples
+ * @param {Song} song - Song to render
+ * @param {Object} options - Render options
+ * @param {number} options.sampleRate - Output sample rate (default 44100)
+ * @param {number} options.loops - Extra times to play the song after the first pass (default 0)
+ * @param {number} options.fadeOut - Fade-out length in seconds after the end (default 0)
+ * @param {number} options.maxDuration - Safety limit in seconds (default 1200)
+ * @param {string} options.interpolation - Engine resampling mode (see PaulaEngine.setInterpolation)
+ * @param {string} options.filterModel - Engine output filter model (see PaulaEngine.setFilterModel)
+ * @param {boolean[]} options.mutedChannels - Channels to leave out (same as PaulaEngine.mutedChannels)
+ * @param {number} options.stereoSeparation - 0-100 (default 40, see PaulaEngine.setStereoSeparation)
+ * @param {Array} options.channelPans - Per-channel pan overrides, -1 to 1 or null
+ * @param {number} options.masterVolume - 0-1 (default 0.5)
+ * @param {boolean} options.softLimiter - Soft limiter instead of hard clipping
+ * @returns {Float32Array} Interleaved stereo samples [L, R, L, R, ...]
+ */
+export function renderSongSamples(song, options = {}) {
+    return runRender(song, options, false).mix;
+}
+
+/**
+ * Render a song to a stereo WAV file
+ * Accepts the same options as renderSongSamples, plus:
+ * @param {Song} song - Song to render
+ * @param {Object} options - Render options
+ * @param {number} options.bitDepth - 16 or 24 (default 16)
+ * @returns {Uint8Array} WAV file data
+ */
+export function renderSong(song, options = {}) {
+    const samples = renderSongSamples(song, options);
+    return encodeWAVStereo(samples, options.sampleRate || 44100, options.bitDepth || 16);
+}
+
+/**
+ * Render one WAV per channel plus the master mix
+ * Accepts the same options as renderSong, plus:
+ * @param {Song} song - Song to render
+ * @param {Object} options - Render options
+ * @param {string} options.stemPanning - 'mix' keeps each channel's panning from
+ *   the mix (default), 'center' puts every stem in the middle
+ * @returns {Object} {mix: Uint8Array, channels: Uint8Array[]} - muted channels
+ *   are left out of the mix and get null instead of a stem
+ */
+export function renderSongStems(song, options = {}) {
+    const sampleRate = options.sampleRate || 44100;
+    const bitDepth = options.bitDepth || 16;
+    const { mix, stems } = runRender(song, options, true);
+    
+    const channels = stems.map((stem, ch) => {
+        if (options.mutedChannels && options.mutedChannels[ch]) {
+            return null;
+        }
+        if (options.stemPanning === 'center') {
+            for (let i = 0; i < stem.length; i += 2) {
+                const mono = (stem[i] + stem[i + 1]) / 2;
+                stem[i] = mono;
+                stem[i + 1] = mono;
+            }
+        }
+        return encodeWAVStereo(stem, sampleRate, bitDepth);
+    });
+    
+    return {
+        mix: encodeWAVStereo(mix, sampleRate, bitDepth),
+        channels
+    };
+}
+
+/**
+ * Work out how long a song plays before it loops
+ * Steps the replayer tick by tick without mixing any audio, so it's fast
+ * enough to call whenever the song changes
+ * @param {Song} song - Song to measure
+ * @param {Object} options - Options
+ * @param {number} options.maxDuration - Give up after this many seconds (default 7200)
+ * @returns {Object} {duration, loopStart, loopPosition, loopRow} - times in
+ *   seconds; loopStart is where playback continues after the end
+ */
+export function getSongDuration(song, options = {}) {
+    const maxDuration = options.maxDuration || 7200;
+    
+    const engine = new PaulaEngine(44100);
+    engine.setSong(song);
+    engine.play(0, 0);
+    
+    // Time each row was first reached
+    const rowTimes = new Float64Array(128 * 64);
+    let time = 0;
+    
+    while (time < maxDuration) {
+        const newRow = engine.tickCounter === 0 && engine.patternDelayCount === 0;
+        const key = engine.currentPosition * 64 + engine.currentRow;
+        
+        engine.processTick();
+        
+        if (engine.songLoopCount > 0) {
+            return {
+                duration: time,
+                loopStart: rowTimes[key],
+                loopPosition: engine.songLoopPosition,
+                loopRow: engine.songLoopRow
+            };
+        }
+        if (newRow) {
+            rowTimes[key] = time;
+        }
+        
+        time += engine.samplesPerTick / engine.sampleRate;
+    }
+    
+    return { duration: maxDuration, loopStart: 0, loopPosition: 0, loopRow: 0 };
+}
@@ -0,0 +1,227 @@
+/**
+ * Per-effect replay tests
+ * Small fixture songs stepped tick by tick, checked against ProTracker 2.3
+ * behavior. Fixtures play at the default speed 6 unless noted.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSongDuration } from '../songrender.js';
+import { makeSong, startEngine, stepTicks, audiblePeriod } from './helpers.js';
+
+const period = (engine) => audiblePeriod(engine, 0);
+const volume = (engine) => engine.channelStates[0].volume;
+const playingRow = (engine) => engine.playingRow;
+
+describe('pitch effects', () => {
+    test('0xy arpeggio cycles base, +x and +y semitones', () => {
+        const engine = startEngine(makeSong({ 0: ['C-2 01 037'] }));
+        assert.deepEqual(stepTicks(engine, 6, period), [428, 360, 285, 428, 360, 285]);
+    });
+    
+    test('1xx slides up on ticks 1+ only', () => {
+        const engine = startEngine(makeSong({ 0: ['C-2 01 110'] }));
+        assert.deepEqual(stepTicks(engine, 6, period), [428, 412, 396, 380, 364, 348]);
+    });
+    
+    test('2xx slides down and stops at period 856', () => {
+        const engine = startEngine(makeSong({ 0: ['B-1 01 2FF'] }));
+        assert.deepEqual(stepTicks(engine, 3, period), [453, 708, 856]);
+    });
+    
+    test('3xx slides to the note without passing it, 300 reuses the speed', () => {
+        const engine = startEngine(makeSong({
+            0: ['C-2 01 000'],
+            1: ['E-2 01 310'],
+            2: ['--- 00 300'],
+        }));
+        stepTicks(engine, 6, period);
+        assert.deepEqual(stepTicks(engine, 6, period), [428, 412, 396, 380, 364, 348]);
+        assert.deepEqual(stepTicks(engine, 6, period), [348, 339, 339, 339, 339, 339]);
+    });
+    
+    test('6xy uses the 4xy memory, which starts at 0', () => {
+        const engine = startEngine(makeSong({
+            0: ['C-2 01 600'],
+            1: ['--- 00 443'],
+            2: ['--- 00 600'],
+        }));
+        assert.deepEqual(stepTicks(engine, 6, period), [428, 428, 428, 428, 428, 428]);
+        stepTicks(engine, 6, period);
+        assert.ok(stepTicks(engine, 6, period).some(p => p !== 428));
+    });
+    
+    test('E1x/E2x fine slides run once on tick 0', () => {
+        const engine = startEngine(makeSong({
+            0: ['C-2 01 E14'],
+            1: ['--- 00 E22'],
+        }));
+        assert.deepEqual(stepTicks(engine, 6, period), [424, 424, 424, 424, 424, 424]);
+        assert.deepEqual(stepTicks(engine, 1, period), [426]);
+    });
+    
+    test('E5x finetune applies to the note on the same row', () => {
+        const engine = startEngine(makeSong({ 0: ['C-2 01 E57'] }));
+        assert.deepEqual(stepTicks(engine, 1, period), [407]);
+    });
+});
+
+describe('volume effects', () => {
+    test('Axy slides on ticks 1+ and A00 has no memory', () => {
+        const engine = startEngine(makeSong({
+            0: ['C-2 01 A02'],
+            1: ['--- 00 A00'],
+        }));
+        assert.deepEqual(stepTicks(engine, 6, volume), [64, 62, 60, 58, 56, 54]);
+        assert.deepEqual(stepTicks(engine, 6, volume), [54, 54, 54, 54, 54, 54]);
+    });
+    
+    test('Cxx overrides the instrument volume', () => {
+        const engine = startEngine(makeSong({ 0: ['C-2 02 C10'] }));
+        assert.deepEqual(stepTicks(engine, 1, volume), [16]);
+    });
+    
+    test('ECx cuts the note on tick x', () => {
+        const engine = startEngine(makeSong({ 0: ['C-2 01 EC2'] }));
+        assert.deepEqual(stepTicks(engine, 6, volume), [64, 64, 0, 0, 0, 0]);
+    });
+    
+    test('instrument without a note resets the volume but keeps playing', () => {
+        const engine = startEngine(makeSong({
+            0: ['C-2 01 C10'],
+            1: ['--- 01 000'],
+            2: ['--- 02 000'],
+            3: ['C-2 00 000'],
+        }));
+        const state = engine.channelStates[0];
+        stepTicks(engine, 6, volume);
+        state.samplePos = 100;
+        
+        assert.deepEqual(stepTicks(engine, 1, volume), [64]);
+        assert.equal(state.samplePos, 100);
+        
+        stepTicks(engine, 11, volume);
+        assert.equal(state.volume, 32);
+        assert.equal(state.instrument, 1);
+        
+        stepTicks(engine, 6, volume);
+        assert.equal(state.instrument, 2);
+    });
+});
+
+describe('sample effects', () => {
+    const samplePos = (engine) => engine.channelStates[0].samplePos;
+    
+    test('9xx offsets add up until the next instrument number', () => {
+        const engine = startEngine(makeSong({
+            0: ['C-2 01 901'],
+            1: ['C-2 00 000'],
+            2: ['C-2 01 000'],
+        }));
+        assert.equal(stepTicks(engine, 6, samplePos)[0], 256);
+        assert.equal(stepTicks(engine, 6, samplePos)[0], 512);
+        assert.equal(stepTicks(engine, 6, samplePos)[0], 0);
+    });
+    
+    test('9xx past the end plays the loop, or nothing; 900 reuses the offset', () => {
+        const engine = startEngine(makeSong({
+            0: ['C-2 01 908'],
+            1: ['C-2 02 904'],
+            2: ['C-2 02 900'],
+        }));
+        assert.equal(stepTicks(engine, 6, samplePos)[0], 512);  // Loop start
+        assert.equal(stepTicks(engine, 6, samplePos)[0], 512);  // End of one-shot
+        assert.equal(stepTicks(engine, 6, samplePos)[0], 512);
+    });
+    
+    test('E9x retriggers every x ticks, not again on tick 0 of a note', () => {
+        const engine = startEngine(makeSong({
+            0: ['C-2 01 E93'],
+            1: ['--- 00 E93'],
+        }));
+        const moveAndRead = (engine) => {
+            const pos = engine.channelStates[0].samplePos;
+            engine.channelStates[0].samplePos = 99;
+            return pos;
+        };
+        assert.deepEqual(stepTicks(engine, 6, moveAndRead), [0, 99, 99, 0, 99, 99]);
+        assert.deepEqual(stepTicks(engine, 1, moveAndRead), [0]);
+    });
+    
+    test('EDx delays the note by x ticks', () => {
+        const engine = startEngine(makeSong({ 0: ['C-2 01 ED3'] }));
+        assert.deepEqual(stepTicks(engine, 6, period), [0, 0, 0, 428, 428, 428]);
+    });
+});
+
+describe('flow control', () => {
+    test('Bxx and Dxx jump to the given position and row', () => {
+        const engine = startEngine(makeSong({ 0: ['--- 00 B01', '--- 00 D12'] }, {
+            tempo: 1,
+            songLength: 2,
+        }));
+        engine.processTick();
+        assert.equal(engine.currentPosition, 1);
+        assert.equal(engine.currentRow, 12);
+    });
+    
+    test('E6x repeats rows from the E60 mark', () => {
+        const engine = startEngine(makeSong({
+            0: ['--- 00 E60'],
+            1: ['--- 00 E62'],
+        }, { tempo: 1 }));
+        assert.deepEqual(stepTicks(engine, 7, playingRow), [0, 1, 0, 1, 0, 1, 2]);
+    });
+    
+    test('EEx repeats the row and reruns fine effects', () => {
+        const engine = startEngine(makeSong({ 0: ['--- 00 EE2', 'C-2 01 EB1'] }));
+        const rows = stepTicks(engine, 19, playingRow);
+        assert.deepEqual(rows, [...new Array(18).fill(0), 1]);
+        assert.equal(engine.channelStates[1].volume, 61);
+    });
+    
+    test('Fxx sets speed below 20 and BPM from 20 (CIA timing)', () => {
+        const engine = startEngine(makeSong({ 0: ['--- 00 F03', '--- 00 F50'] }));
+        engine.processTick();
+        assert.equal(engine.tempo, 3);
+        assert.equal(engine.bpm, 80);
+    });
+    
+    test('Fxx always sets speed with VBlank timing', () => {
+        const engine = startEngine(makeSong({ 0: ['--- 00 F50'] }, { timing: 'vblank' }));
+        engine.processTick();
+        assert.equal(engine.tempo, 80);
+        assert.equal(engine.bpm, 125);
+    });
+});
+
+describe('song length and seeking', () => {
+    test('a backward Bxx ends the song', () => {
+        const duration = getSongDuration(makeSong({ 16: ['--- 00 B00'] }));
+        assert.equal(duration.duration.toFixed(2), '2.04');  // 17 rows of 0.12s
+        assert.equal(duration.loopStart, 0);
+    });
+    
+    test('the restart position is the loop point', () => {
+        const song = makeSong({}, { songLength: 2, restartPosition: 1 });
+        const duration = getSongDuration(song);
+        assert.equal(duration.duration.toFixed(2), '15.36');
+        assert.equal(duration.loopStart.toFixed(2), '7.68');
+        assert.equal(duration.loopPosition, 1);
+    });
+    
+    test('seek carries tempo and volume from earlier rows', () => {
+        const engine = startEngine(makeSong({ 0: ['C-2 01 C10', '--- 00 F03'] }));
+        assert.equal(engine.seek(0, 8), true);
+        assert.equal(engine.tempo, 3);
+        assert.equal(engine.channelStates[0].volume, 16);
+        assert.equal(engine.currentRow, 8);
+    });
+    
+    test('seek to a row the song never plays starts there cold', () => {
+        const engine = startEngine(makeSong({ 0: ['--- 00 F03'], 16: ['--- 00 B00'] }));
+        assert.equal(engine.seek(0, 32), false);
+        assert.equal(engine.tempo, 6);
+        assert.equal(engine.currentRow, 32);
+    });
+});
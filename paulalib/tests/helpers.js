@@ -0,0 +1,196 @@
+/**
+ * Shared helpers for the PaulaLib test suite
+ * Golden renders and small hand-written fixture songs
+ * Node only (uses node:crypto and node:fs)
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { PaulaEngine, PERIOD_TABLE, NOTE_NAMES } from '../audio-engine.js';
+import { Song } from '../data.js';
+
+// Render settings for golden files - changing these invalidates them all
+export const GOLDEN_SAMPLE_RATE = 22050;
+export const GOLDEN_MAX_DURATION = 60;
+
+// Allowed per-row RMS drift before a row counts as changed
+const RMS_TOLERANCE = 1e-4;
+
+/**
+ * Render a song tick by tick, collecting a hash and the RMS of every row
+ * Rows are in playing order, so E6x/EEx repeats show up as they are heard
+ * @param {Song} song - Song to render
+ * @param {Object} options - Options
+ * @param {number} options.sampleRate - Output rate (default GOLDEN_SAMPLE_RATE)
+ * @param {number} options.maxDuration - Stop after this many seconds (default GOLDEN_MAX_DURATION)
+ * @returns {Object} {sampleRate, frames, hash, rows: [[position, row, rms], ...]}
+ */
+export function renderRows(song, options = {}) {
+    const sampleRate = options.sampleRate || GOLDEN_SAMPLE_RATE;
+    const maxFrames = (options.maxDuration || GOLDEN_MAX_DURATION) * sampleRate;
+    
+    const engine = new PaulaEngine(sampleRate);
+    engine.setSong(song);
+    engine.play(0, 0);
+    engine.seek(0, 0);  // First tick on the first frame
+    
+    const hash = createHash('sha1');
+    const rows = [];
+    let current = null;
+    let frames = 0;
+    
+    const mix = (numFrames) => {
+        const samples = engine.mixAudio(numFrames);
+        const pcm = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            pcm[i] = Math.round(samples[i] * 32767);
+            current.sum += samples[i] * samples[i];
+        }
+        current.frames += numFrames;
+        frames += numFrames;
+        hash.update(new Uint8Array(pcm.buffer));
+    };
+    
+    while (frames < maxFrames) {
+        // The next frame runs a tick - note where a new row starts
+        if (engine.tickCounter === 0 && engine.patternDelayCount === 0) {
+            current = { position: engine.currentPosition, row: engine.currentRow, sum: 0, frames: 0 };
+            rows.push(current);
+        }
+        
+        mix(1);
+        if (engine.songLoopCount > 0) {
+            break;
+        }
+        
+        // Rest of the tick (Fxx may just have changed its length)
+        const rest = Math.ceil(engine.samplesPerTick - engine.sampleCounter);
+        if (rest > 0) {
+            mix(rest);
+        }
+    }
+    
+    return {
+        sampleRate,
+        frames,
+        hash: hash.digest('hex'),
+        rows: rows.map(r => [r.position, r.row, Number(Math.sqrt(r.sum / Math.max(1, r.frames * 2)).toFixed(6))])
+    };
+}
+
+/**
+ * Compare a render against its golden file
+ * With UPDATE_GOLDEN=1 in the environment the golden file is (re)written instead
+ * @param {Object} render - Result of renderRows
+ * @param {string} goldenPath - Path of the golden JSON file
+ * @returns {string|null} Description of the first difference, or null if it matches
+ */
+export function compareGolden(render, goldenPath) {
+    if (process.env.UPDATE_GOLDEN || !existsSync(goldenPath)) {
+        mkdirSync(dirname(goldenPath), { recursive: true });
+        writeFileSync(goldenPath, JSON.stringify(render) + '\n');
+        return null;
+    }
+    
+    const golden = JSON.parse(readFileSync(goldenPath, 'utf8'));
+    
+    const count = Math.min(golden.rows.length, render.rows.length);
+    for (let i = 0; i < count; i++) {
+        const [position, row, rms] = golden.rows[i];
+        const [newPosition, newRow, newRms] = render.rows[i];
+        if (position !== newPosition || row !== newRow) {
+            return `row ${i}: expected position ${position} row ${row}, got position ${newPosition} row ${newRow}`;
+        }
+        if (Math.abs(rms - newRms) > RMS_TOLERANCE) {
+            return `position ${position} row ${row}: RMS ${newRms} (expected ${rms})`;
+        }
+    }
+    if (golden.rows.length !== render.rows.length) {
+        return `played ${render.rows.length} rows (expected ${golden.rows.length})`;
+    }
+    if (golden.hash !== render.hash) {
+        return `output hash changed (RMS per row within ${RMS_TOLERANCE})`;
+    }
+    return null;
+}
+
+/**
+ * Build a one-pattern fixture song from text rows
+ * Cells are written like the pattern editor shows them: 'C-2 01 A0F'
+ * ('---' = no note). Instrument 1 is a looped 1024-sample ramp at volume
+ * 64, instrument 2 a one-shot 512-sample square at volume 32.
+ * @param {Object} rows - Row number -> array of up to 4 cell strings
+ * @param {Object} options - Song fields to override (tempo, bpm, timing...)
+ * @returns {Song}
+ */
+export function makeSong(rows, options = {}) {
+    const song = new Song();
+    song.title = 'fixture';
+    Object.assign(song, options);
+    
+    const ramp = song.instruments[1];
+    ramp.name = 'ramp';
+    ramp.length = 1024;
+    ramp.sampleData = new Float32Array(1024).map((_, i) => (i % 64) / 32 - 1);
+    ramp.repeatStart = 512;
+    ramp.repeatLength = 512;
+    
+    const square = song.instruments[2];
+    square.name = 'square';
+    square.length = 512;
+    square.volume = 32;
+    square.sampleData = new Float32Array(512).map((_, i) => (i & 16 ? 0.5 : -0.5));
+    
+    for (const [row, cells] of Object.entries(rows)) {
+        cells.forEach((text, ch) => {
+            const note = song.patterns[0].getNote(Number(row), ch);
+            const [name, instrument, command] = text.split(' ');
+            note.period = name === '---' ? 0 : PERIOD_TABLE[NOTE_NAMES.indexOf(name)];
+            note.instrument = parseInt(instrument, 16);
+            note.effect = parseInt(command[0], 16);
+            note.param = parseInt(command.slice(1), 16);
+        });
+    }
+    
+    return song;
+}
+
+/**
+ * Create an engine playing a song from the start, without mixing
+ * @param {Song} song - Song to play
+ * @returns {PaulaEngine}
+ */
+export function startEngine(song) {
+    const engine = new PaulaEngine(44100);
+    engine.setSong(song);
+    engine.play(0, 0);
+    return engine;
+}
+
+/**
+ * Run ticks and record a value after each one
+ * @param {PaulaEngine} engine - Engine to step
+ * @param {number} ticks - Number of ticks
+ * @param {Function} read - Called with the engine after each tick
+ * @returns {Array} Recorded values
+ */
+export function stepTicks(engine, ticks, read) {
+    const values = [];
+    for (let i = 0; i < ticks; i++) {
+        engine.processTick();
+        values.push(read(engine));
+    }
+    return values;
+}
+
+/**
+ * Period channel 'ch' is currently sounding at (after vibrato, arpeggio...)
+ * @param {PaulaEngine} engine - Engine
+ * @param {number} ch - Channel
+ * @returns {number} Period, rounded
+ */
+export function audiblePeriod(engine, ch = 0) {
+    const rate = engine.channelStates[ch].sampleRate;
+    return rate ? Math.round(engine.PAULA_FREQUENCY / (rate * engine.sampleRate)) : 0;
+}
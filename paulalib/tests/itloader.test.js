@@ -0,0 +1,255 @@
+/**
+ * IT import tests
+ * Files are built in memory by buildIT
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadIT } from '../itloader.js';
+
+/**
+ * Build an IT file
+ * Patterns are {rows, cells: {row: [[note, instrument, volume, command, param], ...]}}
+ * with one entry per channel (null for nothing, IT note numbers with C-5 =
+ * 60, commands as letters), or {packed} with the pattern data as is.
+ * Samples are {data (signed integers), bits, c5speed, volume, loopStart,
+ * loopEnd, compressed (block data replacing data), isDoubleDelta}.
+ * Instruments are {keyboard: {note: sample}, envelope, pitchEnvelope}
+ */
+function buildIT({ channels = 4, speed = 6, tempo = 125, flags = 0, orders = [0], patterns, samples = [], instruments = [] }) {
+    const bytes = new Array(192).fill(0);
+    const set16 = (offset, value) => { bytes[offset] = value & 0xFF; bytes[offset + 1] = (value >> 8) & 0xFF; };
+    const set32 = (offset, value) => { set16(offset, value & 0xFFFF); set16(offset + 2, value >>> 16); };
+    const setString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+    };
+    const push16 = (value) => bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    
+    setString(0, 'IMPM');
+    setString(4, 'it fixture');
+    set16(32, orders.length);
+    set16(34, instruments.length);
+    set16(36, samples.length);
+    set16(38, patterns.length);
+    set16(40, 0x0214);
+    set16(42, 0x0214);
+    set16(44, flags | (instruments.length > 0 ? 4 : 0));
+    bytes[48] = 128;
+    bytes[50] = speed;
+    bytes[51] = tempo;
+    for (let ch = 0; ch < 64; ch++) {
+        bytes[64 + ch] = ch < channels ? 32 : 0xA0;
+        bytes[128 + ch] = 64;
+    }
+    
+    bytes.push(...orders);
+    const pointers = bytes.length;
+    bytes.push(...new Array((instruments.length + samples.length + patterns.length) * 4).fill(0));
+    
+    instruments.forEach((instrument, i) => {
+        set32(pointers + i * 4, bytes.length);
+        const start = bytes.length;
+        bytes.push(...new Array(554).fill(0));
+        setString(start, 'IMPI');
+        bytes[start + 24] = 128;
+        setString(start + 32, 'instrument');
+        for (let note = 0; note < 120; note++) {
+            bytes[start + 64 + note * 2] = note;
+            bytes[start + 65 + note * 2] = instrument.keyboard(note);
+        }
+        const setEnvelope = (index, levels) => {
+            const envelope = start + 304 + index * 82;
+            bytes[envelope] = 1;
+            bytes[envelope + 1] = levels.length;
+            levels.forEach((level, n) => {
+                bytes[envelope + 6 + n * 3] = level;
+                bytes[envelope + 7 + n * 3] = n * 10;
+            });
+        };
+        if (instrument.envelope) setEnvelope(0, instrument.envelope);
+        if (instrument.pitchEnvelope) setEnvelope(2, instrument.pitchEnvelope);
+    });
+    
+    const headers = samples.map((sample, i) => {
+        set32(pointers + (instruments.length + i) * 4, bytes.length);
+        const start = bytes.length;
+        bytes.push(...new Array(80).fill(0));
+        setString(start, 'IMPS');
+        bytes[start + 17] = 64;
+        bytes[start + 18] = 1 | (sample.bits === 16 ? 2 : 0) | (sample.compressed ? 8 : 0) | (sample.loopEnd ? 0x10 : 0);
+        bytes[start + 19] = sample.volume === undefined ? 64 : sample.volume;
+        setString(start + 20, 'sample');
+        bytes[start + 46] = 1 | (sample.isDoubleDelta ? 4 : 0);
+        set32(start + 48, sample.length || sample.data.length);
+        set32(start + 52, sample.loopStart || 0);
+        set32(start + 56, sample.loopEnd || 0);
+        set32(start + 60, sample.c5speed || 8363);
+        return start;
+    });
+    samples.forEach((sample, i) => {
+        set32(headers[i] + 72, bytes.length);
+        if (sample.compressed) {
+            bytes.push(...sample.compressed);
+        } else {
+            sample.data.forEach(value => (sample.bits === 16 ? push16(value) : bytes.push(value & 0xFF)));
+        }
+    });
+    
+    patterns.forEach((pattern, p) => {
+        set32(pointers + (instruments.length + samples.length + p) * 4, bytes.length);
+        let packed = pattern.packed;
+        if (!packed) {
+            packed = [];
+            for (let row = 0; row < (pattern.rows || 64); row++) {
+                (pattern.cells[row] || []).forEach((cell, ch) => {
+                    if (!cell) return;
+                    const [note, instrument, volume, command, param] = cell;
+                    let mask = 0;
+                    const fields = [];
+                    if (note !== null && note !== undefined) { mask |= 1; fields.push(note); }
+                    if (instrument) { mask |= 2; fields.push(instrument); }
+                    if (volume !== null && volume !== undefined) { mask |= 4; fields.push(volume); }
+                    if (command) { mask |= 8; fields.push(command.charCodeAt(0) - 64, param || 0); }
+                    packed.push((ch + 1) | 0x80, mask, ...fields);
+                });
+                packed.push(0);
+            }
+        }
+        push16(packed.length);
+        push16(pattern.rows || 64);
+        bytes.push(0, 0, 0, 0, ...packed);
+    });
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Compress sample data the way IT2.14 does, as one block
+ * Values are [value, width] pairs written as they are, so tests can put
+ * width changes in the stream
+ */
+function compressBlock(values) {
+    const block = [];
+    let bit = 0;
+    for (const [value, width] of values) {
+        for (let i = 0; i < width; i++, bit++) {
+            if ((bit & 7) === 0) block.push(0);
+            if ((value >> i) & 1) block[block.length - 1] |= 1 << (bit & 7);
+        }
+    }
+    return [block.length & 0xFF, block.length >> 8, ...block];
+}
+
+// 32 frames of a signed 8-bit ramp
+const RAMP = { data: Array.from({ length: 32 }, (_, i) => i * 4 - 64) };
+
+describe('IT import', () => {
+    test('header, notes and C5Speed convert to a MOD song', () => {
+        const { song, warnings } = loadIT(buildIT({
+            speed: 4,
+            tempo: 140,
+            patterns: [{ cells: { 0: [[60, 1], [60, 2], [72, 1, 32]] } }],
+            samples: [RAMP, { ...RAMP, c5speed: 16726 }]
+        }));
+        assert.deepEqual(warnings, []);
+        assert.equal(song.title, 'it fixture');
+        assert.equal(song.tempo, 4);
+        assert.equal(song.bpm, 140);
+        
+        const row = song.patterns[0].data[0];
+        assert.deepEqual(row.map(note => note.period), [428, 214, 214, 0]);
+        assert.deepEqual([row[2].effect, row[2].param], [0xC, 32]);
+        assert.deepEqual([...song.instruments[1].sampleData.subarray(0, 2)], [-0.5, -0.46875]);
+    });
+    
+    test('effects are translated and untranslatable ones reported', () => {
+        const { song, warnings } = loadIT(buildIT({
+            patterns: [{ cells: {
+                0: [[null, 0, null, 'C', 0x10]],
+                1: [[null, 0, null, 'A', 0x03]],
+                2: [[null, 0, null, 'S', 0xB2]],
+                3: [[null, 0, 107]],
+                4: [[null, 0, 107, 'H', 0x44]],
+                5: [[null, 0, null, 'V', 0x20]]
+            } }]
+        }));
+        const effects = [0, 1, 2, 3, 4].map(row => {
+            const note = song.patterns[0].getNote(row, 0);
+            return (note.effect << 8) | note.param;
+        });
+        assert.deepEqual(effects, [0xD16, 0xF03, 0xE62, 0x208, 0x444]);
+        assert.deepEqual(warnings, [
+            'Volume column pitch slides dropped - effect column in use: pattern 0 row 4',
+            'Vxx global volume dropped: pattern 0 row 5'
+        ]);
+    });
+    
+    test('packed cells repeat the channel\'s last mask and values', () => {
+        const packed = [
+            0x81, 0x03, 60, 1, 0,
+            0x81, 0x10, 0,
+            0x01, 0,
+            0x82, 0x0B, 72, 1, 0x14, 0x40, 0
+        ];
+        const { song } = loadIT(buildIT({ patterns: [{ packed }], samples: [RAMP] }));
+        const pattern = song.patterns[0];
+        assert.deepEqual([0, 1, 2].map(row => pattern.getNote(row, 0).period), [428, 428, 428]);
+        assert.deepEqual([0, 1, 2].map(row => pattern.getNote(row, 0).instrument), [1, 0, 0]);
+        assert.deepEqual({ ...pattern.getNote(3, 1) }, { period: 214, instrument: 1, effect: 0xF, param: 0x40 });
+    });
+    
+    test('instrument mode follows the note-sample table', () => {
+        const { song, warnings } = loadIT(buildIT({
+            patterns: [{ cells: { 0: [[60, 1]], 1: [[72, 1]] } }],
+            samples: [RAMP, { data: [0, 32, 64, 96] }],
+            instruments: [{ keyboard: note => (note < 66 ? 1 : 2), envelope: [0, 32, 16], pitchEnvelope: [32, 40] }]
+        }));
+        assert.deepEqual({ ...song.patterns[0].getNote(0, 0) }, { period: 428, instrument: 1, effect: 0, param: 0 });
+        assert.deepEqual({ ...song.patterns[0].getNote(1, 0) }, { period: 214, instrument: 2, effect: 0, param: 0 });
+        assert.equal(song.instruments[2].length, 4);
+        assert.ok(warnings.includes('Instrument 1: pitch envelope dropped'));
+        assert.ok(warnings.includes('Instrument 1: volume envelope flattened to its peak level'));
+        assert.match(warnings.find(warning => /split/.test(warning)), /instruments 1 split/);
+    });
+    
+    test('IT2.14 and IT2.15 compressed samples', () => {
+        // 9-bit deltas, then method 3 switches to 6 bits and method 1 to 4
+        const it214 = compressBlock([[16, 9], [16, 9], [0x105, 9], [16, 6], [-16 & 0x3F, 6], [32, 6], [3, 3], [2, 4], [1, 4]]);
+        // The second integration turns steady deltas into a ramp
+        const it215 = compressBlock([[16, 9], [0, 9], [0, 9], [0, 9]]);
+        // 16 bits: 17-bit values
+        const it214Wide = compressBlock([[0x4000, 17], [0xC000, 17]]);
+        const { song, warnings } = loadIT(buildIT({
+            patterns: [{ cells: { 0: [[60, 1], [60, 2], [60, 3]] } }],
+            samples: [
+                { compressed: it214, length: 6 },
+                { compressed: it215, length: 4, isDoubleDelta: true },
+                { compressed: it214Wide, length: 2, bits: 16 }
+            ]
+        }));
+        const values = (n) => [...song.instruments[n].sampleData].map(v => v * 128);
+        assert.deepEqual(values(1), [16, 32, 48, 32, 34, 35]);
+        assert.deepEqual(values(2), [16, 32, 48, 64]);
+        assert.deepEqual(values(3), [64, 0]);
+        assert.deepEqual(warnings.filter(warning => !/16-bit/.test(warning)), []);
+    });
+    
+    test('channels to keep can be picked', () => {
+        const cells = { 0: [[60, 1], null, [60, 1], [60, 1], [60, 1], [72, 1]] };
+        const it = buildIT({ channels: 8, patterns: [{ cells }], samples: [RAMP] });
+        
+        const automatic = loadIT(it);
+        assert.equal(automatic.song.channelCount, 4);
+        assert.deepEqual(automatic.warnings, ['Channels 6 dropped (1 notes) - only 4 kept']);
+        assert.deepEqual(automatic.channels.map(channel => [channel.notes, channel.kept]),
+            [[1, true], [0, false], [1, true], [1, true], [1, true], [1, false]]);
+        
+        const picked = loadIT(it, { channels: [5, 0] });
+        assert.equal(picked.song.channelCount, 4);
+        assert.deepEqual(picked.song.patterns[0].data[0].map(note => note.period), [214, 428, 0, 0]);
+        assert.deepEqual(picked.warnings, ['Channels 3, 4, 5 dropped (3 notes) - only 2 kept']);
+    });
+    
+    test('files that aren\'t ITs throw', () => {
+        assert.throws(() => loadIT(new Uint8Array(200)), /Not an IT file/);
+    });
+});
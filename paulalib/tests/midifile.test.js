@@ -0,0 +1,299 @@
+/**
+ * MIDI export and import tests
+ * Files written by saveMIDI are read back by readMIDI; files to import are
+ * built in memory by buildMIDI
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Song } from '../data.js';
+import { saveMIDI, loadMIDI } from '../midifile.js';
+
+/**
+ * Read a MIDI file into its header and tracks of {time, bytes} events
+ * (absolute times, running status not used by saveMIDI)
+ */
+function readMIDI(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const format = view.getUint16(8);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+    const tracks = [];
+    let offset = 14;
+    for (let t = 0; t < trackCount; t++) {
+        assert.equal(String.fromCharCode(...data.subarray(offset, offset + 4)), 'MTrk');
+        const end = offset + 8 + view.getUint32(offset + 4);
+        offset += 8;
+        const events = [];
+        let time = 0;
+        const readLength = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = data[offset++];
+                value = (value << 7) | (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        };
+        while (offset < end) {
+            time += readLength();
+            const start = offset;
+            const status = data[offset++];
+            if (status === 0xFF) {
+                offset++;
+                const length = readLength();
+                offset += length;
+            } else {
+                offset += (status & 0xF0) === 0xC0 ? 1 : 2;
+            }
+            events.push({ time, bytes: [...data.subarray(start, offset)] });
+        }
+        tracks.push(events);
+    }
+    return { format, division, tracks };
+}
+
+/**
+ * Channel events of a track (no meta events), as [time, ...bytes]
+ */
+function channelEvents(track) {
+    return track.filter(event => event.bytes[0] !== 0xFF).map(event => [event.time, ...event.bytes]);
+}
+
+/**
+ * One-pattern song that stops after its first row
+ * @param {Object} cells - {row: {channel: [period, instrument, effect, param]}}
+ */
+function makeSong(cells, rows = 4) {
+    const song = new Song();
+    song.title = 'midi';
+    song.songLength = 1;
+    for (let i = 1; i <= 2; i++) {
+        song.instruments[i].length = 32;
+        song.instruments[i].sampleData = new Float32Array(32);
+        song.instruments[i].volume = 64;
+    }
+    for (const [row, channels] of Object.entries(cells)) {
+        for (const [ch, [period, instrument, effect = 0, param = 0]] of Object.entries(channels)) {
+            Object.assign(song.patterns[0].getNote(Number(row), Number(ch)), { period, instrument, effect, param });
+        }
+    }
+    // Break back to the start after the last row used
+    Object.assign(song.patterns[0].getNote(rows - 1, 3), { effect: 0xB, param: 0 });
+    return song;
+}
+
+/**
+ * Build a MIDI file
+ * Tracks are lists of [tick, ...bytes] events in time order (bytes as
+ * written, so running status can be tested)
+ */
+function buildMIDI({ format = 1, division = 96, tracks }) {
+    const bytes = [...'MThd'].map(char => char.charCodeAt(0));
+    bytes.push(0, 0, 0, 6, 0, format, 0, tracks.length, division >> 8, division & 0xFF);
+    for (const events of tracks) {
+        const data = [];
+        let last = 0;
+        for (const [tick, ...event] of [...events, [events.length ? events[events.length - 1][0] : 0, 0xFF, 0x2F, 0]]) {
+            let delta = tick - last;
+            const length = [delta & 0x7F];
+            while ((delta >>= 7) > 0) length.unshift((delta & 0x7F) | 0x80);
+            data.push(...length, ...event);
+            last = tick;
+        }
+        bytes.push(...[...'MTrk'].map(char => char.charCodeAt(0)), 0, 0, data.length >> 8, data.length & 0xFF, ...data);
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Cells of a song pattern row as [period, instrument, effect, param]
+ */
+function cells(song, row, pattern = 0) {
+    return song.patterns[pattern].data[row].map(note => [note.period, note.instrument, note.effect, note.param]);
+}
+
+// Tempo track named 'imported' at 150 BPM (400000 us per quarter)
+const TEMPO_TRACK = [[0, 0xFF, 0x03, 8, ...[...'imported'].map(char => char.charCodeAt(0))], [0, 0xFF, 0x51, 3, 0x06, 0x1A, 0x80]];
+
+describe('MIDI export', () => {
+    test('one track per channel after the tempo track', () => {
+        const song = makeSong({ 0: { 0: [428, 1] } });
+        song.channelNames[1] = 'bass';
+        const { format, division, tracks } = readMIDI(saveMIDI(song));
+        assert.equal(format, 1);
+        assert.equal(division, 96);
+        assert.equal(tracks.length, 5);
+        
+        const names = tracks.map(track => {
+            const name = track.find(event => event.bytes[0] === 0xFF && event.bytes[1] === 0x03);
+            return String.fromCharCode(...name.bytes.slice(3));
+        });
+        assert.deepEqual(names, ['midi', 'Channel 1', 'bass', 'Channel 3', 'Channel 4']);
+        
+        // Speed 6 at 125 BPM: a row lasts 120 ms, a quarter 480 ms
+        const tempo = tracks[0].find(event => event.bytes[1] === 0x51);
+        assert.deepEqual(tempo.bytes.slice(3), [0x07, 0x53, 0x00]);
+        // Four rows of sixteenths end every track at 96
+        assert.ok(tracks.every(track => track[track.length - 1].time === 96));
+    });
+    
+    test('notes come from periods and programs from the table', () => {
+        const song = makeSong({
+            0: { 0: [428, 1], 1: [856, 2], 2: [214, 1] },
+            2: { 0: [453, 2] }
+        });
+        const { tracks } = readMIDI(saveMIDI(song, { programs: [0, 33, 81] }));
+        assert.deepEqual(channelEvents(tracks[1]), [
+            [0, 0xC0, 33], [0, 0x90, 60, 127],
+            [48, 0x80, 60, 0], [48, 0xC0, 81], [48, 0x90, 59, 127],
+            [96, 0x80, 59, 0]
+        ]);
+        assert.deepEqual(channelEvents(tracks[2]).slice(0, 2), [[0, 0xC1, 81], [0, 0x91, 48, 127]]);
+        // The third Paula channel plays on MIDI channel 3
+        assert.deepEqual(channelEvents(tracks[3])[1].slice(1, 3), [0x92, 72]);
+    });
+    
+    test('Cxx sets velocity and later volume changes become CC7', () => {
+        const song = makeSong({
+            0: { 0: [428, 1, 0xC, 32] },
+            1: { 0: [0, 0, 0xC, 16] },
+            2: { 0: [428, 1] }
+        });
+        assert.deepEqual(channelEvents(readMIDI(saveMIDI(song)).tracks[1]), [
+            [0, 0xC0, 0], [0, 0x90, 60, 64],
+            [24, 0xB0, 7, 64],
+            [48, 0x80, 60, 0], [48, 0xB0, 7, 127], [48, 0x90, 60, 127],
+            [96, 0x80, 60, 0]
+        ]);
+    });
+    
+    test('Fxx becomes a tempo change and EDx/ECx move note on and off', () => {
+        const song = makeSong({
+            0: { 0: [428, 1, 0xE, 0xD3] },
+            1: { 0: [0, 0, 0xF, 3] },
+            2: { 0: [0, 0, 0xE, 0xC1] }
+        });
+        const { tracks } = readMIDI(saveMIDI(song));
+        const tempos = tracks[0].filter(event => event.bytes[1] === 0x51).map(event => [event.time, event.bytes[3] << 16 | event.bytes[4] << 8 | event.bytes[5]]);
+        assert.deepEqual(tempos, [[0, 480000], [24, 240000]]);
+        // Note on three ticks into the first row, cut one tick into the third
+        assert.deepEqual(channelEvents(tracks[1]).slice(1).map(event => event.slice(0, 2)), [[12, 0x90], [56, 0x80]]);
+    });
+    
+    test('tone portamento doesn\'t start a new note', () => {
+        const song = makeSong({
+            0: { 0: [428, 1] },
+            1: { 0: [381, 1, 0x3, 8] },
+            2: { 0: [339, 1, 0x5, 0x01] }
+        });
+        assert.deepEqual(channelEvents(readMIDI(saveMIDI(song)).tracks[1]).filter(event => event[1] !== 0xB0), [
+            [0, 0xC0, 0], [0, 0x90, 60, 127],
+            [96, 0x80, 60, 0]
+        ]);
+        
+        // With nothing playing, the note starts
+        const cold = makeSong({ 1: { 0: [381, 1, 0x3, 8] } });
+        assert.deepEqual(channelEvents(readMIDI(saveMIDI(cold)).tracks[1]).slice(1), [[24, 0x90, 62, 127], [96, 0x80, 62, 0]]);
+    });
+    
+    test('long songs with many volume changes are written', () => {
+        // A slide on every row for 128 positions: a track of about 160 KB
+        const song = makeSong({ 0: { 0: [428, 1] } }, 64);
+        song.songLength = 128;
+        song.patternOrder.fill(0);
+        for (let row = 0; row < 64; row++) {
+            song.patterns[0].getNote(row, 0).effect = 0xA;
+            song.patterns[0].getNote(row, 0).param = row & 1 ? 0x40 : 0x04;
+        }
+        song.patterns[0].getNote(63, 3).effect = 0;
+        
+        const data = saveMIDI(song);
+        assert.ok(data.length > 150000);
+        const { tracks } = readMIDI(data);
+        const volumes = channelEvents(tracks[1]).filter(event => event[1] === 0xB0);
+        assert.equal(volumes.length, 128 * 64 * 5);
+        assert.equal(tracks[1][tracks[1].length - 1].time, 128 * 64 * 24);
+    });
+});
+
+describe('MIDI import', () => {
+    test('notes, velocities, note offs and programs', () => {
+        const { song, warnings, programs } = loadMIDI(buildMIDI({ tracks: [TEMPO_TRACK, [
+            [0, 0xC0, 33], [0, 0x90, 60, 127],
+            // Running status: note off as note on with velocity 0
+            [48, 60, 0], [48, 59, 64],
+            [96, 0x80, 59, 0],
+            [96, 0xC1, 81], [96, 0x91, 72, 100],
+            [144, 0x81, 72, 0]
+        ]] }));
+        assert.deepEqual(warnings, []);
+        assert.equal(song.title, 'imported');
+        assert.deepEqual([song.tempo, song.bpm], [6, 150]);
+        assert.equal(song.channelCount, 4);
+        
+        assert.deepEqual(cells(song, 0)[0], [428, 1, 0, 0]);
+        assert.deepEqual(cells(song, 2)[0], [453, 1, 0xC, 32]);
+        assert.deepEqual(cells(song, 4).slice(0, 2), [[0, 0, 0xC, 0], [214, 2, 0xC, 50]]);
+        assert.deepEqual(cells(song, 6)[1], [0, 0, 0xC, 0]);
+        assert.deepEqual(song.instruments.slice(1, 3).map(instrument => instrument.name), ['Program 34', 'Program 82']);
+        assert.deepEqual(programs.slice(0, 3), [0, 33, 81]);
+    });
+    
+    test('chords are split over voices by the allocation strategy', () => {
+        // Three notes at once, then a fourth while they still sound
+        const file = buildMIDI({ tracks: [[
+            [0, 0x90, 60, 127], [0, 0x90, 64, 127], [0, 0x90, 67, 127],
+            [24, 0x90, 72, 127],
+            [48, 0x80, 60, 0], [48, 0x80, 64, 0], [48, 0x80, 67, 0], [48, 0x80, 72, 0],
+            [72, 0x90, 48, 127], [96, 0x80, 48, 0]
+        ]] });
+        
+        const lowest = loadMIDI(file, { voices: 3 });
+        assert.deepEqual(lowest.warnings, ['MIDI channel 1: 1 notes cut short - more than 3 at once']);
+        assert.deepEqual(cells(lowest.song, 1).map(cell => cell[0]), [214, 0, 0, 0]);
+        assert.deepEqual(cells(lowest.song, 3).map(cell => cell[0]), [856, 0, 0, 0]);
+        
+        const keep = loadMIDI(file, { voices: 3, allocation: 'keep' });
+        assert.deepEqual(keep.warnings, ['MIDI channel 1: 1 notes dropped - more than 3 at once']);
+        assert.deepEqual(cells(keep.song, 1).map(cell => cell[0]), [0, 0, 0, 0]);
+        
+        // The next voice in turn, rather than the first one
+        const roundRobin = loadMIDI(file, { allocation: 'round-robin' });
+        assert.deepEqual(cells(roundRobin.song, 1).map(cell => cell[0]), [0, 0, 0, 214]);
+        assert.deepEqual(cells(roundRobin.song, 3).map(cell => cell[0]), [856, 0, 0, 0]);
+    });
+    
+    test('long songs are split over patterns and repeats reuse them', () => {
+        // A two-bar riff played four times, at eight rows per quarter: 32
+        // rows a bar, so a pattern holds the riff once. The last one ends
+        // early, after the last note off
+        const track = [];
+        for (let bar = 0; bar < 8; bar++) {
+            track.push([bar * 384, 0x90, 60 + (bar % 2), 127], [bar * 384 + 96, 0x80, 60 + (bar % 2), 0]);
+        }
+        const { song } = loadMIDI(buildMIDI({ tracks: [track] }), { ticksPerRow: 12 });
+        assert.equal(song.songLength, 4);
+        assert.deepEqual(song.patternOrder.slice(0, 4), [0, 0, 0, 1]);
+        assert.deepEqual([0, 8, 32, 40].map(row => cells(song, row)[0]), [[428, 1, 0, 0], [0, 0, 0xC, 0], [404, 1, 0, 0], [0, 0, 0xC, 0]]);
+        assert.deepEqual(cells(song, 40, 1)[0], [0, 0, 0xC, 0]);
+        assert.equal(cells(song, 40, 1)[1][2], 0xD);
+    });
+    
+    test('tempo changes become Fxx', () => {
+        const { song } = loadMIDI(buildMIDI({ tracks: [
+            [[0, 0xFF, 0x51, 3, 0x07, 0xA1, 0x20], [96, 0xFF, 0x51, 3, 0x03, 0xD0, 0x90], [192, 0xFF, 0x51, 3, 0x1E, 0x84, 0x80]],
+            [[0, 0x90, 60, 127], [288, 0x80, 60, 0]]
+        ] }));
+        assert.deepEqual([song.tempo, song.bpm], [6, 120]);
+        // 240 BPM, then 30 BPM: too slow for speed 6
+        assert.deepEqual(cells(song, 4)[0], [0, 0, 0xF, 240]);
+        assert.deepEqual(cells(song, 8).slice(0, 2), [[0, 0, 0xF, 7], [0, 0, 0xF, 35]]);
+    });
+    
+    test('files that aren\'t MIDI files throw', () => {
+        assert.throws(() => loadMIDI(new Uint8Array(200)), /Not a MIDI file/);
+        assert.throws(() => loadMIDI(buildMIDI({ tracks: [TEMPO_TRACK] })), /no notes/);
+        assert.throws(() => loadMIDI(buildMIDI({ division: 0xE728, tracks: [] })), /SMPTE/);
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Mixer tests
+ * Stereo separation, pan overrides, master volume and the limiter
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaulaEngine } from '../audio-engine.js';
+
+describe('panning', () => {
+    test('default separation keeps the 70/30 Amiga split', () => {
+        const engine = new PaulaEngine(44100);
+        assert.deepEqual(engine.panGains[0], [0.7, 0.3]);
+        assert.deepEqual(engine.panGains[1], [0.3, 0.7]);
+    });
+    
+    test('0% is mono, 100% is hard left/right', () => {
+        const engine = new PaulaEngine(44100);
+        engine.setStereoSeparation(0);
+        assert.deepEqual(engine.panGains.map(g => g[0]), [0.5, 0.5, 0.5, 0.5]);
+        engine.setStereoSeparation(100);
+        assert.deepEqual(engine.panGains, [[1, 0], [0, 1], [0, 1], [1, 0]]);
+    });
+    
+    test('a pan override ignores the separation until cleared', () => {
+        const engine = new PaulaEngine(44100);
+        engine.setChannelPan(0, 1);
+        engine.setStereoSeparation(0);
+        assert.deepEqual(engine.panGains[0], [0, 1]);
+        engine.setChannelPan(0, null);
+        assert.deepEqual(engine.panGains[0], [0.5, 0.5]);
+    });
+});
+
+describe('output level', () => {
+    test('hard clipping stops at full scale', () => {
+        const engine = new PaulaEngine(44100);
+        assert.equal(engine.limit(0.9), 0.9);
+        assert.equal(engine.limit(-1.5), -1);
+    });
+    
+    test('the soft limiter passes quiet samples and stays below full scale', () => {
+        const engine = new PaulaEngine(44100);
+        engine.setSoftLimiter(true);
+        assert.equal(engine.limit(0.5), 0.5);
+        assert.ok(engine.limit(0.9) < 0.9);
+        assert.ok(engine.limit(4) < 1);
+        assert.equal(engine.limit(-4), -engine.limit(4));
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * MOD loader/saver tests
+ * Files are built in memory with saveMOD, or patched by hand for formats
+ * saveMOD doesn't write
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMOD, readMOD, saveMOD, writeMOD } from '../modloader.js';
+import { Song } from '../data.js';
+import { makeSong, startEngine, stepTicks, audiblePeriod } from './helpers.js';
+
+/**
+ * Song with a note on the last channel of pattern 0, row 0
+ */
+function makeMultichannelSong(channelCount) {
+    const song = new Song(channelCount);
+    const instrument = song.instruments[1];
+    instrument.length = 64;
+    instrument.sampleData = new Float32Array(64).fill(0.5);
+    const note = song.patterns[0].getNote(0, channelCount - 1);
+    note.period = 428;
+    note.instrument = 1;
+    return song;
+}
+
+/**
+ * Rewrite a saved 4-channel MOD in the 15-sample Soundtracker layout
+ * (instruments 16-31 must be empty)
+ */
+function toSoundtracker(data, tempo = 0x78) {
+    return new Uint8Array([
+        ...data.subarray(0, 470),      // Title and instruments 1-15
+        data[950], tempo,              // Song length, UST tempo
+        ...data.subarray(952, 1080),   // Pattern table
+        ...data.subarray(1084)         // Patterns and samples, no tag
+    ]);
+}
+
+describe('multichannel MODs', () => {
+    for (const [channels, tag] of [[4, 'M.K.'], [6, '6CHN'], [8, '8CHN'], [12, '12CH']]) {
+        test(`${channels} channels save as ${tag} and load back`, () => {
+            const data = saveMOD(makeMultichannelSong(channels));
+            assert.equal(String.fromCharCode(...data.subarray(1080, 1084)), tag);
+            assert.equal(data.length, 1084 + 64 * channels * 4 + 64);
+            
+            const song = loadMOD(data);
+            assert.equal(song.channelCount, channels);
+            assert.equal(song.patterns[0].getNote(0, channels - 1).period, 428);
+            assert.equal(song.instruments[1].length, 64);
+        });
+    }
+    
+    test('FLT8 patterns are read as two 4-channel halves', () => {
+        const data = saveMOD(makeMultichannelSong(8));
+        data.set([70, 76, 84, 56], 1080);  // 'FLT8'
+        
+        // Move the note from the 8CHN row layout to the second half
+        const half = 1084 + 64 * 4 * 4;
+        data.copyWithin(half, 1084 + 7 * 4, 1084 + 8 * 4);
+        data.fill(0, 1084 + 7 * 4, 1084 + 8 * 4);
+        
+        const song = loadMOD(data);
+        assert.equal(song.channelCount, 8);
+        assert.equal(song.patterns[0].getNote(0, 4).period, 428);
+        assert.equal(song.patterns[0].getNote(0, 7).period, 0);
+    });
+    
+    test('the engine plays every channel', () => {
+        const engine = startEngine(makeMultichannelSong(8));
+        assert.equal(engine.channelStates.length, 8);
+        assert.deepEqual(stepTicks(engine, 1, e => audiblePeriod(e, 7)), [428]);
+    });
+});
+
+describe('15-sample Soundtracker modules', () => {
+    test('load without a format tag', () => {
+        const song = loadMOD(toSoundtracker(saveMOD(makeSong({ 0: ['C-2 02 C20'] }))));
+        assert.equal(song.channelCount, 4);
+        assert.equal(song.timing, 'vblank');
+        assert.equal(song.effectMode, 'protracker');
+        assert.equal(song.instruments[1].name, 'ramp');
+        assert.equal(song.instruments[2].length, 512);
+        assert.equal(song.instruments[16].length, 0);
+        assert.deepEqual({ ...song.patterns[0].getNote(0, 0) }, { period: 428, instrument: 2, effect: 0xC, param: 0x20 });
+    });
+    
+    test('a UST tempo byte sets CIA timing', () => {
+        const song = loadMOD(toSoundtracker(saveMOD(makeSong({})), 0x80));
+        assert.equal(song.timing, 'cia');
+        assert.equal(song.bpm, 130);
+    });
+    
+    test('Ultimate Soundtracker 1xy plays as arpeggio and 2xy as pitch bend', () => {
+        const song = loadMOD(toSoundtracker(saveMOD(makeSong({
+            0: ['C-2 01 137'],
+            1: ['--- 00 210'],
+        }))));
+        assert.equal(song.effectMode, 'ust');
+        
+        const engine = startEngine(song);
+        assert.deepEqual(stepTicks(engine, 6, e => audiblePeriod(e)), [428, 360, 285, 428, 360, 285]);
+        assert.deepEqual(stepTicks(engine, 3, e => audiblePeriod(e)).slice(1), [429, 430]);
+        
+        // Saved as a ProTracker MOD with the converted effects
+        const saved = loadMOD(saveMOD(song));
+        assert.equal(saved.effectMode, 'protracker');
+        assert.equal(saved.patterns[0].getNote(0, 0).effect, 0x0);
+        assert.deepEqual({ ...saved.patterns[0].getNote(1, 0) }, { period: 0, instrument: 0, effect: 0x2, param: 0x1 });
+    });
+});
+
+describe('validation and repair', () => {
+    test('files that aren\'t MODs throw', () => {
+        assert.throws(() => loadMOD(new Uint8Array(100)), /Not a MOD file/);
+        assert.throws(() => loadMOD(new Uint8Array(4000).fill(0xFF)), /Not a MOD file/);
+    });
+    
+    test('a clean file loads without warnings', () => {
+        const { warnings } = readMOD(saveMOD(makeSong({ 0: ['C-2 01 000'] })));
+        assert.deepEqual(warnings, []);
+    });
+    
+    test('loops past the sample end are shortened or removed', () => {
+        const song = makeSong({});
+        song.instruments[1].repeatLength = 1024;
+        song.instruments[2].repeatStart = 600;
+        song.instruments[2].repeatLength = 16;
+        
+        const { song: loaded, warnings } = readMOD(saveMOD(song));
+        assert.equal(loaded.instruments[1].repeatLength, 512);
+        assert.equal(loaded.instruments[2].hasLoop(), false);
+        assert.equal(warnings.length, 2);
+    });
+    
+    test('sample data cut off by a truncated file is shortened', () => {
+        const data = saveMOD(makeSong({}));
+        const { song, warnings } = readMOD(data.subarray(0, data.length - 512 - 101));
+        assert.equal(song.instruments[1].length, 1024 - 100);
+        assert.equal(song.instruments[2].length, 0);
+        assert.match(warnings[0], /Instrument 1: sample data cut off \(923 of 1024 bytes\)/);
+        assert.match(warnings[1], /Instrument 1: odd sample length/);
+        assert.ok(song.instruments[1].sampleData.every(v => !Number.isNaN(v)));
+    });
+    
+    test('pattern table entries pointing past the file are cleared', () => {
+        const data = saveMOD(makeSong({}));
+        data[952 + 5] = 40;  // Past the song end (length 1), pattern not in the file
+        const { song, warnings } = readMOD(data);
+        assert.equal(song.patternOrder[5], 0);
+        assert.equal(warnings.length, 1);
+        assert.equal(song.instruments[1].length, 1024);
+        
+        data[952] = 40;  // Played, so the file is broken
+        assert.throws(() => loadMOD(data), /Pattern 40 is missing/);
+    });
+    
+    test('odd sample lengths are padded when saving', () => {
+        const song = makeSong({});
+        song.instruments[2].length = 511;
+        const loaded = loadMOD(saveMOD(song));
+        assert.equal(loaded.instruments[2].length, 512);
+        assert.equal(loaded.instruments[1].length, 1024);
+    });
+});
+
+describe('pattern count', () => {
+    test('patterns not in the song yet are saved', () => {
+        const song = makeSong({ 0: ['C-2 01 000'] });
+        song.ensurePattern(3).getNote(5, 2).period = 214;
+        
+        const { data, warnings } = writeMOD(song);
+        assert.deepEqual(warnings, []);
+        assert.equal(data[952 + 127], 3);
+        const loaded = loadMOD(data);
+        assert.equal(loaded.songLength, 1);
+        assert.equal(loaded.patterns[3].getNote(5, 2).period, 214);
+        assert.equal(loaded.instruments[1].length, 1024);
+    });
+    
+    test('a full order list can\'t keep them, with a warning', () => {
+        const song = makeSong({ 0: ['C-2 01 000'] });
+        song.songLength = 128;
+        song.patternOrder.fill(0);
+        song.ensurePattern(3).getNote(5, 2).period = 214;
+        
+        const { data, warnings } = writeMOD(song);
+        assert.deepEqual(warnings, ['Patterns 1-3 aren\'t in the song order and the order list is full - not saved']);
+        assert.equal(loadMOD(data).patterns.length, 1);
+    });
+    
+    test('more than 64 patterns save as M!K!', () => {
+        const song = makeSong({});
+        song.songLength = 2;
+        song.patternOrder[1] = 99;
+        song.ensurePattern(99).getNote(0, 0).period = 428;
+        
+        const data = saveMOD(song);
+        assert.equal(String.fromCharCode(...data.subarray(1080, 1084)), 'M!K!');
+        const loaded = loadMOD(data);
+        assert.equal(loaded.patterns.length, 100);
+        assert.equal(loaded.patterns[99].getNote(0, 0).period, 428);
+    });
+    
+    test('table entries past the song end are counted', () => {
+        const song = makeSong({});
+        song.patternOrder[10] = 2;  // Left over from a longer song
+        
+        const { song: loaded, warnings } = readMOD(saveMOD(song));
+        assert.deepEqual(warnings, []);
+        assert.equal(loaded.patternOrder[10], 2);
+        assert.equal(loaded.instruments[1].length, 1024);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Project file tests
+ * Songs are saved with serializeProject and loaded back
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Song, serializeProject, deserializeProject, PROJECT_VERSION, PROJECT_MIGRATIONS } from '../data.js';
+
+/**
+ * 6-channel song with a 16-bit sample, names and a few notes
+ */
+function makeProjectSong() {
+    const song = new Song(6);
+    song.title = 'project';
+    song.tempo = 3;
+    song.bpm = 140;
+    song.clock = 'ntsc';
+    song.songLength = 2;
+    song.patternOrder[1] = 1;
+    song.channelNames[5] = 'lead';
+    song.ensurePattern(1).name = 'chorus';
+    
+    const note = song.patterns[1].getNote(63, 5);
+    note.period = 214;
+    note.instrument = 2;
+    note.effect = 0xC;
+    note.param = 0x20;
+    
+    const instrument = song.instruments[2];
+    instrument.name = 'strings';
+    instrument.sampleData = Float32Array.from([0, 0.25, -0.5, 1 / 32768, -1]);
+    instrument.length = 5;
+    instrument.finetune = -3;
+    instrument.volume = 48;
+    instrument.repeatStart = 2;
+    instrument.repeatLength = 2;
+    instrument.sampleRate = 22050;
+    return song;
+}
+
+describe('project files', () => {
+    test('songs keep everything a MOD would lose', () => {
+        const editor = { cursor: { pattern: 1, row: 63, channel: 5 }, octave: 3 };
+        const { song, editor: loadedEditor } = deserializeProject(serializeProject(makeProjectSong(), editor));
+        
+        assert.equal(song.title, 'project');
+        assert.equal(song.channelCount, 6);
+        assert.deepEqual([song.tempo, song.bpm, song.clock, song.songLength], [3, 140, 'ntsc', 2]);
+        assert.deepEqual(song.patternOrder.slice(0, 2), [0, 1]);
+        assert.deepEqual(song.channelNames, ['', '', '', '', '', 'lead']);
+        assert.equal(song.patterns[1].name, 'chorus');
+        assert.deepEqual({ ...song.patterns[1].getNote(63, 5) }, { period: 214, instrument: 2, effect: 0xC, param: 0x20 });
+        
+        // Samples keep 16 bits, where a MOD has 8
+        const instrument = song.instruments[2];
+        assert.deepEqual([...instrument.sampleData], [0, 0.25, -0.5, 1 / 32768, -1]);
+        assert.deepEqual(
+            [instrument.name, instrument.length, instrument.finetune, instrument.volume, instrument.repeatStart, instrument.repeatLength, instrument.sampleRate],
+            ['strings', 5, -3, 48, 2, 2, 22050]
+        );
+        assert.ok(song.instruments[3].isEmpty());
+        
+        assert.deepEqual(loadedEditor, editor);
+    });
+    
+    test('older projects are upgraded by the migration hooks', () => {
+        const project = JSON.parse(serializeProject(makeProjectSong()));
+        project.version = PROJECT_VERSION - 1;
+        project.song.name = project.song.title;
+        delete project.song.title;
+        
+        PROJECT_MIGRATIONS[PROJECT_VERSION - 1] = (old) => {
+            old.song.title = old.song.name;
+            return old;
+        };
+        try {
+            assert.equal(deserializeProject(JSON.stringify(project)).song.title, 'project');
+        } finally {
+            delete PROJECT_MIGRATIONS[PROJECT_VERSION - 1];
+        }
+        assert.throws(() => deserializeProject(JSON.stringify(project)), /can't be upgraded/);
+    });
+    
+    test('newer projects and other files are refused', () => {
+        const project = JSON.parse(serializeProject(new Song()));
+        project.version = PROJECT_VERSION + 1;
+        assert.throws(() => deserializeProject(JSON.stringify(project)), /newer than this tracker/);
+        assert.throws(() => deserializeProject('{"title": "song"}'), /Not a project file/);
+        assert.throws(() => deserializeProject('M.K.'), /Not a project file/);
+    });
+    
+    test('damaged projects are refused with what\'s wrong', () => {
+        const damage = (change, message) => {
+            const project = JSON.parse(serializeProject(makeProjectSong()));
+            change(project);
+            assert.throws(() => deserializeProject(JSON.stringify(project)), message);
+        };
+        damage(project => delete project.song, /Not a valid project file: song settings missing/);
+        damage(project => { project.song.channelCount = 0; }, /channel count 0/);
+        damage(project => { project.song.patternOrder = null; }, /pattern order list damaged/);
+        damage(project => delete project.patterns, /patterns missing/);
+        damage(project => project.patterns[1].rows.pop(), /pattern 1 damaged/);
+        damage(project => { project.patterns[0].rows[3][2] = [428, 1]; }, /pattern 0 damaged/);
+        damage(project => { project.instruments = {}; }, /instruments missing/);
+        damage(project => { project.instruments[0].length = 6; }, /instrument 2 is 6 samples long but has 5/);
+        damage(project => { project.instruments[0].sampleData = '%%'; }, /instrument 2 sample data isn't base64/);
+        
+        // Cut off part way through
+        const json = serializeProject(makeProjectSong());
+        assert.throws(() => deserializeProject(json.slice(0, json.length >> 1)), /Not a project file/);
+    });
+});
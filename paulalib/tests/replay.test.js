@@ -0,0 +1,35 @@
+/**
+ * Golden render tests
+ * Every module in demomods/ is rendered and compared row by row against
+ * tests/golden/. After an intended change to the replayer, regenerate with:
+ *   UPDATE_GOLDEN=1 node --test paulalib/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join } from 'node:path';
+import { loadMOD } from '../modloader.js';
+import { renderRows, compareGolden } from './helpers.js';
+
+const DEMOMODS = fileURLToPath(new URL('../../demomods/', import.meta.url));
+const GOLDEN = fileURLToPath(new URL('./golden/', import.meta.url));
+
+// demomods/*.mod plus the effect test modules in demomods/test/
+const modules = ['', 'test/'].flatMap(dir =>
+    readdirSync(join(DEMOMODS, dir))
+        .filter(name => name.toLowerCase().endsWith('.mod'))
+        .map(name => dir + name)
+);
+
+for (const name of modules) {
+    test(`golden render: ${name}`, () => {
+        const song = loadMOD(readFileSync(join(DEMOMODS, name)));
+        const render = renderRows(song);
+        const goldenPath = join(GOLDEN, name.replace(/[^a-zA-Z0-9_.-]/g, '_') + '.json');
+        
+        const difference = compareGolden(render, goldenPath);
+        assert.equal(difference, null, `${name}: ${difference}`);
+    });
+}
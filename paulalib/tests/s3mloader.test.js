@@ -0,0 +1,185 @@
+/**
+ * S3M import tests
+ * Files are built in memory by buildS3M
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadS3M } from '../s3mloader.js';
+
+/**
+ * Build an S3M file
+ * Patterns are {row: [[note, instrument, volume, command, info], ...]} with
+ * one entry per channel (null for nothing, notes as 'C-4', commands as
+ * letters); samples are {data (unsigned 8-bit), c2spd, volume, loopStart,
+ * loopEnd}
+ */
+function buildS3M({ channels = 4, speed = 6, tempo = 125, orders = [0], patterns, samples = [] }) {
+    const header = new Array(96).fill(0);
+    const bytes = header;
+    const setString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+    };
+    const set16 = (offset, value) => { bytes[offset] = value & 0xFF; bytes[offset + 1] = value >> 8; };
+    const align = () => { while (bytes.length % 16) bytes.push(0); };
+    
+    setString(0, 's3m fixture');
+    bytes[28] = 0x1A;
+    bytes[29] = 16;
+    set16(32, orders.length);
+    set16(34, samples.length);
+    set16(36, patterns.length);
+    set16(42, 2);
+    setString(44, 'SCRM');
+    bytes[48] = 64;
+    bytes[49] = speed;
+    bytes[50] = tempo;
+    for (let ch = 0; ch < 32; ch++) bytes[64 + ch] = ch < channels ? ch : 255;
+    
+    bytes.push(...orders);
+    const pointers = bytes.length;
+    bytes.push(...new Array((samples.length + patterns.length) * 2).fill(0));
+    align();
+    
+    samples.forEach((sample, i) => {
+        set16(pointers + i * 2, bytes.length / 16);
+        const start = bytes.length;
+        bytes.push(...new Array(80).fill(0));
+        bytes[start] = 1;
+        set16(start + 16, sample.data.length);
+        set16(start + 20, sample.loopStart || 0);
+        set16(start + 24, sample.loopEnd || 0);
+        bytes[start + 28] = sample.volume === undefined ? 64 : sample.volume;
+        bytes[start + 31] = sample.loopEnd ? 1 : 0;
+        set16(start + 32, sample.c2spd || 8363);
+        setString(start + 48, 'sample');
+        setString(start + 76, 'SCRS');
+        align();
+        set16(start + 14, bytes.length / 16);
+        bytes.push(...sample.data);
+        align();
+    });
+    
+    patterns.forEach((pattern, p) => {
+        set16(pointers + (samples.length + p) * 2, bytes.length / 16);
+        const packed = [];
+        for (let row = 0; row < 64; row++) {
+            (pattern[row] || []).forEach((cell, ch) => {
+                if (!cell) return;
+                const [note, instrument, volume, command, info] = cell;
+                let what = ch;
+                const fields = [];
+                if (note || instrument) {
+                    what |= 32;
+                    fields.push(parseNote(note), instrument || 0);
+                }
+                if (volume !== undefined && volume !== null) {
+                    what |= 64;
+                    fields.push(volume);
+                }
+                if (command) {
+                    what |= 128;
+                    fields.push(command.charCodeAt(0) - 64, info || 0);
+                }
+                packed.push(what, ...fields);
+            });
+            packed.push(0);
+        }
+        bytes.push(packed.length & 0xFF, packed.length >> 8, ...packed);
+        align();
+    });
+    return new Uint8Array(bytes);
+}
+
+function parseNote(name) {
+    if (!name) return 255;
+    if (name === '^^') return 254;
+    const semitone = ['C-', 'C#', 'D-', 'D#', 'E-', 'F-', 'F#', 'G-', 'G#', 'A-', 'A#', 'B-'].indexOf(name.slice(0, 2));
+    return (Number(name[2]) << 4) | semitone;
+}
+
+// 32 frames of an unsigned 8-bit ramp
+const RAMP = { data: Array.from({ length: 32 }, (_, i) => i * 8) };
+
+describe('S3M import', () => {
+    test('header, notes and C2Spd convert to a MOD song', () => {
+        const { song, warnings } = loadS3M(buildS3M({
+            speed: 4,
+            tempo: 140,
+            patterns: [{
+                0: [['C-4', 1], ['C-4', 2], ['C-5', 3, 32]]
+            }],
+            samples: [RAMP, { ...RAMP, c2spd: 16726 }, { ...RAMP, c2spd: 8500 }]
+        }));
+        assert.deepEqual(warnings, []);
+        assert.equal(song.title, 's3m fixture');
+        assert.equal(song.tempo, 4);
+        assert.equal(song.bpm, 140);
+        
+        const row = song.patterns[0].data[0];
+        assert.deepEqual(row.map(note => note.period), [428, 214, 214, 0]);
+        assert.deepEqual([row[2].effect, row[2].param], [0xC, 32]);
+        assert.equal(song.instruments[2].finetune, 0);
+        assert.equal(song.instruments[3].finetune, 2);
+        assert.deepEqual([...song.instruments[1].sampleData.subarray(0, 2)], [-1, -0.9375]);
+    });
+    
+    test('effects are translated to ProTracker', () => {
+        const commands = [['A', 0x03], ['T', 0x7D], ['D', 0x0F], ['D', 0x3F], ['D', 0xF2], ['E', 0x05],
+            ['F', 0xF3], ['K', 0x04], ['S', 0xC3], ['Q', 0x04], ['J', 0x37], ['C', 0x16]];
+        const pattern = {};
+        commands.forEach(([command, info], row) => {
+            pattern[row] = [[null, 0, null, command, info]];
+        });
+        const { song, warnings } = loadS3M(buildS3M({ patterns: [pattern] }));
+        
+        const effects = commands.map((_, row) => {
+            const note = song.patterns[0].getNote(row, 0);
+            return (note.effect << 8) | note.param;
+        });
+        assert.deepEqual(effects, [0xF03, 0xF7D, 0xA0F, 0xEA3, 0xEB2, 0x205, 0xE13, 0x604, 0xEC3, 0xE94, 0x037, 0xD16]);
+        assert.deepEqual(warnings, []);
+    });
+    
+    test('untranslatable commands are reported by pattern and row', () => {
+        const { song, warnings } = loadS3M(buildS3M({
+            orders: [0, 1],
+            patterns: [
+                { 1: [[null, 0, null, 'V', 0x20]], 2: [[null, 0, null, 'V', 0x30]] },
+                { 5: [null, [null, 0, null, 'X', 0x80]], 6: [[null, 0, null, 'U', 0x48]] }
+            ]
+        }));
+        assert.deepEqual(warnings, [
+            'Vxx global volume dropped: pattern 0 row 1, pattern 0 row 2',
+            'Xxx panning dropped: pattern 1 row 5',
+            'Uxy fine vibrato played as 4xy: pattern 1 row 6'
+        ]);
+        assert.equal(song.patterns[0].getNote(1, 0).effect, 0);
+        assert.deepEqual([song.patterns[1].getNote(6, 0).effect, song.patterns[1].getNote(6, 0).param], [0x4, 0x42]);
+    });
+    
+    test('order markers are skipped and jumps follow them', () => {
+        const { song } = loadS3M(buildS3M({
+            orders: [0, 254, 1, 255, 0],
+            patterns: [{ 0: [[null, 0, null, 'B', 2]] }, {}]
+        }));
+        assert.equal(song.songLength, 2);
+        assert.deepEqual(song.patternOrder.slice(0, 2), [0, 1]);
+        assert.equal(song.patterns[0].getNote(0, 0).param, 1);
+    });
+    
+    test('note cuts and looped samples', () => {
+        const { song } = loadS3M(buildS3M({
+            patterns: [{ 0: [['C-4', 1]], 1: [['^^', 0]] }],
+            samples: [{ ...RAMP, loopStart: 8, loopEnd: 24 }]
+        }));
+        assert.deepEqual([song.patterns[0].getNote(1, 0).effect, song.patterns[0].getNote(1, 0).param], [0xC, 0]);
+        assert.equal(song.instruments[1].length, 24);
+        assert.equal(song.instruments[1].repeatStart, 8);
+        assert.equal(song.instruments[1].repeatLength, 16);
+    });
+    
+    test('files that aren\'t S3Ms throw', () => {
+        assert.throws(() => loadS3M(new Uint8Array(200)), /Not an S3M file/);
+    });
+});
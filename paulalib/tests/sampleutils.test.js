@@ -0,0 +1,125 @@
+/**
+ * Sample utility tests
+ * 8SVX files are built in memory by build8SVX or written by encode8SVX
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decode8SVX, encode8SVX } from '../sampleutils.js';
+
+/**
+ * Build an 8SVX file from [id, bytes] chunks (odd ones are padded)
+ */
+function build8SVX(chunks) {
+    const bytes = [...'FORM'].map(char => char.charCodeAt(0));
+    bytes.push(0, 0, 0, 0, ...[...'8SVX'].map(char => char.charCodeAt(0)));
+    for (const [id, data] of chunks) {
+        bytes.push(...[...id].map(char => char.charCodeAt(0)));
+        bytes.push(0, 0, data.length >> 8, data.length & 0xFF, ...data);
+        if (data.length & 1) bytes.push(0);
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * VHDR chunk data
+ */
+function vhdr({ oneShot, repeat = 0, rate = 8363, octaves = 1, compression = 0, volume = 0x10000 }) {
+    const data = new Uint8Array(20);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, oneShot);
+    view.setUint32(4, repeat);
+    view.setUint16(12, rate);
+    data[14] = octaves;
+    data[15] = compression;
+    view.setUint32(16, volume);
+    return [...data];
+}
+
+// Signed 8-bit values as they're stored
+const signed = values => values.map(value => value & 0xFF);
+
+describe('8SVX samples', () => {
+    test('header, name and loop are read', () => {
+        const { sampleData, sampleRate, name, repeatStart, repeatLength, volume } = decode8SVX(build8SVX([
+            ['VHDR', vhdr({ oneShot: 4, repeat: 4, rate: 16726, volume: 0x8000 })],
+            ['NAME', [...'snare'].map(char => char.charCodeAt(0))],
+            ['BODY', signed([0, 64, -64, 127, -128, 32, -32, 16])]
+        ]), 'snare.8svx');
+        assert.deepEqual([...sampleData], [0, 0.5, -0.5, 127 / 128, -1, 0.25, -0.25, 0.125]);
+        assert.equal(sampleRate, 16726);
+        assert.equal(name, 'snare');
+        assert.deepEqual([repeatStart, repeatLength, volume], [4, 4, 32]);
+    });
+    
+    test('one-shot samples and multi-octave instruments', () => {
+        // Two octaves: 4 samples, then the same an octave down in 8
+        const { sampleData, name, repeatStart, repeatLength } = decode8SVX(build8SVX([
+            ['VHDR', vhdr({ oneShot: 4, octaves: 2 })],
+            ['BODY', signed([1, 2, 3, 4, 1, 1, 2, 2, 3, 3, 4, 4])]
+        ]), 'kick.iff');
+        assert.deepEqual([...sampleData].map(value => value * 128), [1, 2, 3, 4]);
+        assert.equal(name, 'kick');
+        assert.deepEqual([repeatStart, repeatLength], [0, 2]);
+    });
+    
+    test('Fibonacci-delta bodies are expanded', () => {
+        // Start at 10, then +1 +21, -34 +0, and -34 until it wraps past -128
+        const { sampleData } = decode8SVX(build8SVX([
+            ['VHDR', vhdr({ oneShot: 8, compression: 1 })],
+            ['BODY', [0, 10, 0x9F, 0x08, 0x00, 0x00, 0x00]]
+        ]));
+        assert.deepEqual([...sampleData].map(value => value * 128), [11, 32, -2, -2, -36, -70, -104, 118]);
+    });
+    
+    test('stereo bodies keep the left channel', () => {
+        const chan = [0, 0, 0, 6];
+        const plain = decode8SVX(build8SVX([
+            ['VHDR', vhdr({ oneShot: 2 })],
+            ['CHAN', chan],
+            ['BODY', signed([5, -5, 100, 90])]
+        ]));
+        assert.deepEqual([...plain.sampleData].map(value => value * 128), [5, -5]);
+        
+        // Each channel is compressed on its own, from its own starting value
+        // (no one-shot length: the whole left half is read)
+        const compressed = decode8SVX(build8SVX([
+            ['VHDR', vhdr({ oneShot: 0, compression: 1 })],
+            ['CHAN', chan],
+            ['BODY', [0, 10, 0x9F, 0x08, 0, 0xC4, 0x77, 0x88]]
+        ]));
+        assert.deepEqual([...compressed.sampleData].map(value => value * 128), [11, 32, -2, -2]);
+    });
+    
+    test('encoded samples load back with their loop', () => {
+        const data = Float32Array.from({ length: 40 }, (_, i) => Math.round(Math.sin(i / 6) * 90) / 128);
+        const file = encode8SVX(data, { name: 'bass', sampleRate: 22050, repeatStart: 10, repeatLength: 20, volume: 48 });
+        const sample = decode8SVX(file);
+        
+        // Nothing after the loop is kept
+        assert.deepEqual([...sample.sampleData], [...data.subarray(0, 30)]);
+        assert.deepEqual([sample.name, sample.sampleRate, sample.repeatStart, sample.repeatLength, sample.volume],
+            ['bass', 22050, 10, 20, 48]);
+        
+        // Fibonacci deltas track the waveform within the gap between steps (13 to 21)
+        const compressed = decode8SVX(encode8SVX(data, { compress: true }));
+        assert.equal(compressed.sampleData.length, 40);
+        assert.deepEqual([compressed.repeatStart, compressed.repeatLength], [0, 2]);
+        compressed.sampleData.forEach((value, i) => {
+            assert.ok(Math.abs(value - data[i]) * 128 <= 13, `sample ${i}`);
+        });
+        assert.ok(encode8SVX(data, { compress: true }).length < file.length);
+    });
+    
+    test('sample rates past 65535 Hz throw', () => {
+        const data = new Float32Array(4);
+        assert.equal(decode8SVX(encode8SVX(data, { sampleRate: 65535 })).sampleRate, 65535);
+        assert.throws(() => encode8SVX(data, { sampleRate: 96000 }), /up to 65535 Hz/);
+    });
+    
+    test('files that aren\'t 8SVX throw', () => {
+        assert.throws(() => decode8SVX(new Uint8Array(64)), /Not a valid 8SVX file/);
+        assert.throws(() => decode8SVX(build8SVX([['BODY', [0, 0]]])), /missing VHDR/);
+        assert.throws(() => decode8SVX(build8SVX([['VHDR', vhdr({ oneShot: 2, compression: 2 })], ['BODY', [0, 0]]])), /Unsupported 8SVX compression/);
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * XM import tests
+ * Files are built in memory by buildXM
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadXM } from '../xmloader.js';
+import { loadMOD, saveMOD } from '../modloader.js';
+
+/**
+ * Build an XM file
+ * Patterns are {rows, cells: {row: [[note, instrument, volume, effect, param], ...]}}
+ * with one entry per channel; samples are {data (integers), bits, loopType,
+ * loopStart, loopLength, volume, finetune, relativeNote}
+ */
+function buildXM({ channels = 4, speed = 6, bpm = 125, flags = 0, orders = [0], patterns, instruments = [] }) {
+    const bytes = [];
+    const push8 = (value) => bytes.push(value & 0xFF);
+    const push16 = (value) => { push8(value); push8(value >> 8); };
+    const push32 = (value) => { push16(value); push16(value >> 16); };
+    const pushString = (text, length) => {
+        for (let i = 0; i < length; i++) push8(i < text.length ? text.charCodeAt(i) : 0);
+    };
+    
+    pushString('Extended Module: ', 17);
+    pushString('xm fixture', 20);
+    push8(0x1A);
+    pushString('FastTracker v2.00', 20);
+    push16(0x0104);
+    push32(276);
+    push16(orders.length);
+    push16(0);
+    push16(channels);
+    push16(patterns.length);
+    push16(instruments.length);
+    push16(flags);
+    push16(speed);
+    push16(bpm);
+    for (let i = 0; i < 256; i++) push8(orders[i] || 0);
+    
+    for (const pattern of patterns) {
+        const packed = [];
+        for (let row = 0; row < pattern.rows; row++) {
+            for (let ch = 0; ch < channels; ch++) {
+                const cell = (pattern.cells[row] || [])[ch] || [0, 0, 0, 0, 0];
+                let mask = 0x80;
+                cell.forEach((value, i) => { if (value) mask |= 1 << i; });
+                packed.push(mask, ...cell.filter(value => value));
+            }
+        }
+        push32(9);
+        push8(0);
+        push16(pattern.rows);
+        push16(packed.length);
+        packed.forEach(push8);
+    }
+    
+    for (const instrument of instruments) {
+        const header = new Array(263).fill(0);
+        header[0] = 263 & 0xFF;
+        header[1] = 263 >> 8;
+        header[27] = instrument.samples.length;
+        header[29] = 40;
+        (instrument.keymap || []).forEach((sample, note) => { header[33 + note] = sample; });
+        if (instrument.envelope) {
+            instrument.envelope.forEach((level, i) => { header[129 + i * 4 + 2] = level; });
+            header[225] = instrument.envelope.length;
+            header[233] = 1;
+        }
+        header.forEach(push8);
+        
+        for (const sample of instrument.samples) {
+            const frameSize = sample.bits === 16 ? 2 : 1;
+            push32(sample.data.length * frameSize);
+            push32((sample.loopStart || 0) * frameSize);
+            push32((sample.loopLength || 0) * frameSize);
+            push8(sample.volume === undefined ? 64 : sample.volume);
+            push8(sample.finetune || 0);
+            push8((sample.loopType || 0) | (sample.bits === 16 ? 0x10 : 0));
+            push8(0x80);
+            push8(sample.relativeNote || 0);
+            push8(0);
+            pushString('sample', 22);
+        }
+        for (const sample of instrument.samples) {
+            let previous = 0;
+            for (const value of sample.data) {
+                const delta = value - previous;
+                previous = value;
+                sample.bits === 16 ? push16(delta) : push8(delta);
+            }
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+// One 8-bit sample with 64 frames
+const SINGLE_SAMPLE = {
+    samples: [{ data: Array.from({ length: 64 }, (_, i) => (i % 16) * 8 - 64), volume: 48 }]
+};
+
+describe('XM import', () => {
+    test('header, notes and samples convert to a MOD song', () => {
+        const { song, warnings } = loadXM(buildXM({
+            speed: 3,
+            bpm: 150,
+            patterns: [{ rows: 64, cells: {
+                0: [[49, 1, 0, 0, 0]],
+                1: [[0, 0, 0, 0, 0], [61, 1, 0, 0xF, 0x10]]
+            } }],
+            instruments: [SINGLE_SAMPLE]
+        }));
+        assert.deepEqual(warnings, []);
+        assert.equal(song.title, 'xm fixture');
+        assert.equal(song.tempo, 3);
+        assert.equal(song.bpm, 150);
+        assert.equal(song.channelCount, 4);
+        assert.deepEqual({ ...song.patterns[0].getNote(0, 0) }, { period: 428, instrument: 1, effect: 0, param: 0 });
+        assert.deepEqual({ ...song.patterns[0].getNote(1, 1) }, { period: 214, instrument: 1, effect: 0xF, param: 0x10 });
+        
+        const instrument = song.instruments[1];
+        assert.equal(instrument.length, 64);
+        assert.equal(instrument.volume, 48);
+        assert.deepEqual([...instrument.sampleData.subarray(0, 3)], [-0.5, -0.4375, -0.375]);
+        assert.equal(instrument.hasLoop(), false);
+        
+        // And saves as a MOD
+        const saved = loadMOD(saveMOD(song));
+        assert.equal(saved.patterns[0].getNote(1, 1).period, 214);
+    });
+    
+    test('16-bit samples, relative notes and finetune', () => {
+        const { song, warnings } = loadXM(buildXM({
+            patterns: [{ rows: 64, cells: { 0: [[49, 1, 0, 0, 0]] } }],
+            instruments: [{ samples: [{ data: [0, 16384, -16384, 0], bits: 16, relativeNote: 12, finetune: -16 }] }]
+        }));
+        assert.equal(song.patterns[0].getNote(0, 0).period, 214);
+        assert.equal(song.instruments[1].finetune, -1);
+        assert.deepEqual([...song.instruments[1].sampleData], [0, 0.5, -0.5, 0]);
+        assert.match(warnings[0], /16-bit sample/);
+    });
+    
+    test('the volume column becomes an effect when the effect column is free', () => {
+        const { song, warnings } = loadXM(buildXM({
+            patterns: [{ rows: 64, cells: {
+                0: [[49, 1, 0x40, 0, 0], [49, 1, 0x65, 0, 0], [49, 1, 0x30, 0x4, 0x44], [97, 0, 0, 0, 0]]
+            } }],
+            instruments: [SINGLE_SAMPLE]
+        }));
+        const row = song.patterns[0].data[0];
+        assert.deepEqual([row[0].effect, row[0].param], [0xC, 0x30]);
+        assert.deepEqual([row[1].effect, row[1].param], [0xA, 0x05]);
+        assert.deepEqual([row[2].effect, row[2].param], [0x4, 0x44]);
+        assert.deepEqual([row[3].period, row[3].effect, row[3].param], [0, 0xC, 0]);
+        assert.deepEqual(warnings, ['1 volume column commands dropped - effect column in use']);
+    });
+    
+    test('effects that continue on 00 get their parameter back', () => {
+        const { song } = loadXM(buildXM({
+            patterns: [{ rows: 64, cells: { 0: [[49, 1, 0, 0x1, 0x08]], 1: [[0, 0, 0, 0x1, 0x00]] } }],
+            instruments: [SINGLE_SAMPLE]
+        }));
+        assert.equal(song.patterns[0].getNote(1, 0).param, 0x08);
+    });
+    
+    test('long patterns are split, short ones end early', () => {
+        const { song } = loadXM(buildXM({
+            orders: [0, 1],
+            patterns: [
+                { rows: 128, cells: { 10: [[0, 0, 0, 0xD, 0x00]], 70: [[49, 1, 0, 0, 0]] } },
+                { rows: 32, cells: {} }
+            ],
+            instruments: [SINGLE_SAMPLE]
+        }));
+        assert.equal(song.songLength, 3);
+        assert.deepEqual(song.patternOrder.slice(0, 3), [0, 1, 2]);
+        assert.equal(song.patterns[1].getNote(6, 0).period, 428);
+        
+        // A break in the first half skips the second half
+        assert.deepEqual({ ...song.patterns[0].getNote(10, 0) }, { period: 0, instrument: 0, effect: 0xB, param: 2 });
+        assert.equal(song.patterns[2].getNote(31, 0).effect, 0xD);
+    });
+    
+    test('channels past maxChannels are dropped and reported', () => {
+        const xm = buildXM({
+            channels: 6,
+            patterns: [{ rows: 64, cells: { 0: [[49, 1, 0, 0, 0], [0, 0, 0, 0, 0], [49, 1, 0, 0, 0], [49, 1, 0, 0, 0], [49, 1, 0, 0, 0], [61, 1, 0, 0, 0]] } }],
+            instruments: [SINGLE_SAMPLE]
+        });
+        
+        const { song, warnings } = loadXM(xm);
+        assert.equal(song.channelCount, 4);
+        assert.deepEqual(song.patterns[0].data[0].map(note => note.period), [428, 428, 428, 428]);
+        assert.deepEqual(warnings, ['Channels 6 dropped (1 notes) - only 4 kept']);
+        
+        const wide = loadXM(xm, { maxChannels: 8 });
+        assert.equal(wide.song.channelCount, 6);
+        assert.equal(wide.song.patterns[0].getNote(0, 5).period, 214);
+        assert.deepEqual(wide.warnings, []);
+    });
+    
+    test('envelopes are flattened and ping-pong loops unrolled', () => {
+        const { song, warnings } = loadXM(buildXM({
+            patterns: [{ rows: 64, cells: { 0: [[49, 1, 0, 0, 0]] } }],
+            instruments: [{
+                envelope: [0, 32, 16],
+                samples: [{ data: [0, 16, 32, 48, 64, 80], loopType: 2, loopStart: 2, loopLength: 2 }]
+            }]
+        }));
+        const instrument = song.instruments[1];
+        assert.deepEqual([...instrument.sampleData].map(v => v * 256), [0, 16, 32, 48, 48, 32]);
+        assert.equal(instrument.repeatStart, 2);
+        assert.equal(instrument.repeatLength, 4);
+        assert.deepEqual(warnings, [
+            'Instrument 1: ping-pong loop unrolled',
+            'Instrument 1: volume envelope flattened to its peak level'
+        ]);
+    });
+    
+    test('samples are resampled when their notes are out of the Amiga range', () => {
+        const { song, warnings } = loadXM(buildXM({
+            patterns: [{ rows: 64, cells: { 0: [[73, 1, 0, 0, 0]], 1: [[85, 0, 0, 0, 0]] } }],
+            instruments: [SINGLE_SAMPLE]
+        }));
+        assert.equal(song.patterns[0].getNote(0, 0).period, 428);
+        assert.equal(song.patterns[0].getNote(1, 0).period, 214);
+        assert.equal(song.instruments[1].length, 16);
+        assert.match(warnings[0], /resampled 2 octaves up/);
+    });
+    
+    test('multi-sample instruments are split', () => {
+        const keymap = new Array(96).fill(0).fill(1, 48);
+        const { song, warnings } = loadXM(buildXM({
+            patterns: [{ rows: 64, cells: { 0: [[37, 1, 0, 0, 0]], 1: [[49, 0, 0, 0, 0]] } }],
+            instruments: [{ keymap, samples: [SINGLE_SAMPLE.samples[0], { data: [0, 1, 2, 3] }] }]
+        }));
+        assert.deepEqual({ ...song.patterns[0].getNote(0, 0) }, { period: 856, instrument: 1, effect: 0, param: 0 });
+        assert.deepEqual({ ...song.patterns[0].getNote(1, 0) }, { period: 428, instrument: 2, effect: 0, param: 0 });
+        assert.equal(song.instruments[2].length, 4);
+        assert.match(warnings[0], /instruments 1 split/);
+    });
+    
+    test('files that aren\'t XMs throw', () => {
+        assert.throws(() => loadXM(new Uint8Array(100)), /Not an XM file/);
+    });
+});
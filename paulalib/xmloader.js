@@ -0,0 +1,272 @@
+/**
+ * XM File Loader for Paula Tracker
+ * Reads FastTracker 2 Extended Modules and downgrades them to the MOD song
+ * model (see downgrade.js)
+ * Platform-independent - works with ArrayBuffer/Uint8Array only
+ */
+
+import { downgradeModule, NOTE_OFF } from './downgrade.js';
+
+const XM_ID = 'Extended Module:';
+
+/**
+ * Load an XM file and convert it to a MOD-compatible song
+ * @param {ArrayBuffer|Uint8Array} buffer - XM file data
+ * @param {Object} options - Conversion options
+ * @param {number} options.maxChannels - Channels to keep (default 4, up to 32)
+ * @param {number[]} options.channels - Channels (0-based) to keep instead
+ * @returns {Object} {song: Song, warnings: string[], channels: Object[]} -
+ *   warnings is the downgrade report: channels dropped, commands converted
+ *   or lost, envelopes flattened, samples resampled, file damage repaired;
+ *   channels says what each channel plays (see downgradeModule)
+ * @throws {Error} If the file isn't an XM or is too damaged to load
+ */
+export function loadXM(buffer, options = {}) {
+    const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const { module, warnings } = readXM(data);
+    const result = downgradeModule(module, options);
+    return { song: result.song, warnings: [...warnings, ...result.warnings], channels: result.channels };
+}
+
+/**
+ * Parse an XM file into a module description for downgradeModule
+ * @private
+ * @param {Uint8Array} data - XM file data
+ * @returns {Object} {module, warnings}
+ */
+function readXM(data) {
+    if (data.length < 80 || readString(data, 0, 17) !== XM_ID) {
+        throw new Error('Not an XM file (no "Extended Module" header)');
+    }
+    const version = readUint16(data, 58);
+    if (version < 0x0104) {
+        throw new Error(`XM version ${version >> 8}.${(version & 0xFF).toString(16).padStart(2, '0')} isn't supported`);
+    }
+    
+    const warnings = [];
+    const headerSize = readUint32(data, 60);
+    const songLength = readUint16(data, 64);
+    const patternCount = readUint16(data, 70);
+    const instrumentCount = readUint16(data, 72);
+    const module = {
+        title: readString(data, 17, 20),
+        restartPosition: readUint16(data, 66),
+        channelCount: Math.max(1, Math.min(32, readUint16(data, 68))),
+        linearSlides: (readUint16(data, 74) & 1) === 1,
+        speed: readUint16(data, 76),
+        bpm: readUint16(data, 78),
+        orders: [],
+        patterns: [],
+        instruments: []
+    };
+    
+    for (let i = 0; i < Math.min(songLength, 256); i++) {
+        module.orders.push(data[80 + i]);
+    }
+    
+    // Patterns (header size, packing type, rows, packed data size)
+    let offset = 60 + headerSize;
+    for (let p = 0; p < patternCount; p++) {
+        if (offset + 9 > data.length) {
+            throw new Error(`Pattern ${p} is missing - the file is truncated or damaged`);
+        }
+        const patternHeaderSize = readUint32(data, offset);
+        const rowCount = readUint16(data, offset + 5) || 64;
+        const packedSize = readUint16(data, offset + 7);
+        offset += patternHeaderSize;
+        if (offset + packedSize > data.length) {
+            throw new Error(`Pattern ${p} is cut off - the file is truncated or damaged`);
+        }
+        module.patterns.push(unpackPattern(data, offset, packedSize, rowCount, module.channelCount));
+        offset += packedSize;
+    }
+    
+    // Order entries past the last pattern play an empty one
+    const missing = new Set(module.orders.filter(p => p >= patternCount));
+    for (const p of missing) {
+        warnings.push(`Pattern ${p} is in the order list but not in the file - played empty`);
+        module.patterns[p] = unpackPattern(data, 0, 0, 64, module.channelCount);
+    }
+    
+    for (let i = 1; i <= instrumentCount; i++) {
+        if (offset + 29 > data.length) {
+            warnings.push(`File ends before instrument ${i} - ${instrumentCount - i + 1} instruments missing`);
+            break;
+        }
+        offset = readInstrument(data, offset, module, i, warnings);
+    }
+    
+    return { module, warnings };
+}
+
+/**
+ * Unpack an XM pattern
+ * Each cell is either 5 bytes (note, instrument, volume, effect, param) or
+ * a byte with the high bit set telling which of them follow
+ * @private
+ * @returns {Object[][]} Cells by row and channel (see downgradeModule)
+ */
+function unpackPattern(data, offset, size, rowCount, channelCount) {
+    const end = offset + size;
+    const rows = [];
+    for (let row = 0; row < rowCount; row++) {
+        const cells = [];
+        for (let ch = 0; ch < channelCount; ch++) {
+            const cell = { note: 0, instrument: 0, volume: 0, effect: 0, param: 0 };
+            if (offset < end) {
+                const flags = data[offset] & 0x80 ? data[offset++] : 0x1F;
+                if (flags & 0x01) cell.note = data[offset++];
+                if (flags & 0x02) cell.instrument = data[offset++];
+                if (flags & 0x04) cell.volume = data[offset++];
+                if (flags & 0x08) cell.effect = data[offset++];
+                if (flags & 0x10) cell.param = data[offset++];
+            }
+            if (cell.note > NOTE_OFF) {
+                cell.note = 0;
+            }
+            cells.push(cell);
+        }
+        rows.push(cells);
+    }
+    return rows;
+}
+
+/**
+ * Read an instrument with its sample headers and data
+ * @private
+ * @returns {number} Offset of the next instrument
+ */
+function readInstrument(data, offset, module, number, warnings) {
+    const instrumentHeaderSize = readUint32(data, offset);
+    const sampleCount = readUint16(data, offset + 27);
+    const instrument = {
+        name: readString(data, offset + 4, 22),
+        keymap: new Uint8Array(96),
+        samples: [],
+        volumeEnvelope: null,
+        hasPanningEnvelope: false,
+        hasAutoVibrato: false
+    };
+    module.instruments[number] = instrument;
+    
+    let sampleHeaderSize = 40;
+    if (sampleCount > 0) {
+        sampleHeaderSize = readUint32(data, offset + 29) || 40;
+        instrument.keymap.set(data.subarray(offset + 33, offset + 129));
+        
+        // Volume envelope: 12 points of (tick, level), used if bit 0 of its type is set
+        const volumePoints = Math.min(12, data[offset + 225]);
+        if ((data[offset + 233] & 1) && volumePoints > 0) {
+            const levels = [];
+            for (let i = 0; i < volumePoints; i++) {
+                levels.push(readUint16(data, offset + 129 + i * 4 + 2));
+            }
+            instrument.volumeEnvelope = { levels };
+        }
+        instrument.hasPanningEnvelope = (data[offset + 234] & 1) === 1 && data[offset + 226] > 0;
+        instrument.hasAutoVibrato = data[offset + 237] > 0;
+    }
+    offset += instrumentHeaderSize;
+    
+    // Sample headers come first, then the data of every sample
+    const headers = [];
+    for (let s = 0; s < sampleCount; s++) {
+        headers.push({
+            length: readUint32(data, offset),
+            loopStart: readUint32(data, offset + 4),
+            loopLength: readUint32(data, offset + 8),
+            volume: Math.min(64, data[offset + 12]),
+            finetune: toSigned8(data[offset + 13]),
+            type: data[offset + 14],
+            relativeNote: toSigned8(data[offset + 16]),
+            name: readString(data, offset + 18, 22)
+        });
+        offset += sampleHeaderSize;
+    }
+    
+    headers.forEach((header, s) => {
+        const bits = header.type & 0x10 ? 16 : 8;
+        const bytesPerFrame = bits / 8;
+        let length = header.length;
+        const available = Math.max(0, data.length - offset);
+        if (length > available) {
+            warnings.push(`Instrument ${number}, sample ${s}: sample data cut off (${available} of ${length} bytes)`);
+            length = available;
+        }
+        
+        instrument.samples.push({
+            name: header.name,
+            data: decodeDelta(data, offset, Math.floor(length / bytesPerFrame), bits),
+            bits,
+            loopType: header.type & 0x03,
+            loopStart: Math.floor(header.loopStart / bytesPerFrame),
+            loopLength: Math.floor(header.loopLength / bytesPerFrame),
+            volume: header.volume,
+            finetune: header.finetune,
+            relativeNote: header.relativeNote
+        });
+        offset += header.length;
+    });
+    
+    return offset;
+}
+
+/**
+ * Decode delta-encoded sample data to floats (-1.0 to 1.0)
+ * XM stores each 8- or 16-bit (little-endian) sample as the difference
+ * from the one before
+ * @private
+ */
+function decodeDelta(data, offset, frames, bits) {
+    const output = new Float32Array(frames);
+    let value = 0;
+    if (bits === 16) {
+        for (let i = 0; i < frames; i++) {
+            value = (value + readUint16(data, offset + i * 2)) & 0xFFFF;
+            output[i] = (value > 32767 ? value - 65536 : value) / 32768;
+        }
+    } else {
+        for (let i = 0; i < frames; i++) {
+            value = (value + data[offset + i]) & 0xFF;
+            output[i] = toSigned8(value) / 128;
+        }
+    }
+    return output;
+}
+
+/**
+ * @private
+ */
+function toSigned8(byte) {
+    return byte > 127 ? byte - 256 : byte;
+}
+
+/**
+ * @private
+ */
+function readUint16(data, offset) {
+    return data[offset] | (data[offset + 1] << 8);
+}
+
+/**
+ * @private
+ */
+function readUint32(data, offset) {
+    return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Read a string from data buffer
+ * @private
+ */
+function readString(data, offset, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) {
+        const char = data[offset + i];
+        if (char === 0) break;
+        if (char >= 32 && char <= 126) {
+            str += String.fromCharCode(char);
+        }
+    }
+    return str.trim();
+}
@@ -3,6 +3,9 @@
  * Handles all keyboard input and shortcuts
  */
 
+import { INTERPOLATION_MODES } from '../paulalib/audio-engine.js';
+import { MAX_PATTERNS } from '../paulalib/data.js';
+
 export class InputHandler {
     constructor(tracker) {
         this.tracker = tracker;
@@ -29,13 +32,42 @@ export class InputHandler {
             } else {
                 // If pattern loop mode is on, start from current cursor row
                 // Otherwise start from beginning of current song position
+                // Either way the song is fast-forwarded there so tempo and
+                // effect state match a full playthrough
                 const startRow = state.patternLoop ? this.tracker.currentRow : 0;
-                this.tracker.audio.play(this.tracker.currentSeqPos, startRow);
+                this.tracker.updateSongDuration();
+                this.tracker.audio.playFrom(this.tracker.currentSeqPos, startRow);
             }
             e.preventDefault();
             return;
         }
         
+        // Mixer, on Ctrl+F9/F10 (F12 is the browser's developer tools)
+        // Ctrl+F9 / Ctrl+Shift+F9: master volume down/up
+        else if (e.key === 'F9' && e.ctrlKey) {
+            const step = e.shiftKey ? 0.1 : -0.1;
+            const volume = this.tracker.audio.getState().masterVolume + step;
+            this.tracker.audio.setMasterVolume(Math.round(volume * 10) / 10);
+            e.preventDefault();
+            return;
+        }
+        
+        // Toggle soft limiter
+        else if (e.key === 'F10' && e.ctrlKey && e.shiftKey) {
+            this.tracker.audio.setSoftLimiter(!this.tracker.audio.getState().softLimiter);
+            e.preventDefault();
+            return;
+        }
+        
+        // Cycle stereo separation
+        else if (e.key === 'F10' && e.ctrlKey) {
+            const steps = [0, 20, 40, 60, 80, 100];
+            const current = steps.indexOf(this.tracker.audio.getState().stereoSeparation);
+            this.tracker.audio.setStereoSeparation(steps[(current + 1) % steps.length]);
+            e.preventDefault();
+            return;
+        }
+        
         // Preview instrument
         else if (e.key === 'F9') {
             // Preview selected instrument
@@ -45,21 +77,63 @@ export class InputHandler {
             return;
         }
         
-        // Channel mute toggles (F5-F8 for channels 1-4)
-        else if (e.key === 'F5') {
-            this.tracker.audio.toggleChannelMute(0);
+        // Cycle resampling mode
+        else if (e.key === 'F10' && e.shiftKey) {
+            const modes = INTERPOLATION_MODES;
+            const current = modes.indexOf(this.tracker.audio.getState().interpolation);
+            this.tracker.audio.setInterpolation(modes[(current + 1) % modes.length]);
             e.preventDefault();
             return;
-        } else if (e.key === 'F6') {
-            this.tracker.audio.toggleChannelMute(1);
+        }
+        
+        // Cycle output filter emulation
+        else if (e.key === 'F10') {
+            const models = ['none', 'a500', 'a1200'];
+            const current = models.indexOf(this.tracker.audio.getState().filterModel);
+            this.tracker.audio.setFilterModel(models[(current + 1) % models.length]);
             e.preventDefault();
             return;
-        } else if (e.key === 'F7') {
-            this.tracker.audio.toggleChannelMute(2);
+        }
+        
+        // Toggle CIA/VBlank timing (stored in the song)
+        // F2 is free in browsers, where F11 is fullscreen
+        else if (e.key === 'F2' && e.shiftKey) {
+            const song = this.tracker.song;
+            song.timing = song.timing === 'vblank' ? 'cia' : 'vblank';
+            this.tracker.audio.setTiming(song.timing);
+            this.tracker.updateSongDuration();
             e.preventDefault();
             return;
-        } else if (e.key === 'F8') {
-            this.tracker.audio.toggleChannelMute(3);
+        }
+        
+        // Toggle PAL/NTSC clock (stored in the song)
+        else if (e.key === 'F2') {
+            const song = this.tracker.song;
+            song.clock = song.clock === 'ntsc' ? 'pal' : 'ntsc';
+            this.tracker.audio.setClock(song.clock);
+            this.tracker.updateSongDuration();
+            e.preventDefault();
+            return;
+        }
+        
+        // Channel pan overrides (Shift+F5-F8, visible channels): Amiga side -> left -> center -> right
+        else if (e.shiftKey && ['F5', 'F6', 'F7', 'F8'].includes(e.key)) {
+            const channel = this.tracker.channelScrollOffset + ['F5', 'F6', 'F7', 'F8'].indexOf(e.key);
+            if (channel < this.tracker.song.channelCount) {
+                const pans = [null, -1, 0, 1];
+                const current = pans.indexOf(this.tracker.audio.getState().channelPans[channel]);
+                this.tracker.audio.setChannelPan(channel, pans[(current + 1) % pans.length]);
+            }
+            e.preventDefault();
+            return;
+        }
+        
+        // Channel mute toggles (F5-F8 for the four channels on screen)
+        else if (['F5', 'F6', 'F7', 'F8'].includes(e.key)) {
+            const channel = this.tracker.channelScrollOffset + ['F5', 'F6', 'F7', 'F8'].indexOf(e.key);
+            if (channel < this.tracker.song.channelCount) {
+                this.tracker.audio.toggleChannelMute(channel);
+            }
             e.preventDefault();
             return;
         }
@@ -71,7 +145,7 @@ export class InputHandler {
             return;
         }
         
-        // Load MOD file
+        // Load MOD file or project
         else if (e.ctrlKey && e.key === 'l') {
             this.tracker.fileInput.click();
             e.preventDefault();
@@ -106,6 +180,14 @@ export class InputHandler {
             return;
         }
         
+        // Save project
+        else if (e.ctrlKey && e.shiftKey && e.key === 'S') {
+            // Ctrl+Shift+S: Save project (song plus editor-only data)
+            this.tracker.saveProject();
+            e.preventDefault();
+            return;
+        }
+        
         // Save MOD file
         else if (e.ctrlKey && e.key === 's') {
             // Ctrl+S: Save MOD file
@@ -114,6 +196,32 @@ export class InputHandler {
             return;
         }
         
+        // Export song as WAV
+        else if (e.ctrlKey && e.shiftKey && e.key === 'E') {
+            // Ctrl+Shift+E: Render one WAV per channel plus the mix
+            this.tracker.exportStems();
+            e.preventDefault();
+            return;
+        } else if (e.ctrlKey && e.key === 'e') {
+            // Ctrl+E: Render song to WAV file
+            this.tracker.exportWavFile();
+            e.preventDefault();
+            return;
+        }
+        
+        // Export song as MIDI
+        else if (e.ctrlKey && e.shiftKey && e.key === 'M') {
+            // Ctrl+Shift+M: Choose the MIDI program for the current instrument
+            this.tracker.setMidiProgram();
+            e.preventDefault();
+            return;
+        } else if (e.ctrlKey && e.key === 'm') {
+            // Ctrl+M: Export song as a MIDI file
+            this.tracker.exportMidiFile();
+            e.preventDefault();
+            return;
+        }
+        
         // Duplicate pattern
         else if (e.ctrlKey && e.key === 'd') {
             // Ctrl+D: Duplicate current pattern
@@ -124,7 +232,7 @@ export class InputHandler {
         
         // Pattern editing operations
         else if (e.key === 'Insert' && e.shiftKey && !e.altKey) {
-            // Shift+Insert: Load WAV sample for selected instrument
+            // Shift+Insert: Load WAV or 8SVX sample for selected instrument
             const instrNum = this.tracker.noteEntry.getInstrument();
             this.tracker.instrumentManager.loadSample(instrNum);
             e.preventDefault();
@@ -210,8 +318,9 @@ export class InputHandler {
             e.preventDefault();
             return;
         } else if (e.key === 'F4') {
-            if (this.tracker.currentPattern < 63) {
+            if (this.tracker.currentPattern < MAX_PATTERNS - 1) {
                 this.tracker.currentPattern++;
+                this.tracker.song.ensurePattern(this.tracker.currentPattern);
             }
             e.preventDefault();
             return;
@@ -309,32 +418,36 @@ export class InputHandler {
                     this.tracker.currentColumn = 3;
                 }
             }
+            this.tracker.updateChannelScroll();
             e.preventDefault();
             return;
         } else if (e.key === 'ArrowRight') {
             // Reset hex entry state when navigating
             this.tracker.hexEntryState = 0;
+            const lastChannel = this.tracker.song.channelCount - 1;
             
             if (e.altKey) {
                 // Alt+Right: Increase pattern number at current sequencer position
                 const currentPattern = this.tracker.song.patternOrder[this.tracker.currentSeqPos];
-                if (currentPattern < 63) {
+                if (currentPattern < MAX_PATTERNS - 1) {
+                    this.tracker.song.ensurePattern(currentPattern + 1);
                     this.tracker.song.patternOrder[this.tracker.currentSeqPos] = currentPattern + 1;
                     this.tracker.currentPattern = currentPattern + 1;
                 }
             } else if (e.ctrlKey) {
                 // Ctrl+Right: Next channel
-                if (this.tracker.currentChannel < 3) {
+                if (this.tracker.currentChannel < lastChannel) {
                     this.tracker.currentChannel++;
                 }
             } else {
                 // Right: Next column
                 this.tracker.currentColumn++;
                 if (this.tracker.currentColumn > 3) {
-                    this.tracker.currentChannel = Math.min(3, this.tracker.currentChannel + 1);
+                    this.tracker.currentChannel = Math.min(lastChannel, this.tracker.currentChannel + 1);
                     this.tracker.currentColumn = 0;
                 }
             }
+            this.tracker.updateChannelScroll();
             e.preventDefault();
             return;
         } else if (e.key === 'Tab') {
@@ -361,9 +474,9 @@ export class InputHandler {
         
         // Home/End
         else if (e.key === 'Home' && e.shiftKey) {
-            // Shift+Home: Save selected instrument as WAV
+            // Shift+Home: Save selected instrument as WAV (Ctrl+Shift+Home: as 8SVX)
             const instrNum = this.tracker.noteEntry.getInstrument();
-            this.tracker.instrumentManager.exportInstrument(instrNum);
+            this.tracker.instrumentManager.exportInstrument(instrNum, e.ctrlKey ? '8svx' : 'wav');
             e.preventDefault();
             return;
         } else if (e.key === 'Home') {
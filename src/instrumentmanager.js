@@ -10,18 +10,19 @@ export class InstrumentManager {
     }
     
     /**
-     * Load sample file for instrument
+     * Load sample file (WAV or IFF 8SVX) for instrument
      */
     async loadSample(instrumentNumber) {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.wav,.WAV';
+        input.accept = '.wav,.WAV,.8svx,.8SVX,.iff,.IFF';
         
         input.onchange = async (e) => {
             const file = e.target.files[0];
             if (file) {
                 try {
-                    const instrument = await this.sampleLoader.loadWAV(file);
+                    const is8SVX = /\.(8svx|iff)$/i.test(file.name);
+                    const instrument = is8SVX ? await this.sampleLoader.load8SVX(file) : await this.sampleLoader.loadWAV(file);
                     
                     // Replace the instrument
                     this.tracker.song.instruments[instrumentNumber] = instrument;
@@ -39,9 +40,11 @@ export class InstrumentManager {
     }
     
     /**
-     * Export instrument as WAV file
+     * Export instrument as WAV (or IFF 8SVX) file
+     * @param {number} instrumentNumber - Instrument to export
+     * @param {string} format - 'wav' or '8svx'
      */
-    exportInstrument(instrumentNumber) {
+    exportInstrument(instrumentNumber, format = 'wav') {
         const instrument = this.tracker.song.instruments[instrumentNumber];
         
         if (instrument.isEmpty()) {
@@ -56,9 +59,12 @@ export class InstrumentManager {
         
         // Remove invalid filename characters
         filename = filename.replace(/[^a-zA-Z0-9_\-]/g, '_');
-        filename = `${filename}.wav`;
         
-        this.sampleLoader.exportWAV(instrument, filename);
+        if (format === '8svx') {
+            this.sampleLoader.export8SVX(instrument, `${filename}.8svx`);
+        } else {
+            this.sampleLoader.exportWAV(instrument, `${filename}.wav`);
+        }
     }
     
     /**
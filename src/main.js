@@ -5,13 +5,15 @@
  */
 
 // PaulaLib - platform-independent core
-import { Song, Note } from '../paulalib/data.js';
+import { Song, Note, MAX_PATTERNS } from '../paulalib/data.js';
 import { Clipboard } from '../paulalib/clipboard.js';
 import { PERIOD_TABLE, NOTE_NAMES } from '../paulalib/audio-engine.js';
+import { getSongDuration } from '../paulalib/songrender.js';
+import { VOICE_ALLOCATIONS } from '../paulalib/midifile.js';
 
 // Platform adapters - browser-specific
 import { WebAudioAdapter } from './platform/audio-web.js';
-import { loadFromFile, saveToFile } from './platform/file-browser.js';
+import { loadFromFile, saveToFile, saveProjectFile, exportWAVFile, exportStemFiles, exportMIDIFile, PROJECT_EXTENSION } from './platform/file-browser.js';
 import { BrowserSampleLoader } from './platform/sample-loader-browser.js';
 
 // UI components
@@ -52,16 +54,21 @@ class PaulaTracker {
         this.currentChannel = 0;
         this.currentColumn = 0; // 0=note, 1=inst, 2=effect, 3=param
         this.scrollOffset = 0;
+        this.channelScrollOffset = 0; // First channel shown (songs with more than 4 channels)
         this.currentSeqPos = 0; // Current position in song sequence
         this.sequencerScrollOffset = 0; // Scroll offset for song sequencer
         this.instrumentScrollOffset = 0; // Scroll offset for instrument list
         this.showHelp = false; // F1 help screen
         this.hexEntryState = 0; // 0=first digit, 1=second digit for multi-digit entry
+        this.songDuration = null; // {duration, loopStart, ...} from getSongDuration
+        this.message = null; // {text, color, until} shown in the title bar (see showMessage)
+        this.midiPrograms = []; // General MIDI program per instrument for MIDI export
         
         // UI layout - ProTracker style with right panel
         this.patternViewY = 60;
         this.patternViewWidth = 450;  // More room for pattern editor
         this.visibleRows = 18;
+        this.visibleChannels = 4;
         
         // Right panel layout
         this.rightPanelX = 460;
@@ -74,6 +81,7 @@ class PaulaTracker {
         this.setupFileInput();
         this.generateTestSineInstrument();
         this.generateTestPattern();
+        this.updateSongDuration();
         
         // Start render loop
         this.startRenderLoop();
@@ -102,12 +110,12 @@ class PaulaTracker {
     }
     
     /**
-     * Setup file input for loading MOD files
+     * Setup file input for loading MOD (and XM, S3M, IT and MIDI) files and projects
      */
     setupFileInput() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.mod,.MOD';
+        input.accept = `.mod,.MOD,.xm,.XM,.s3m,.S3M,.it,.IT,.mid,.MID,.midi,${PROJECT_EXTENSION}`;
         input.style.display = 'none';
         document.body.appendChild(input);
         
@@ -116,16 +124,36 @@ class PaulaTracker {
             if (file) {
                 try {
                     // Use platform adapter for file loading
-                    this.song = await loadFromFile(file);
+                    const { song, warnings, editor, programs } = await loadFromFile(file, {
+                        chooseChannels: channels => this.chooseChannels(channels),
+                        convert: /\.midi?$/i.test(file.name) ? this.chooseMidiImport() : {}
+                    });
+                    this.song = song;
                     this.audio.setSong(this.song);
                     // Set current pattern to the first pattern in the pattern order
                     this.currentPattern = this.song.patternOrder[0] || 0;
                     this.currentRow = 0;
                     this.scrollOffset = 0;
+                    this.currentChannel = Math.min(this.currentChannel, this.song.channelCount - 1);
+                    this.updateChannelScroll();
                     this.audio.stop();
+                    this.midiPrograms = programs || [];
+                    if (editor) {
+                        this.applyEditorState(editor);
+                    }
+                    this.updateSongDuration();
+                    
+                    // Report anything the loader had to repair
+                    if (warnings.length > 0) {
+                        warnings.forEach(warning => console.warn(`${file.name}: ${warning}`));
+                        const more = warnings.length > 1 ? ` (+${warnings.length - 1} more, see console)` : '';
+                        this.showMessage(warnings[0] + more, 'yellow');
+                    } else {
+                        this.showMessage(`Loaded ${file.name}`, 'green');
+                    }
                 } catch (err) {
-                    console.error('Failed to load MOD file:', err);
-                    alert('Error loading MOD file: ' + err.message);
+                    console.error(`Failed to load ${file.name}:`, err);
+                    this.showMessage(`Can't load ${file.name}: ${err.message}`, 'red');
                 }
             }
         });
@@ -133,6 +161,60 @@ class PaulaTracker {
         this.fileInput = input;
     }
     
+    /**
+     * Ask which channels of a converted module to keep
+     * @param {Object[]} channels - {channel, notes, used, kept} for every
+     *   channel of the module
+     * @returns {number[]|null} Channels (0-based) to keep, or null for the
+     *   automatic choice
+     */
+    chooseChannels(channels) {
+        const used = channels.filter(channel => channel.used);
+        const kept = channels.filter(channel => channel.kept).map(channel => channel.channel + 1);
+        const list = used.map(channel => `${channel.channel + 1} (${channel.notes} notes)`).join(', ');
+        const answer = prompt(`This module plays ${used.length} channels: ${list}.\nChannels to keep:`, kept.join(' '));
+        const picked = (answer || '').split(/[\s,]+/).map(Number).filter(n => Number.isInteger(n) && n >= 1);
+        return picked.length > 0 ? picked.map(n => n - 1) : null;
+    }
+    
+    /**
+     * Ask how finely to quantize a MIDI file being imported, and how its
+     * chords are shared out over voices
+     * @returns {Object} loadMIDI options
+     */
+    chooseMidiImport() {
+        const options = {};
+        const rows = Number(prompt('Rows per quarter note (4 = sixteenth notes):', '4'));
+        if (Number.isInteger(rows) && rows >= 1 && rows <= 96) {
+            options.rowsPerQuarter = rows;
+        }
+        
+        // See loadMIDI for what each allocation does
+        const answer = prompt(`Voice allocation for chords (${VOICE_ALLOCATIONS.join(', ')}):`, VOICE_ALLOCATIONS[0]);
+        const allocation = (answer || '').trim().toLowerCase();
+        if (VOICE_ALLOCATIONS.includes(allocation)) {
+            options.allocation = allocation;
+        }
+        return options;
+    }
+    
+    /**
+     * Show a message in the title bar for a few seconds
+     * @param {string} text - Message
+     * @param {string} color - UI color name
+     */
+    showMessage(text, color = 'text') {
+        this.message = { text, color, until: performance.now() + 6000 };
+    }
+    
+    /**
+     * Recalculate song length and loop point for the status bar
+     * Called on load and whenever playback starts, so edits are picked up
+     */
+    updateSongDuration() {
+        this.songDuration = getSongDuration(this.song);
+    }
+    
     /**
      * Load MOD file
      */
@@ -140,13 +222,184 @@ class PaulaTracker {
         this.fileInput.click();
     }
     
+    /**
+     * File name for saving the song: its title, with characters that aren't
+     * safe in file names replaced
+     * @param {string} extension - Added to the end (e.g. '.mod')
+     * @returns {string}
+     */
+    songFilename(extension = '') {
+        return (this.song.title || 'untitled').trim().replace(/[^a-zA-Z0-9_-]/g, '_') + extension;
+    }
+    
     /**
      * Save MOD file
      */
     async saveModFile() {
-        const filename = (this.song.title || 'untitled').trim().replace(/[^a-zA-Z0-9_-]/g, '_') + '.mod';
-        // Use platform adapter for file saving
-        await saveToFile(this.song, filename);
+        const filename = this.songFilename('.mod');
+        try {
+            // Use platform adapter for file saving
+            const warnings = await saveToFile(this.song, filename);
+            warnings.forEach(warning => console.warn(`${filename}: ${warning}`));
+            if (warnings.length > 0) {
+                this.showMessage(warnings[0], 'yellow');
+            }
+        } catch (err) {
+            this.showSaveError(filename, err);
+        }
+    }
+    
+    /**
+     * Report a save or export that failed
+     * @param {string} filename - File being written
+     * @param {Error} err - What went wrong
+     */
+    showSaveError(filename, err) {
+        console.error(`Failed to save ${filename}:`, err);
+        this.showMessage(`Can't save ${filename}: ${err.message}`, 'red');
+    }
+    
+    /**
+     * Save the song as a project, with the cursor and editor settings
+     */
+    async saveProject() {
+        const filename = this.songFilename(PROJECT_EXTENSION);
+        try {
+            await saveProjectFile(this.song, this.getEditorState(), filename);
+        } catch (err) {
+            this.showSaveError(filename, err);
+        }
+    }
+    
+    /**
+     * Editor state saved in projects
+     * @returns {Object} {cursor, octave, instrument, midiPrograms, sound}
+     */
+    getEditorState() {
+        const state = this.audio.getState();
+        return {
+            cursor: {
+                pattern: this.currentPattern,
+                row: this.currentRow,
+                channel: this.currentChannel,
+                column: this.currentColumn,
+                position: this.currentSeqPos
+            },
+            octave: this.noteEntry.currentOctave,
+            instrument: this.noteEntry.currentInstrument,
+            midiPrograms: this.midiPrograms,
+            sound: {
+                interpolation: state.interpolation,
+                filterModel: state.filterModel,
+                stereoSeparation: state.stereoSeparation,
+                channelPans: state.channelPans,
+                masterVolume: state.masterVolume,
+                softLimiter: state.softLimiter
+            }
+        };
+    }
+    
+    /**
+     * Restore editor state from a project (see getEditorState)
+     * Anything missing keeps its current value
+     * @param {Object} editor - Saved editor state
+     */
+    applyEditorState(editor) {
+        const cursor = editor.cursor || {};
+        if (cursor.pattern < this.song.patterns.length) this.currentPattern = cursor.pattern;
+        if (cursor.row < 64) this.currentRow = cursor.row;
+        if (cursor.channel < this.song.channelCount) this.currentChannel = cursor.channel;
+        if (cursor.column <= 3) this.currentColumn = cursor.column;
+        if (cursor.position < this.song.songLength) this.currentSeqPos = cursor.position;
+        if (editor.octave) this.noteEntry.setOctave(editor.octave);
+        if (editor.instrument) this.noteEntry.setInstrument(editor.instrument);
+        if (editor.midiPrograms) this.midiPrograms = editor.midiPrograms;
+        
+        const sound = editor.sound || {};
+        if (sound.interpolation) this.audio.setInterpolation(sound.interpolation);
+        if (sound.filterModel) this.audio.setFilterModel(sound.filterModel);
+        if (sound.stereoSeparation !== undefined) this.audio.setStereoSeparation(sound.stereoSeparation);
+        (sound.channelPans || []).forEach((pan, channel) => this.audio.setChannelPan(channel, pan));
+        if (sound.masterVolume !== undefined) this.audio.setMasterVolume(sound.masterVolume);
+        if (sound.softLimiter !== undefined) this.audio.setSoftLimiter(sound.softLimiter);
+        
+        this.updateScroll();
+        this.updateChannelScroll();
+        this.updateSequencerScroll();
+        this.updateInstrumentScroll();
+    }
+    
+    /**
+     * Render the song and export it as a stereo WAV file
+     */
+    async exportWavFile() {
+        const filename = this.songFilename('.wav');
+        const state = this.audio.getState();
+        
+        // Render with the same sound settings the tracker is using
+        try {
+            await exportWAVFile(this.song, filename, {
+                interpolation: state.interpolation,
+                filterModel: state.filterModel,
+                stereoSeparation: state.stereoSeparation,
+                channelPans: state.channelPans,
+                masterVolume: state.masterVolume,
+                softLimiter: state.softLimiter,
+                fadeOut: 2
+            });
+        } catch (err) {
+            this.showSaveError(filename, err);
+        }
+    }
+    
+    /**
+     * Export the song as a MIDI file, with the instrument program table
+     */
+    async exportMidiFile() {
+        const filename = this.songFilename('.mid');
+        try {
+            await exportMIDIFile(this.song, filename, { programs: this.midiPrograms });
+        } catch (err) {
+            this.showSaveError(filename, err);
+        }
+    }
+    
+    /**
+     * Ask for the General MIDI program (1-128) the current instrument
+     * plays in MIDI exports
+     */
+    setMidiProgram() {
+        const instrument = this.noteEntry.currentInstrument;
+        const current = (this.midiPrograms[instrument] || 0) + 1;
+        const answer = prompt(`MIDI program (1-128) for instrument ${instrument}:`, current);
+        const program = Number(answer);
+        if (answer !== null && Number.isInteger(program) && program >= 1 && program <= 128) {
+            this.midiPrograms[instrument] = program - 1;
+            this.showMessage(`Instrument ${instrument} plays MIDI program ${program}`, 'green');
+        }
+    }
+    
+    /**
+     * Render each channel to its own WAV file (plus the master mix)
+     * Channels muted in the tracker are left out
+     */
+    async exportStems() {
+        const basename = this.songFilename();
+        const state = this.audio.getState();
+        
+        try {
+            await exportStemFiles(this.song, basename, {
+                interpolation: state.interpolation,
+                filterModel: state.filterModel,
+                stereoSeparation: state.stereoSeparation,
+                channelPans: state.channelPans,
+                masterVolume: state.masterVolume,
+                softLimiter: state.softLimiter,
+                mutedChannels: state.mutedChannels
+            });
+        } catch (err) {
+            this.showSaveError(`${basename} stems`, err);
+        }
     }
     
     /**
@@ -156,13 +409,14 @@ class PaulaTracker {
         // Find the next empty pattern slot (or use the next sequential number)
         let targetPattern = this.currentPattern + 1;
         
-        // MOD format supports up to 64 patterns (0-63)
-        if (targetPattern >= 64) {
+        // MOD format supports up to 128 patterns (0-127, M!K! past 64)
+        if (targetPattern >= MAX_PATTERNS) {
             return; // Can't duplicate, already at max
         }
         
         // Clone the current pattern
         const sourcePattern = this.song.patterns[this.currentPattern];
+        this.song.ensurePattern(targetPattern);
         this.song.patterns[targetPattern] = sourcePattern.clone();
         
         // Switch to the new pattern
@@ -225,6 +479,19 @@ class PaulaTracker {
             this.currentRow - halfVisible));
     }
     
+    /**
+     * Scroll the pattern editor sideways to keep the current channel visible
+     */
+    updateChannelScroll() {
+        const maxOffset = Math.max(0, this.song.channelCount - this.visibleChannels);
+        if (this.currentChannel < this.channelScrollOffset) {
+            this.channelScrollOffset = this.currentChannel;
+        } else if (this.currentChannel >= this.channelScrollOffset + this.visibleChannels) {
+            this.channelScrollOffset = this.currentChannel - this.visibleChannels + 1;
+        }
+        this.channelScrollOffset = Math.min(this.channelScrollOffset, maxOffset);
+    }
+    
     /**
      * Update sequencer scroll to keep current position visible
      */
@@ -75,6 +75,30 @@ export class WebAudioAdapter {
         this.engine.play(position, startRow);
     }
     
+    /**
+     * Start playback from a position/row, with tempo, volumes and effect
+     * state as if the song had played up to there
+     */
+    playFrom(position, row = 0) {
+        this.resume();
+        this.engine.play(position, row);
+        this.engine.seek(position, row);
+    }
+    
+    /**
+     * Jump to a position/row without changing play/stop state
+     */
+    seek(position, row = 0) {
+        return this.engine.seek(position, row);
+    }
+    
+    /**
+     * Jump to a time in seconds without changing play/stop state
+     */
+    seekTime(seconds) {
+        this.engine.seekTime(seconds);
+    }
+    
     /**
      * Stop playback
      */
@@ -117,6 +141,62 @@ export class WebAudioAdapter {
         return this.engine.togglePatternLoop();
     }
     
+    /**
+     * Select Amiga output filter model ('none', 'a500' or 'a1200')
+     */
+    setFilterModel(model) {
+        this.engine.setFilterModel(model);
+    }
+    
+    /**
+     * Select resampling mode ('none', 'linear' or 'blep')
+     */
+    setInterpolation(mode) {
+        this.engine.setInterpolation(mode);
+    }
+    
+    /**
+     * Select Amiga clock ('pal' or 'ntsc')
+     */
+    setClock(clock) {
+        this.engine.setClock(clock);
+    }
+    
+    /**
+     * Select tick timing ('cia' or 'vblank')
+     */
+    setTiming(mode) {
+        this.engine.setTiming(mode);
+    }
+    
+    /**
+     * Set stereo separation (0 = mono, 100 = hard Amiga panning)
+     */
+    setStereoSeparation(percent) {
+        this.engine.setStereoSeparation(percent);
+    }
+    
+    /**
+     * Override a channel's pan (-1 to 1, or null for the Amiga default)
+     */
+    setChannelPan(channel, pan) {
+        this.engine.setChannelPan(channel, pan);
+    }
+    
+    /**
+     * Set master volume (0-1)
+     */
+    setMasterVolume(volume) {
+        this.engine.setMasterVolume(volume);
+    }
+    
+    /**
+     * Use the soft limiter instead of hard clipping
+     */
+    setSoftLimiter(enabled) {
+        this.engine.setSoftLimiter(enabled);
+    }
+    
     /**
      * Cleanup
      */
@@ -1,9 +1,15 @@
 /**
  * Browser File I/O Adapter
- * Handles loading and saving MOD files using browser APIs
+ * Handles loading and saving MOD files (and projects) using browser APIs
  */
 
-import { loadMOD, saveMOD } from '../../paulalib/modloader.js';
+import { serializeProject, deserializeProject } from '../../paulalib/data.js';
+import { loadMOD, readMOD, writeMOD } from '../../paulalib/modloader.js';
+import { loadXM } from '../../paulalib/xmloader.js';
+import { loadS3M } from '../../paulalib/s3mloader.js';
+import { loadIT } from '../../paulalib/itloader.js';
+import { saveMIDI, loadMIDI } from '../../paulalib/midifile.js';
+import { renderSong, renderSongStems } from '../../paulalib/songrender.js';
 
 /**
  * Load MOD file from URL (fetch)
@@ -16,18 +22,59 @@ export async function loadFromURL(url) {
     return loadMOD(arrayBuffer);
 }
 
+// Loaders for formats that are converted to MOD, by file extension
+const CONVERTERS = [
+    [/\.xm$/i, loadXM],
+    [/\.s3m$/i, loadS3M],
+    [/\.it$/i, loadIT],
+    [/\.midi?$/i, loadMIDI]
+];
+
+// Project file extension (see serializeProject)
+export const PROJECT_EXTENSION = '.ptp';
+
 /**
- * Load MOD file from user file input
+ * Load MOD (or XM/S3M/IT/MIDI, converted to MOD) file or project from user file input
  * @param {File} file - File object from input element
- * @returns {Promise<Song>}
+ * @param {Object} options - Load options
+ * @param {Object} options.convert - Options for the converting loader (e.g.
+ *   rowsPerQuarter and allocation for loadMIDI)
+ * @param {Function} options.chooseChannels - Called with the channel list
+ *   (see downgradeModule) when a converted module plays more channels than
+ *   the song keeps; returns the channels (0-based) to keep, or null to keep
+ *   the automatic choice
+ * @returns {Promise<Object>} {song, warnings, editor, programs} - see
+ *   readMOD, loadXM, loadS3M, loadIT and loadMIDI; editor is the editor
+ *   state saved in a project (see deserializeProject). Rejects if the file
+ *   can't be loaded
  */
-export function loadFromFile(file) {
+export function loadFromFile(file, options = {}) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                const song = loadMOD(e.target.result);
-                resolve(song);
+                if (file.name.toLowerCase().endsWith(PROJECT_EXTENSION)) {
+                    const { song, editor } = deserializeProject(new TextDecoder().decode(e.target.result));
+                    resolve({ song, warnings: [], editor });
+                    return;
+                }
+                
+                const converter = CONVERTERS.find(([pattern]) => pattern.test(file.name));
+                if (!converter) {
+                    resolve(readMOD(e.target.result));
+                    return;
+                }
+                
+                const load = converter[1];
+                let result = load(e.target.result, options.convert);
+                const usedChannels = result.channels.filter(channel => channel.used).length;
+                if (options.chooseChannels && usedChannels > result.song.channelCount) {
+                    const channels = options.chooseChannels(result.channels);
+                    if (channels) {
+                        result = load(e.target.result, { ...options.convert, channels });
+                    }
+                }
+                resolve(result);
             } catch (err) {
                 reject(err);
             }
@@ -39,53 +86,173 @@ export function loadFromFile(file) {
 
 /**
  * Save MOD file to user's computer
+ * The song title is taken from the name it's saved as
  * @param {Song} song - Song to save
  * @param {string} filename - Suggested filename
+ * @returns {Promise<string[]>} What the file couldn't keep (see writeMOD)
  */
 export async function saveToFile(song, filename = 'song.mod') {
-    const data = saveMOD(song);
+    let warnings = [];
+    await saveFile(name => {
+        song.title = name.replace(/\.mod$/i, '').substring(0, 20);
+        const result = writeMOD(song);
+        warnings = result.warnings;
+        return result.data;
+    }, filename, {
+        label: 'File',
+        description: 'ProTracker MOD File',
+        type: 'application/octet-stream',
+        extension: '.mod'
+    });
+    return warnings;
+}
+
+/**
+ * Save a project (song plus editor-only data) to user's computer
+ * @param {Song} song - Song to save
+ * @param {Object} editor - Editor state to keep with it (see serializeProject)
+ * @param {string} filename - Suggested filename
+ */
+export async function saveProjectFile(song, editor, filename = `song${PROJECT_EXTENSION}`) {
+    const data = new TextEncoder().encode(serializeProject(song, editor));
+    await saveFile(() => data, filename, {
+        label: 'Project',
+        description: 'Paula Tracker Project',
+        type: 'application/json',
+        extension: PROJECT_EXTENSION
+    });
+}
+
+/**
+ * Render the whole song and save it as a stereo WAV file
+ * The song is rendered once the save dialog has closed: the browser only
+ * opens it right after a key press, and a long render would take too long
+ * @param {Song} song - Song to render
+ * @param {string} filename - Suggested filename
+ * @param {Object} options - renderSong options (sampleRate, bitDepth, loops, fadeOut, ...)
+ */
+export async function exportWAVFile(song, filename = 'song.wav', options = {}) {
+    await saveFile(() => renderSong(song, options), filename, {
+        label: 'WAV',
+        description: 'WAV Audio File',
+        type: 'audio/wav',
+        extension: '.wav'
+    });
+}
+
+/**
+ * Save the song as a Standard MIDI File
+ * @param {Song} song - Song to export
+ * @param {string} filename - Suggested filename
+ * @param {Object} options - saveMIDI options (programs, baseNote)
+ */
+export async function exportMIDIFile(song, filename = 'song.mid', options = {}) {
+    const data = saveMIDI(song, options);
+    await saveFile(() => data, filename, {
+        label: 'MIDI',
+        description: 'Standard MIDI File',
+        type: 'audio/midi',
+        extension: '.mid'
+    });
+}
+
+/**
+ * Render each channel plus the master mix and save them as a set of WAV files
+ * Writes into a user-chosen folder when the browser supports it, otherwise
+ * downloads the files one by one. The folder is picked before rendering,
+ * while the browser still allows the dialog after the key press
+ * @param {Song} song - Song to render
+ * @param {string} basename - Filename prefix (e.g. song title)
+ * @param {Object} options - renderSongStems options (mutedChannels, stemPanning, ...)
+ * @returns {Promise<void>} Rejects if the files can't be saved (not if the
+ *   user cancels the dialog)
+ */
+export async function exportStemFiles(song, basename = 'song', options = {}) {
+    let directory = null;
+    if ('showDirectoryPicker' in window) {
+        try {
+            directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                throw err;
+            }
+            return;
+        }
+    }
+    
+    const { mix, channels } = renderSongStems(song, options);
+    const files = [{ name: `${basename}_mix.wav`, data: mix }];
+    channels.forEach((data, ch) => {
+        if (data) {
+            files.push({ name: `${basename}_ch${ch + 1}.wav`, data });
+        }
+    });
+    
+    if (directory) {
+        for (const file of files) {
+            const handle = await directory.getFileHandle(file.name, { create: true });
+            const writable = await handle.createWritable();
+            await writable.write(file.data);
+            await writable.close();
+        }
+        console.log('Stems exported:', files.map(f => f.name).join(', '));
+        return;
+    }
     
+    // Fallback: one download per file
+    for (const file of files) {
+        downloadFile(file.data, file.name, 'audio/wav');
+    }
+}
+
+/**
+ * Save file data where the user picks in a save dialog, or as a download
+ * where the browser has no File System Access API
+ * @private
+ * @param {Function} getData - Called with the chosen file name, returns the
+ *   data to write
+ * @param {string} filename - Suggested filename
+ * @param {Object} format - {label, description, type, extension}: label
+ *   names the file in console messages, type is its MIME type
+ * @returns {Promise<void>} Rejects if the file can't be saved (not if the
+ *   user cancels the dialog)
+ */
+async function saveFile(getData, filename, format) {
     // Try modern File System Access API first
     if ('showSaveFilePicker' in window) {
         try {
-            const options = {
+            const handle = await window.showSaveFilePicker({
                 suggestedName: filename,
                 types: [{
-                    description: 'ProTracker MOD File',
-                    accept: { 'application/octet-stream': ['.mod'] }
+                    description: format.description,
+                    accept: { [format.type]: [format.extension] }
                 }]
-            };
-            
-            const handle = await window.showSaveFilePicker(options);
-            
-            // Update song title from chosen filename
-            const savedFilename = handle.name;
-            const titleWithoutExt = savedFilename.replace(/\.mod$/i, '');
-            song.title = titleWithoutExt.substring(0, 20);
-            
-            // Re-save with updated title
-            const updatedData = saveMOD(song);
+            });
             
             const writable = await handle.createWritable();
-            await writable.write(updatedData);
+            await writable.write(getData(handle.name));
             await writable.close();
             
-            console.log('File saved:', savedFilename);
+            console.log(`${format.label} saved:`, handle.name);
             return;
         } catch (err) {
             if (err.name !== 'AbortError') {
-                console.error('Save failed:', err);
+                throw err;
             }
             return;
         }
     }
     
     // Fallback: automatic download
-    const titleWithoutExt = filename.replace(/\.mod$/i, '');
-    song.title = titleWithoutExt.substring(0, 20);
-    const updatedData = saveMOD(song);
-    
-    const blob = new Blob([updatedData], { type: 'application/octet-stream' });
+    downloadFile(getData(filename), filename, format.type);
+}
+
+/**
+ * Trigger a browser download for in-memory file data
+ * @private
+ */
+function downloadFile(data, filename, type) {
+    const blob = new Blob([data], { type });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
@@ -97,23 +264,23 @@ export async function saveToFile(song, filename = 'song.mod') {
 }
 
 /**
- * Create file input element for loading MOD files
- * @param {Function} onLoad - Callback with loaded Song
+ * Create file input element for loading modules (MOD, XM, S3M, IT, MIDI) and projects
+ * @param {Function} onLoad - Callback with loaded Song, file name and load warnings
  */
 export function createFileInput(onLoad) {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.mod';
+    input.accept = `.mod,.xm,.s3m,.it,.mid,.midi,${PROJECT_EXTENSION}`;
     input.style.display = 'none';
     
     input.addEventListener('change', async (e) => {
         const file = e.target.files[0];
         if (file) {
             try {
-                const song = await loadFromFile(file);
-                onLoad(song, file.name);
+                const { song, warnings } = await loadFromFile(file);
+                onLoad(song, file.name, warnings);
             } catch (err) {
-                console.error('Failed to load MOD:', err);
+                console.error(`Failed to load ${file.name}:`, err);
             }
         }
     });
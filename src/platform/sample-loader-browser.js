@@ -3,7 +3,7 @@
  * Handles loading audio samples using Web Audio API
  */
 
-import { decodeWAV, audioToInstrument } from '../../paulalib/sampleutils.js';
+import { decodeWAV, decode8SVX, encode8SVX, audioToInstrument } from '../../paulalib/sampleutils.js';
 
 export class BrowserSampleLoader {
     constructor() {
@@ -21,6 +21,21 @@ export class BrowserSampleLoader {
         return audioToInstrument(sampleData, sampleRate, name);
     }
     
+    /**
+     * Load IFF 8SVX file from File object, with its loop and volume
+     * @param {File} file - 8SVX file
+     * @returns {Promise<Instrument>}
+     */
+    async load8SVX(file) {
+        const arrayBuffer = await file.arrayBuffer();
+        const { sampleData, sampleRate, name, repeatStart, repeatLength, volume } = decode8SVX(arrayBuffer, file.name);
+        const instrument = audioToInstrument(sampleData, sampleRate, name);
+        instrument.repeatStart = repeatStart;
+        instrument.repeatLength = repeatLength;
+        instrument.volume = volume;
+        return instrument;
+    }
+    
     /**
      * Load any audio file using Web Audio API
      * @param {File} file - Audio file (MP3, OGG, WAV, etc.)
@@ -74,6 +89,43 @@ export class BrowserSampleLoader {
         URL.revokeObjectURL(url);
     }
     
+    /**
+     * Export instrument as IFF 8SVX file, with its loop and volume
+     * @param {Instrument} instrument - Instrument to export
+     * @param {string} filename - Output filename
+     */
+    export8SVX(instrument, filename = 'instrument.8svx') {
+        if (instrument.isEmpty()) {
+            console.error('Cannot export empty instrument');
+            return;
+        }
+        
+        let data;
+        try {
+            data = encode8SVX(instrument.sampleData.subarray(0, instrument.length), {
+                sampleRate: instrument.sampleRate || 8363,
+                name: instrument.name,
+                repeatStart: instrument.repeatStart,
+                repeatLength: instrument.repeatLength,
+                volume: instrument.volume
+            });
+        } catch (err) {
+            console.error('Cannot export 8SVX:', err.message);
+            return;
+        }
+        
+        const blob = new Blob([data], { type: 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
     /**
      * Create file input for loading samples
      * @param {Function} onLoad - Callback with loaded Instrument
@@ -15,6 +15,13 @@ export class Renderer {
      */
     drawTitle() {
         this.ui.panel(0, 0, 640, 30);
+        
+        // Messages (load warnings and errors) replace the title for a while
+        const message = this.tracker.message;
+        if (message && performance.now() < message.until) {
+            this.ui.text(message.text.substring(0, 78), 8, 8, message.color);
+            return;
+        }
         this.ui.text('*** PAULA TRACKER ***', 240, 8, 'yellow');
     }
     
@@ -25,6 +32,7 @@ export class Renderer {
         const y = 35;
         
         if (this.ui.button(10, y, 60, 20, 'PLAY')) {
+            this.tracker.updateSongDuration();
             this.tracker.audio.play(0);
         }
         if (this.ui.button(75, y, 60, 20, 'STOP')) {
@@ -71,13 +79,31 @@ export class Renderer {
         // Get mute state
         const playState = this.tracker.audio.getState();
         
-        for (let ch = 0; ch < 4; ch++) {
-            const cx = colX + ch * channelWidth;
+        // Channels on screen - the view scrolls sideways for songs with more than 4
+        const channelCount = this.tracker.song.channelCount;
+        const firstChannel = this.tracker.channelScrollOffset;
+        const endChannel = Math.min(channelCount, firstChannel + this.tracker.visibleChannels);
+        if (firstChannel > 0) {
+            this.ui.text('<', x + 10, headerY, 'cyan');
+        }
+        if (endChannel < channelCount) {
+            this.ui.text('>', x + width - 18, headerY, 'cyan');
+        }
+        
+        for (let ch = firstChannel; ch < endChannel; ch++) {
+            const cx = colX + (ch - firstChannel) * channelWidth;
             const isMuted = playState.mutedChannels[ch];
             const headerColor = isMuted ? 'red' : 'orange';
-            const headerText = `-- CH ${ch + 1} --`;
+            const headerText = ch < 9 ? `-- CH ${ch + 1} --` : `- CH ${ch + 1} --`;
             this.ui.text(headerText, cx, headerY, headerColor);
             
+            // Pan override (Shift+F5-F8)
+            const pan = playState.channelPans[ch];
+            if (pan !== null) {
+                const panText = pan < 0 ? 'L' : pan > 0 ? 'R' : 'C';
+                this.ui.text(panText, cx + 82, headerY, 'cyan');
+            }
+            
             // VU meter below channel header
             this.drawVUMeter(cx + 10, headerY + 14, playState.vuLevels[ch], isMuted);
         }
@@ -111,9 +137,9 @@ export class Renderer {
                 row === this.tracker.currentRow ? 'yellow' : (isPlayingRow ? 'textBright' : 'textDim'));
             
             // Draw each channel
-            for (let ch = 0; ch < 4; ch++) {
+            for (let ch = firstChannel; ch < endChannel; ch++) {
                 const note = pattern.getNote(row, ch);
-                const cx = colX + ch * channelWidth;
+                const cx = colX + (ch - firstChannel) * channelWidth;
                 const isCursor = (row === this.tracker.currentRow && ch === this.tracker.currentChannel);
                 const isMuted = playState.mutedChannels[ch];
                 
@@ -308,6 +334,14 @@ export class Renderer {
         
         this.ui.text(`Octave: ${this.tracker.noteEntry.getOctave()}`, 120, y2, 'textDim');
         
+        // Output filter model and LED filter state (E0x)
+        if (state.filterModel !== 'none') {
+            this.ui.text(`Filter: ${state.filterModel.toUpperCase()}`, 220, y2, 'textDim');
+            if (state.ledFilter) {
+                this.ui.text('LED', 330, y2, 'red');
+            }
+        }
+        
         // Clipboard status
         if (this.tracker.clipboard.hasData()) {
             const clipType = this.tracker.clipboard.getType();
@@ -315,8 +349,37 @@ export class Renderer {
             this.ui.text(`Clip: ${clipText}`, 380, y2, 'cyan');
         }
         
-        // Help text
+        // Resampling mode
         const y3 = y + 30;
+        this.ui.text(`Interp: ${state.interpolation.toUpperCase()}`, 10, y3, 'textDim');
+        
+        // Mixer: stereo separation, master volume, soft limiter
+        this.ui.text(`Sep:${state.stereoSeparation} Vol:${Math.round(state.masterVolume * 100)}`, 372, y3, 'textDim');
+        
+        // Clock and tick timing
+        this.ui.text(`${state.clock.toUpperCase()} ${state.timing.toUpperCase()}`, 500, y3, 'textDim');
+        if (state.softLimiter) {
+            this.ui.text('LIM', 596, y3, 'yellow');
+        }
+        
+        // Song length and where it loops back to
+        const songDuration = this.tracker.songDuration;
+        if (songDuration) {
+            // Starts past 'Interp: LINEAR'
+            this.ui.text(`Length: ${this.formatTime(songDuration.duration)}`, 128, y3, 'textDim');
+            this.ui.text(`Loop: ${this.formatTime(songDuration.loopStart)}`, 248, y3, 'textDim');
+            if (state.songLoops > 0) {
+                this.ui.text(`x${state.songLoops}`, 344, y3, 'cyan');
+            }
+        }
+    }
+    
+    /**
+     * Format seconds as m:ss
+     */
+    formatTime(seconds) {
+        const total = Math.floor(seconds);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
     }
     
     /**
@@ -333,13 +396,14 @@ export class Renderer {
         // Title - shifted left
         this.ui.text('PAULA TRACKER - KEYBOARD SHORTCUTS', 175, 35, 'yellow');
         
+        // Sections are 16px apart so the left column ends inside the border
         let y = 60;
         const col1 = 35;   // Shifted left
         const col2 = 345;  // Shifted left
         
         // Navigation section
         this.ui.text('=== NAVIGATION ===', col1, y, 'orange');
-        y += 20;
+        y += 16;
         this.ui.text('Arrows       Navigate rows/columns', col1, y, 'text');
         y += 13;
         this.ui.text('Ctrl+Arrows  Page up/down, channels', col1, y, 'text');
@@ -352,21 +416,44 @@ export class Renderer {
         y += 13;
         this.ui.text('Tab          Next column', col1, y, 'text');
         
-        y += 20;
+        y += 16;
         this.ui.text('=== PLAYBACK ===', col1, y, 'orange');
-        y += 20;
+        y += 16;
         this.ui.text('Space        Play/Stop', col1, y, 'text');
         y += 13;
         this.ui.text('L            Toggle pattern loop', col1, y, 'text');
         y += 13;
-        this.ui.text('F5-F8        Mute channels 1-4', col1, y, 'text');
+        this.ui.text('F5-F8        Mute channels on screen', col1, y, 'text');
         y += 13;
         this.ui.text('F9           Preview instrument', col1, y, 'text');
+        y += 13;
+        this.ui.text('F10          Cycle A500/A1200 filter', col1, y, 'text');
+        y += 13;
+        this.ui.text('Shift+F10    Cycle interpolation', col1, y, 'text');
+        y += 13;
+        this.ui.text('F2           Toggle PAL/NTSC clock', col1, y, 'text');
+        y += 13;
+        this.ui.text('Shift+F2     Toggle CIA/VBlank timing', col1, y, 'text');
+        y += 13;
+        this.ui.text('Shift+F5-F8  Cycle channel pan', col1, y, 'text');
+        y += 13;
+        this.ui.text('Ctrl+F10     Cycle stereo separation', col1, y, 'text');
+        y += 13;
+        this.ui.text('Ctrl+Sh+F10  Toggle soft limiter', col1, y, 'text');
+        y += 13;
+        this.ui.text('Ctrl(+Sh)+F9 Master volume down/up', col1, y, 'text');
+        
+        y += 16;
+        this.ui.text('=== SAMPLES ===', col1, y, 'orange');
+        y += 16;
+        this.ui.text('Shift+Insert Load WAV/8SVX sample', col1, y, 'text');
+        y += 13;
+        this.ui.text('Shift+Home   Save WAV (+Ctrl: 8SVX)', col1, y, 'text');
         
         // Right column
         y = 60;
         this.ui.text('=== EDITING ===', col2, y, 'orange');
-        y += 20;
+        y += 16;
         this.ui.text('Z-M, Q-P     Enter notes', col2, y, 'text');
         y += 13;
         this.ui.text('0-9, A-F     Enter hex values', col2, y, 'text');
@@ -379,9 +466,9 @@ export class Renderer {
         y += 13;
         this.ui.text('Ctrl+D       Duplicate pattern', col2, y, 'text');
         
-        y += 20;
+        y += 16;
         this.ui.text('=== CLIPBOARD ===', col2, y, 'orange');
-        y += 20;
+        y += 16;
         this.ui.text('Ctrl+C       Copy row', col2, y, 'text');
         y += 13;
         this.ui.text('Ctrl+Shift+C Copy pattern', col2, y, 'text');
@@ -392,17 +479,23 @@ export class Renderer {
         y += 13;
         this.ui.text('Ctrl+Delete  Clear pattern', col2, y, 'text');
         
-        y += 20;
+        y += 16;
         this.ui.text('=== FILES ===', col2, y, 'orange');
-        y += 20;
-        this.ui.text('Ctrl+L       Load MOD file', col2, y, 'text');
+        y += 16;
+        this.ui.text('Ctrl+L       Load module/project', col2, y, 'text');
         y += 13;
         this.ui.text('Ctrl+S       Save MOD file', col2, y, 'text');
         y += 13;
-        this.ui.text('Shift+Insert Load WAV sample', col2, y, 'text');
+        this.ui.text('Ctrl+Shift+S Save project', col2, y, 'text');
         y += 13;
-        this.ui.text('Shift+Home   Save WAV sample', col2, y, 'text');
-
+        this.ui.text('Ctrl+E       Export song as WAV', col2, y, 'text');
+        y += 13;
+        this.ui.text('Ctrl+Shift+E Export channel stems', col2, y, 'text');
+        y += 13;
+        this.ui.text('Ctrl+M       Export song as MIDI', col2, y, 'text');
+        y += 13;
+        this.ui.text('Ctrl+Shift+M Set MIDI program', col2, y, 'text');
+        
         // Bottom
         y = 350;
         // this.ui.text('Press F1 to show/hide this help', 200, y, 'cyan');